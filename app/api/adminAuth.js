@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { AuthenticationError } = require('../utils/errors');
+
+/**
+ * Admin authentication - guards the /admin endpoints
+ * With ADMIN_API_KEY set, requests must send it in the X-Admin-Key header.
+ * Without it they are refused, unless NODE_ENV=development explicitly opens them for local work:
+ * an unset NODE_ENV (as on a fresh deployment) fails closed.
+ */
+
+// Admin configuration
+const ADMIN_CONFIG = {
+  apiKey: process.env.ADMIN_API_KEY || null,
+  header: 'x-admin-key'
+};
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} provided - Value sent by the client
+ * @param {string} expected - Configured value
+ * @returns {boolean} True if equal
+ */
+function secretsMatch(provided, expected) {
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Express middleware rejecting requests without a valid admin key
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_CONFIG.apiKey) {
+    if (process.env.NODE_ENV === 'development') {
+      return next();
+    }
+    return next(new AuthenticationError('Admin endpoints are disabled: ADMIN_API_KEY is not configured', 'api_key'));
+  }
+
+  const provided = req.get(ADMIN_CONFIG.header);
+  if (!provided || !secretsMatch(provided, ADMIN_CONFIG.apiKey)) {
+    return next(new AuthenticationError('Missing or invalid X-Admin-Key header', 'api_key'));
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdmin,
+  ADMIN_CONFIG
+};
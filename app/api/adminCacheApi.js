@@ -0,0 +1,147 @@
+const { getCacheStats, getCacheEntries, evictCacheEntries, flushCache } = require('../cache/cache');
+const { logger } = require('../utils/logger');
+const { wrapError, ValidationError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Cache Admin API Handlers - statistics, inspection and invalidation of cached OCR results
+ * Entries are addressed by the SHA-256 of the uploaded file (the content part of every cache key),
+ * so one hash covers every language/output/option combination cached for that file.
+ */
+
+const CONTENT_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Read and check the :hash route parameter
+ * @param {object} req - Express request object
+ * @returns {string} Lower-case content hash
+ * @throws {ValidationError} If it isn't a SHA-256 hex digest
+ */
+function contentHashParam(req) {
+  const hash = String(req.params.hash).toLowerCase();
+  if (!CONTENT_HASH_PATTERN.test(hash)) {
+    throw new ValidationError('hash must be the SHA-256 (64 hex characters) of the uploaded file', 'hash');
+  }
+  return hash;
+}
+
+/**
+ * Log a failed admin request and hand the error to the error middleware
+ * @param {Error} error - Thrown error
+ * @param {string} operation - Operation name for wrapped errors
+ * @param {object} requestLogger - Request-scoped logger
+ * @param {Function} next - Express next
+ */
+function handleAdminError(error, operation, requestLogger, next) {
+  const ocrError = error.name && error.statusCode ? error : wrapError(error, operation);
+
+  requestLogger.error('Cache Admin API Error', {
+    error: ocrError.message,
+    statusCode: ocrError.statusCode,
+    errorCode: ocrError.errorCode
+  });
+
+  next(ocrError);
+}
+
+/**
+ * Cache Stats API Handler - hit ratio, key count, memory use and average lookup time per tier
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function cacheStatsHandler(req, res, next) {
+  const requestLogger = logger.child({ requestId: req.requestId, endpoint: 'GET /admin/cache/stats' });
+
+  try {
+    res.json({
+      success: true,
+      ...await getCacheStats(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    handleAdminError(error, 'cache_stats_api', requestLogger, next);
+  }
+}
+
+/**
+ * Cache Entry API Handler - every cached result for one file
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function cacheEntryHandler(req, res, next) {
+  const requestLogger = logger.child({ requestId: req.requestId, endpoint: 'GET /admin/cache/:hash' });
+
+  try {
+    const hash = contentHashParam(req);
+    const entries = await getCacheEntries(hash);
+
+    if (entries.length === 0) {
+      throw new NotFoundError(`No cached results for ${hash}`, 'cache_entry', hash);
+    }
+
+    res.json({
+      success: true,
+      hash,
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    handleAdminError(error, 'cache_lookup_api', requestLogger, next);
+  }
+}
+
+/**
+ * Cache Evict API Handler - removes every cached result for one file from all tiers
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function cacheEvictHandler(req, res, next) {
+  const requestLogger = logger.child({ requestId: req.requestId, endpoint: 'DELETE /admin/cache/:hash' });
+
+  try {
+    const hash = contentHashParam(req);
+    const result = await evictCacheEntries(hash);
+
+    if (result.keys.length === 0) {
+      throw new NotFoundError(`No cached results for ${hash}`, 'cache_entry', hash);
+    }
+
+    requestLogger.info('Cache entries evicted', { hash, ...result.deleted });
+    res.json({
+      success: true,
+      hash,
+      ...result
+    });
+  } catch (error) {
+    handleAdminError(error, 'cache_evict_api', requestLogger, next);
+  }
+}
+
+/**
+ * Cache Flush API Handler - removes every cached OCR result (ocr: keys only)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function cacheFlushHandler(req, res, next) {
+  const requestLogger = logger.child({ requestId: req.requestId, endpoint: 'POST /admin/cache/flush' });
+
+  try {
+    const result = await flushCache();
+
+    requestLogger.warn('OCR cache flushed', result.deleted);
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    handleAdminError(error, 'cache_flush_api', requestLogger, next);
+  }
+}
+
+module.exports = {
+  cacheStatsHandler,
+  cacheEntryHandler,
+  cacheEvictHandler,
+  cacheFlushHandler,
+  CONTENT_HASH_PATTERN
+};
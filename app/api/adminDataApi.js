@@ -0,0 +1,65 @@
+const { erase } = require('../services/retentionService');
+const { logger } = require('../utils/logger');
+const { wrapError, ValidationError } = require('../utils/errors');
+const { CONTENT_HASH_PATTERN } = require('./adminCacheApi');
+const { RESULT_ID_PATTERN } = require('./resultsApi');
+
+/**
+ * Data Admin API Handlers - erasure of everything stored about one uploaded file
+ */
+
+/**
+ * Read and check the :id route parameter
+ * @param {object} req - Express request object
+ * @returns {object} { fileHash } or { resultId }
+ * @throws {ValidationError} If it is neither a file SHA-256 nor a result id
+ */
+function erasureTargetParam(req) {
+  const id = String(req.params.id);
+  if (CONTENT_HASH_PATTERN.test(id.toLowerCase())) {
+    return { fileHash: id.toLowerCase() };
+  }
+  if (RESULT_ID_PATTERN.test(id)) {
+    return { resultId: id };
+  }
+  throw new ValidationError('id must be the SHA-256 (64 hex characters) of an uploaded file or a result id (ocr_...)', 'id');
+}
+
+/**
+ * Erase API Handler - deletes every log row, stored PDF, job and cached result for one file and reports what was removed
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function eraseHandler(req, res, next) {
+  const requestLogger = logger.child({ requestId: req.requestId, endpoint: 'DELETE /admin/data/:id' });
+
+  try {
+    const report = await erase(erasureTargetParam(req));
+
+    requestLogger.warn('OCR data erased', {
+      fileHash: report.fileHash,
+      resultId: report.resultId,
+      rowsDeleted: report.database.rowsDeleted,
+      pdfsDeleted: report.pdfs.resultIds.length,
+      jobsRemoved: report.jobs.removed,
+      jobsRunning: report.jobs.running,
+      cacheEntriesDeleted: report.cache.keys.length
+    });
+
+    res.json(report);
+  } catch (error) {
+    const ocrError = error.name && error.statusCode ? error : wrapError(error, 'erase_api');
+
+    requestLogger.error('Data Admin API Error', {
+      error: ocrError.message,
+      statusCode: ocrError.statusCode,
+      errorCode: ocrError.errorCode
+    });
+
+    next(ocrError);
+  }
+}
+
+module.exports = {
+  eraseHandler
+};
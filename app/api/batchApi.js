@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { ocr } = require('../services/ocrService');
+const { logger } = require('../utils/logger');
+const { wrapError, FileValidationError } = require('../utils/errors');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { validateUpload, parseOcrOptions, requestContext, discardUploads } = require('./ocrRequest');
+
+// Batch configuration
+const BATCH_CONFIG = {
+  maxFiles: parseInt(process.env.OCR_BATCH_MAX_FILES) || 50,
+  concurrency: parseInt(process.env.OCR_BATCH_CONCURRENCY) || 4,
+  fields: ['images', 'images[]'] // Accept both spellings of the multipart field
+};
+
+/**
+ * Validate and OCR one file of a batch, converting failures into a per-file error entry
+ * @param {object} file - Multer file object
+ * @param {number} index - Position of the file in the upload
+ * @param {object} options - Shared OCR options (lang, batchId)
+ * @param {object} requestLogger - Request-scoped logger
+ * @returns {object} Per-file result
+ */
+async function processBatchFile(file, index, options, requestLogger) {
+  try {
+    const validation = await validateUpload(file, requestLogger);
+    const result = await ocr(file, { ...options, fileHash: validation.details.fileHash });
+
+    return { index, ...result };
+
+  } catch (error) {
+    const ocrError = error.name && error.statusCode ? error : wrapError(error, 'ocr_batch');
+    // ocr() cleans up after itself; files rejected by validation are still on disk
+    await discardUploads([file], error, options);
+
+    requestLogger.warn('Batch file failed', {
+      index,
+      filename: file.originalname,
+      errorCode: ocrError.errorCode
+    });
+
+    return {
+      index,
+      success: false,
+      filename: file.originalname,
+      error: ocrError.toJSON()
+    };
+  }
+}
+
+/**
+ * OCR Batch API Handler - OCRs many images from one multipart request
+ * Each file is validated and processed independently, so one bad file doesn't fail the batch.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function ocrBatchHandler(req, res, next) {
+  const startTime = performance.now();
+  const batchId = `batch_${crypto.randomUUID()}`;
+  const requestLogger = logger.child({
+    requestId: req.requestId,
+    batchId,
+    endpoint: 'POST /ocr/batch'
+  });
+  const files = req.files || [];
+
+  try {
+    // 1. Require at least one file, all under the images[] field
+    const unexpected = files.find(file => !BATCH_CONFIG.fields.includes(file.fieldname));
+    if (unexpected) {
+      throw new FileValidationError(`Unexpected file field "${unexpected.fieldname}"`, {
+        message: 'Batch uploads must use the "images[]" field for every file'
+      });
+    }
+
+    if (files.length === 0) {
+      throw new FileValidationError('No image files uploaded', {
+        message: `Please upload one or more image files using the "images[]" field (max ${BATCH_CONFIG.maxFiles})`
+      });
+    }
+
+    // 2. Options apply to every file in the batch
+    const options = { ...(await parseOcrOptions(req)), batchId };
+
+    requestLogger.info('Processing OCR batch', {
+      files: files.length,
+      language: options.lang,
+      concurrency: BATCH_CONFIG.concurrency
+    });
+
+    // 3. Process files with bounded concurrency
+    const results = await mapWithConcurrency(files, BATCH_CONFIG.concurrency, (file, index) =>
+      processBatchFile(file, index, options, requestLogger)
+    );
+
+    const succeeded = results.filter(result => result.success).length;
+    const processingTimeMs = Math.round(performance.now() - startTime);
+
+    requestLogger.info('OCR batch completed', {
+      files: files.length,
+      succeeded,
+      failed: files.length - succeeded,
+      processingTime: processingTimeMs
+    });
+
+    // 4. Return per-file results with aggregate timing
+    res.json({
+      success: true,
+      batchId,
+      language: options.lang,
+      total: files.length,
+      succeeded,
+      failed: files.length - succeeded,
+      processingTimeMs,
+      totalOcrTimeMs: results.reduce((sum, result) => sum + (result.ocrTimeMs || 0), 0),
+      timestamp: new Date().toISOString(),
+      results
+    });
+
+  } catch (error) {
+    const ocrError = error.name && error.statusCode ? error : wrapError(error, 'ocr_batch_api');
+
+    // Nothing was processed, so log and remove every upload
+    await discardUploads(files, error, { request: requestContext(req), batchId });
+
+    requestLogger.error('OCR Batch API Error', {
+      error: ocrError.message,
+      files: files.length,
+      statusCode: ocrError.statusCode,
+      errorCode: ocrError.errorCode
+    });
+
+    next(ocrError);
+  }
+}
+
+module.exports = {
+  ocrBatchHandler,
+  BATCH_CONFIG
+};
@@ -0,0 +1,87 @@
+const { promises: fs } = require('fs');
+const { ocr } = require('../services/ocrService');
+const { createJob, getJob } = require('../services/jobService');
+const { logger } = require('../utils/logger');
+const { wrapError, NotFoundError } = require('../utils/errors');
+const { validateUpload, parseOcrOptions, requestContext, discardUploads } = require('./ocrRequest');
+
+/**
+ * OCR Job API Handler - accepts the same upload as POST /ocr but processes it in the background
+ * Responds 202 immediately; clients poll GET /ocr/jobs/:id for the outcome.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function ocrJobHandler(req, res, next) {
+  const requestLogger = logger.child({
+    requestId: req.requestId,
+    endpoint: 'POST /ocr/jobs'
+  });
+
+  try {
+    // 1. Validate upload and options up front so bad requests fail fast with 400
+    const validation = await validateUpload(req.file, requestLogger);
+    const options = { ...(await parseOcrOptions(req)), fileHash: validation.details.fileHash };
+
+    // 2. Queue the OCR work; the uploaded file stays on disk until the job runs
+    const file = req.file;
+    const job = createJob(() => ocr(file, options), {
+      filename: file.originalname,
+      language: options.lang
+    }, {
+      fileHash: options.fileHash,
+      discard: () => fs.unlink(file.path)
+    });
+
+    requestLogger.info('OCR job queued', {
+      jobId: job.jobId,
+      filename: file.originalname,
+      language: options.lang
+    });
+
+    // 3. Return job handle
+    const statusUrl = `/ocr/jobs/${job.jobId}`;
+    res.status(202).location(statusUrl).json({
+      success: true,
+      ...job,
+      statusUrl
+    });
+
+  } catch (error) {
+    const ocrError = error.name && error.statusCode ? error : wrapError(error, 'ocr_job_api');
+
+    requestLogger.error('OCR Job API Error', {
+      error: ocrError.message,
+      filename: req.file?.originalname || 'unknown',
+      statusCode: ocrError.statusCode,
+      errorCode: ocrError.errorCode
+    });
+
+    // The job was never queued, so nothing else will log or remove the upload
+    await discardUploads([req.file], error, { request: requestContext(req) });
+
+    next(ocrError);
+  }
+}
+
+/**
+ * OCR Job Status API Handler - returns job status plus the result or serialized error
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+function ocrJobStatusHandler(req, res, next) {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return next(new NotFoundError(`Job ${req.params.id} not found or expired`, 'job', req.params.id));
+  }
+
+  res.json({
+    success: true,
+    ...job
+  });
+}
+
+module.exports = {
+  ocrJobHandler,
+  ocrJobStatusHandler
+};
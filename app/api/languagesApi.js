@@ -0,0 +1,21 @@
+const { languages } = require('../services/ocrService');
+const { wrapError } = require('../utils/errors');
+
+/**
+ * Languages API Handler - lists the OCR languages installed on this server
+ * Any of these codes (or a "+" combination such as "eng+deu") can be sent as `lang` to POST /ocr
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function languagesHandler(req, res, next) {
+  try {
+    const result = await languages();
+    res.json(result);
+  } catch (error) {
+    next(wrapError(error, 'languages_api'));
+  }
+}
+
+module.exports = {
+  languagesHandler
+};
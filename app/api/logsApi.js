@@ -1,57 +1,196 @@
+const { pipeline } = require('stream');
 const { logs } = require('../services/ocrService');
-const { isDatabaseConnected } = require('../db/database');
+const { exportLogs, EXPORT_FORMATS } = require('../services/logExport');
+const { isDatabaseConnected, LOG_SORT_FIELDS } = require('../db/database');
+const { logger } = require('../utils/logger');
+const { wrapError, DatabaseError, ValidationError } = require('../utils/errors');
+const { parseDateRange, parseIntegerParam, parseListParam } = require('./queryParams');
+
+const SORT_ORDERS = ['desc', 'asc'];
+const CACHE_STATUSES = ['hit', 'miss', 'coalesced', 'partial'];
+const BOOLEAN_VALUES = ['true', 'false', '1', '0'];
+
+/**
+ * Read and check the log filter parameters (shared by GET /logs and GET /logs/export)
+ * @param {object} query - Express req.query
+ * @returns {object} Log filters (see logQueries.buildLogFilters)
+ * @throws {ValidationError} If a parameter is malformed
+ */
+function parseLogFilters(query) {
+  const cacheStatus = query.cache_status ? String(query.cache_status).toLowerCase() : null;
+  if (cacheStatus && !CACHE_STATUSES.includes(cacheStatus)) {
+    throw new ValidationError(`cache_status must be one of: ${CACHE_STATUSES.join(', ')}`, 'cache_status', { allowed: CACHE_STATUSES });
+  }
+
+  // 'success', 'error' (any failure) or a specific error code such as FILE_VALIDATION_ERROR
+  let outcome = query.outcome ? String(query.outcome) : null;
+  if (outcome) {
+    outcome = ['success', 'error'].includes(outcome.toLowerCase()) ? outcome.toLowerCase() : outcome.toUpperCase();
+  }
+
+  return {
+    ...parseDateRange(query),
+    mimeTypes: parseListParam(query.mime_type),
+    filenamePrefix: query.filename_prefix ? String(query.filename_prefix) : null,
+    minProcessingMs: parseIntegerParam(query.min_processing_ms, 'min_processing_ms'),
+    maxProcessingMs: parseIntegerParam(query.max_processing_ms, 'max_processing_ms'),
+    minFileSize: parseIntegerParam(query.min_file_size, 'min_file_size'),
+    maxFileSize: parseIntegerParam(query.max_file_size, 'max_file_size'),
+    requestId: query.request_id ? String(query.request_id) : null,
+    cacheStatus,
+    outcome
+  };
+}
+
+/**
+ * Read and check the logs query parameters
+ * @param {object} query - Express req.query
+ * @returns {object} Options for the logs service
+ * @throws {ValidationError} If a parameter is malformed
+ */
+function parseLogsParams(query) {
+  const sort = String(query.sort || 'created_at').toLowerCase();
+  if (!LOG_SORT_FIELDS[sort]) {
+    throw new ValidationError(`sort must be one of: ${Object.keys(LOG_SORT_FIELDS).join(', ')}`, 'sort', {
+      allowed: Object.keys(LOG_SORT_FIELDS)
+    });
+  }
+
+  const order = String(query.order || 'desc').toLowerCase();
+  if (!SORT_ORDERS.includes(order)) {
+    throw new ValidationError(`order must be one of: ${SORT_ORDERS.join(', ')}`, 'order', { allowed: SORT_ORDERS });
+  }
+
+  return {
+    limit: parseIntegerParam(query.limit, 'limit', { min: 1, defaultValue: 10 }),
+    filters: parseLogFilters(query),
+    sort,
+    order,
+    cursor: query.cursor ? String(query.cursor) : null
+  };
+}
+
+/**
+ * Read and check the export query parameters
+ * @param {object} query - Express req.query
+ * @returns {object} Options for the export service
+ * @throws {ValidationError} If a parameter is malformed
+ */
+function parseExportParams(query) {
+  const format = String(query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw new ValidationError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, 'format', {
+      allowed: Object.keys(EXPORT_FORMATS)
+    });
+  }
+
+  const includeText = String(query.include_text ?? 'false').toLowerCase();
+  if (!BOOLEAN_VALUES.includes(includeText)) {
+    throw new ValidationError('include_text must be true or false', 'include_text');
+  }
+
+  return {
+    format,
+    filters: parseLogFilters(query),
+    includeText: includeText === 'true' || includeText === '1'
+  };
+}
 
 /**
  * Logs API Handler - handles logs endpoint HTTP requests
- * 
+ *
  * WARNING: This endpoint is for development/debugging only!
  * In production, this endpoint should be:
  * 1. Removed completely, OR
  * 2. Protected with proper authentication/authorization
  * 3. Rate-limited and IP-restricted
  * Exposing logs publicly is a serious security risk!
- * 
+ *
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
-async function logsHandler(req, res) {
+async function logsHandler(req, res, next) {
+  const requestLogger = logger.child({ requestId: req.requestId, endpoint: 'GET /logs' });
+
   try {
     // Check database connection first
     if (!isDatabaseConnected()) {
-      return res.status(503).json({
-        error: 'Database not available',
-        message: 'Database logging is not enabled'
-      });
+      throw new DatabaseError('Database not available - database logging is not enabled', 'get_logs', true);
     }
 
-    // Parse and validate limit parameter
-    const limit = req.query.limit ? parseInt(req.query.limit) : 10;
-    
-    if (isNaN(limit) || limit < 1) {
-      return res.status(400).json({
-        error: 'Invalid limit parameter',
-        message: 'Limit must be a positive integer'
-      });
-    }
+    // Parse and validate pagination, filter and sort parameters
+    const options = parseLogsParams(req.query);
 
     // Call service layer for logs
-    const result = await logs(limit);
-    
+    const result = await logs(options);
+
     // Return success response
     res.json(result);
 
   } catch (error) {
     // Handle service layer errors and return appropriate HTTP response
-    console.error('Logs API Error:', error.message);
-    
-    res.status(500).json({
-      error: 'Failed to fetch logs',
-      message: error.message,
-      timestamp: new Date().toISOString()
+    const ocrError = error.name && error.statusCode ? error : wrapError(error, 'logs_api');
+
+    requestLogger.error('Logs API Error', {
+      error: ocrError.message,
+      statusCode: ocrError.statusCode,
+      errorCode: ocrError.errorCode
+    });
+
+    next(ocrError);
+  }
+}
+
+/**
+ * Logs Export API Handler - streams every matching log row as CSV or NDJSON
+ *
+ * WARNING: Same exposure as GET /logs, and with include_text=true it hands out the text of every
+ * processed image. Protect or remove it before exposing the service publicly.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function logsExportHandler(req, res, next) {
+  const requestLogger = logger.child({ requestId: req.requestId, endpoint: 'GET /logs/export' });
+
+  try {
+    if (!isDatabaseConnected()) {
+      throw new DatabaseError('Database not available - database logging is not enabled', 'export_logs', true);
+    }
+
+    const options = parseExportParams(req.query);
+    const exported = exportLogs(options);
+
+    res.set({
+      'Content-Type': exported.contentType,
+      'Content-Disposition': `attachment; filename="${exported.filename}"`,
+      'Cache-Control': 'no-store'
     });
+
+    // Once streaming has started the status is sent: a failure can only cut the download short
+    pipeline(exported.stream, res, error => {
+      if (!error) {
+        requestLogger.info('OCR logs exported', { format: options.format, includeText: options.includeText, rows: exported.stream.rowCount });
+      } else if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+        requestLogger.warn('OCR logs export aborted by the client', { rows: exported.stream.rowCount });
+      } else {
+        requestLogger.error('OCR logs export failed', { error: error.message, rows: exported.stream.rowCount });
+      }
+    });
+  } catch (error) {
+    const ocrError = error.name && error.statusCode ? error : wrapError(error, 'logs_api');
+
+    requestLogger.error('Logs Export API Error', {
+      error: ocrError.message,
+      statusCode: ocrError.statusCode,
+      errorCode: ocrError.errorCode
+    });
+
+    next(ocrError);
   }
 }
 
 module.exports = {
-  logsHandler
+  logsHandler,
+  logsExportHandler
 };
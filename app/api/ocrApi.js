@@ -1,7 +1,7 @@
 const { ocr } = require('../services/ocrService');
 const { logger } = require('../utils/logger');
-const { validateFile } = require('../utils/fileValidation');
-const { FileValidationError, wrapError } = require('../utils/errors');
+const { wrapError } = require('../utils/errors');
+const { validateUpload, parseOcrOptions, requestContext, discardUploads } = require('./ocrRequest');
 
 /**
  * OCR API Handler - handles OCR endpoint HTTP requests with comprehensive validation
@@ -13,68 +13,41 @@ async function ocrHandler(req, res, next) {
     requestId: req.requestId,
     endpoint: 'POST /ocr'
   });
+  // Enough context to log the request even if it fails before its options are parsed
+  let options = { request: requestContext(req) };
   
   try {
     // 1. Validate file upload
-    if (!req.file) {
-      requestLogger.warn('OCR request failed: No file uploaded');
-      throw new FileValidationError('No image file uploaded', { 
-        message: 'Please upload an image file using the "image" field' 
-      });
-    }
-    
-    requestLogger.info('Processing OCR request', {
-      filename: req.file.originalname,
-      size: req.file.size,
-      mimetype: req.file.mimetype
-    });
-    
-    // 2. Comprehensive file validation
-    const validationResult = await validateFile(req.file);
-    
-    if (!validationResult.valid) {
-      requestLogger.warn('File validation failed', {
-        filename: req.file.originalname,
-        errors: validationResult.errors,
-        warnings: validationResult.warnings
-      });
-      
-      throw new FileValidationError(
-        `File validation failed: ${validationResult.errors.join(', ')}`,
-        {
-          filename: req.file.originalname,
-          errors: validationResult.errors,
-          warnings: validationResult.warnings,
-          details: validationResult.details
-        }
-      );
-    }
-    
-    // Log warnings if any
-    if (validationResult.warnings.length > 0) {
-      requestLogger.warn('File validation warnings', {
-        filename: req.file.originalname,
-        warnings: validationResult.warnings
-      });
-    }
-    
-    requestLogger.debug('File validation passed', {
-      filename: req.file.originalname,
-      summary: validationResult.summary
-    });
+    const validation = await validateUpload(req.file, requestLogger);
 
+    // 2. Validate OCR options (language against installed traineddata, output format from field or Accept)
+    options = { ...(await parseOcrOptions(req, { negotiate: true })), fileHash: validation.details.fileHash };
+    
     // 3. Call service layer for OCR processing
-    const result = await ocr(req.file, requestLogger);
+    const result = await ocr(req.file, options);
     
     // 4. Log successful completion
     requestLogger.info('OCR processing completed successfully', {
       filename: req.file.originalname,
-      textLength: result.extractedText?.length || 0,
+      language: result.language,
+      output: options.output,
+      textLength: result.extractedText?.length || result.content?.length || 0,
       processingTime: result.processingTimeMs,
       fromCache: result.fromCache || false
     });
     
-    // 5. Return success response
+    // 5. Return success response - documents are sent as downloads in their own content type
+    res.vary('Accept');
+    if (options.output !== 'json') {
+      const body = result.contentEncoding === 'base64' ? Buffer.from(result.content, 'base64') : result.content;
+      // Downloads carry no JSON metadata, so say where the result came from in headers
+      res.set({
+        'X-OCR-Cache': result.fromCache ? 'hit' : 'miss',
+        'X-OCR-Coalesced': String(Boolean(result.coalesced)),
+        ...(result.resultId && { 'X-OCR-Result-Id': result.resultId })
+      });
+      return res.attachment(result.outputFilename).type(result.contentType).send(body);
+    }
     res.json(result);
 
   } catch (error) {
@@ -88,6 +61,9 @@ async function ocrHandler(req, res, next) {
       errorCode: ocrError.errorCode
     });
     
+    // Uploads that failed inside ocr() are logged and removed already
+    await discardUploads([req.file], error, options);
+    
     // Pass to error handler middleware
     next(ocrError);
   }
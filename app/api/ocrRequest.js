@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { promises: fs } = require('fs');
+const { validateFile } = require('../utils/fileValidation');
+const { resolveLanguage } = require('../utils/languages');
+const { DETAIL_LEVELS } = require('../services/ocrLayout');
+const { OUTPUT_FORMATS, ACCEPT_TYPES } = require('../services/ocrFormats');
+const { getDocumentType, openDocument, checkDocumentLimits } = require('../services/pageRasterizer');
+const { resolvePreprocessing } = require('../services/preprocessing');
+const { parseRegions } = require('../services/regions');
+const { logFailedRequest } = require('../services/ocrService');
+const { FileValidationError, ValidationError } = require('../utils/errors');
+
+/**
+ * Shared OCR request parsing for the OCR endpoints (POST /ocr, POST /ocr/jobs, ...)
+ */
+
+/**
+ * Run comprehensive validation on an uploaded file
+ * @param {object} file - Multer file object (may be undefined if nothing was uploaded)
+ * @param {object} requestLogger - Request-scoped logger
+ * @returns {object} Validation result from validateFile
+ * @throws {FileValidationError} If no file was uploaded or validation failed
+ */
+async function validateUpload(file, requestLogger) {
+  if (!file) {
+    requestLogger.warn('OCR request failed: No file uploaded');
+    throw new FileValidationError('No image file uploaded', {
+      message: 'Please upload an image file using the "image" field'
+    });
+  }
+
+  requestLogger.info('Processing OCR request', {
+    filename: file.originalname,
+    size: file.size,
+    mimetype: file.mimetype
+  });
+
+  const validationResult = await validateFile(file);
+
+  if (!validationResult.valid) {
+    requestLogger.warn('File validation failed', {
+      filename: file.originalname,
+      errors: validationResult.errors,
+      warnings: validationResult.warnings
+    });
+
+    throw new FileValidationError(
+      `File validation failed: ${validationResult.errors.join(', ')}`,
+      {
+        filename: file.originalname,
+        errors: validationResult.errors,
+        warnings: validationResult.warnings,
+        details: validationResult.details
+      }
+    );
+  }
+
+  // PDFs and TIFFs must also be readable and within the page limits
+  const documentType = getDocumentType(file);
+  if (documentType) {
+    validationResult.details.document = await validateDocument(file, documentType, requestLogger);
+  }
+
+  // Log warnings if any
+  if (validationResult.warnings.length > 0) {
+    requestLogger.warn('File validation warnings', {
+      filename: file.originalname,
+      warnings: validationResult.warnings
+    });
+  }
+
+  requestLogger.debug('File validation passed', {
+    filename: file.originalname,
+    summary: validationResult.summary
+  });
+
+  return validationResult;
+}
+
+/**
+ * Check that a PDF or TIFF upload can be opened and stays within the page-count and page-size limits
+ * @param {object} file - Multer file object
+ * @param {string} documentType - 'pdf' or 'tiff'
+ * @param {object} requestLogger - Request-scoped logger
+ * @returns {Promise<object>} { type, pageCount, pages }
+ * @throws {FileValidationError} If the document is unreadable or over a limit
+ */
+async function validateDocument(file, documentType, requestLogger) {
+  let document;
+  try {
+    document = await openDocument(file.path, documentType);
+  } catch (error) {
+    requestLogger.warn('Document could not be read', { filename: file.originalname, error: error.message });
+    throw new FileValidationError(`File validation failed: could not read ${documentType.toUpperCase()} document`, {
+      filename: file.originalname,
+      reason: error.message
+    });
+  }
+
+  try {
+    const errors = checkDocumentLimits(document);
+    if (errors.length > 0) {
+      requestLogger.warn('Document limits exceeded', { filename: file.originalname, errors });
+      throw new FileValidationError(`File validation failed: ${errors.join(', ')}`, {
+        filename: file.originalname,
+        errors,
+        pageCount: document.pageCount
+      });
+    }
+
+    return { type: document.type, pageCount: document.pageCount, pages: document.pages };
+  } finally {
+    await document.close();
+  }
+}
+
+/**
+ * Validate the optional layout detail level
+ * @param {string} detail - Requested detail (words, lines or blocks)
+ * @returns {string|null} Detail level or null for plain text output
+ * @throws {ValidationError} If the detail level is unknown
+ */
+function parseDetail(detail) {
+  if (detail === undefined || detail === null || detail === '') {
+    return null;
+  }
+
+  if (!DETAIL_LEVELS.includes(detail)) {
+    throw new ValidationError(`Invalid detail "${detail}"`, 'detail', {
+      allowed: DETAIL_LEVELS
+    });
+  }
+
+  return detail;
+}
+
+/**
+ * Select the output format from the `output` field, or from the Accept header when negotiating
+ * @param {string} output - Requested output format
+ * @param {object} req - Express request object
+ * @param {boolean} negotiate - Whether to fall back to Accept header negotiation
+ * @returns {string} Output format (json when nothing else was asked for)
+ * @throws {ValidationError} If the output format is unknown
+ */
+function parseOutput(output, req, negotiate) {
+  if (output === undefined || output === null || output === '') {
+    if (!negotiate) return 'json';
+    const accepted = req.accepts(Object.keys(ACCEPT_TYPES));
+    return accepted ? ACCEPT_TYPES[accepted] : 'json';
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, output)) {
+    throw new ValidationError(`Invalid output format "${output}"`, 'output', {
+      allowed: Object.keys(OUTPUT_FORMATS)
+    });
+  }
+
+  return output;
+}
+
+/**
+ * Who sent a request, for its ocr_logs row
+ * API keys are never stored: a client sending X-API-Key is identified by a fingerprint of it.
+ * @param {object} req - Express request object
+ * @returns {object} { requestId, clientIp, clientKey, userAgent }
+ */
+function requestContext(req) {
+  const apiKey = req.get('X-API-Key');
+  return {
+    requestId: req.requestId || null,
+    clientIp: req.ip || req.socket?.remoteAddress || null,
+    clientKey: apiKey ? crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16) : null,
+    userAgent: req.get('User-Agent')?.slice(0, 512) || null
+  };
+}
+
+/**
+ * Parse and validate OCR options from form fields (or the query string)
+ * @param {object} req - Express request object
+ * @param {object} settings - Parsing settings
+ * @param {boolean} settings.negotiate - Use the Accept header when no `output` is given (single-image responses only)
+ * @returns {Promise<object>} OCR options for the service layer
+ */
+async function parseOcrOptions(req, { negotiate = false } = {}) {
+  const field = (name) => req.body?.[name] ?? req.query[name];
+  const regions = parseRegions(field('regions'));
+
+  // Region results are JSON only, so don't let the Accept header pick a document format
+  const options = {
+    lang: await resolveLanguage(field('lang')),
+    detail: parseDetail(field('detail')),
+    output: parseOutput(field('output'), req, negotiate && !regions),
+    preprocess: resolvePreprocessing(field('preprocess')),
+    regions,
+    request: requestContext(req)
+  };
+
+  if (regions && (options.output !== 'json' || options.detail)) {
+    throw new ValidationError('regions can only be combined with JSON output without detail', 'regions');
+  }
+
+  return options;
+}
+
+/**
+ * Log and remove uploads of a request that failed before ocr() took ownership of them
+ * ocr() logs and removes the files it processed, so those are skipped by logFailedRequest and the unlink is a no-op.
+ * @param {Array} files - Multer file objects (missing entries are ignored)
+ * @param {Error} error - Why the request failed
+ * @param {object} options - Log context (request, batchId, fileHash)
+ */
+async function discardUploads(files, error, options) {
+  await Promise.all(files.filter(Boolean).map(async (file) => {
+    await logFailedRequest(file, error, options);
+    await fs.unlink(file.path).catch(() => {});
+  }));
+}
+
+module.exports = {
+  validateUpload,
+  parseOcrOptions,
+  requestContext,
+  discardUploads
+};
@@ -0,0 +1,132 @@
+const path = require('path');
+const { ocr } = require('../services/ocrService');
+const { mergePdfs, storePdf, getStoredPdf } = require('../services/pdfService');
+const { logger } = require('../utils/logger');
+const { isDatabaseConnected } = require('../db/database');
+const { wrapError, FileValidationError, NotFoundError, DatabaseError } = require('../utils/errors');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { validateUpload, parseOcrOptions, requestContext, discardUploads } = require('./ocrRequest');
+const { BATCH_CONFIG } = require('./batchApi');
+
+// A single image may come as "image"; multi-page uploads use "images[]" like POST /ocr/batch
+const PDF_UPLOAD_FIELDS = ['image', ...BATCH_CONFIG.fields];
+
+/**
+ * Searchable PDF API Handler - OCRs one or more images and returns one PDF with a page per image
+ * Every page is rendered by Tesseract from the same recognition pass that produced its text.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function ocrPdfHandler(req, res, next) {
+  const startTime = performance.now();
+  const requestLogger = logger.child({
+    requestId: req.requestId,
+    endpoint: 'POST /ocr/pdf'
+  });
+  const files = req.files || [];
+
+  try {
+    // 1. Validate every page up front - a PDF with missing pages is worse than no PDF
+    const unexpected = files.find(file => !PDF_UPLOAD_FIELDS.includes(file.fieldname));
+    if (unexpected) {
+      throw new FileValidationError(`Unexpected file field "${unexpected.fieldname}"`, {
+        message: 'Upload a single "image" or several "images[]" files'
+      });
+    }
+
+    if (files.length === 0) {
+      throw new FileValidationError('No image files uploaded', {
+        message: 'Upload a single "image" or several "images[]" files'
+      });
+    }
+
+    const fileHashes = [];
+    for (const file of files) {
+      const validation = await validateUpload(file, requestLogger);
+      fileHashes.push(validation.details.fileHash);
+    }
+
+    const options = { ...(await parseOcrOptions(req)), output: 'pdf' };
+    const store = ['true', '1', 'yes'].includes(String(req.body?.store ?? req.query.store).toLowerCase());
+    if (store && !isDatabaseConnected()) {
+      throw new DatabaseError('Database not available - stored PDFs are kept in the database', 'store_pdf', true);
+    }
+
+    // 2. OCR each page with bounded concurrency (each result carries its own single-page PDF)
+    const results = await mapWithConcurrency(files, BATCH_CONFIG.concurrency,
+      (file, index) => ocr(file, { ...options, fileHash: fileHashes[index] }));
+
+    // 3. Merge pages in upload order
+    const firstName = path.basename(files[0].originalname, path.extname(files[0].originalname)) || 'ocr-result';
+    const filename = files.length === 1 ? results[0].outputFilename : `${firstName}-${files.length}-pages.pdf`;
+    const pdf = await mergePdfs(results.map(result => Buffer.from(result.content, 'base64')), filename);
+
+    // 4. Optionally keep the PDF for GET /ocr/pdf/:id
+    if (store) {
+      const record = await storePdf(pdf, {
+        filename,
+        pages: files.length,
+        language: options.lang,
+        fileHashes
+      });
+      res.set({
+        'X-OCR-Result-Id': record.resultId,
+        'X-OCR-Expires': record.expiresAt
+      }).location(`/ocr/pdf/${record.resultId}`);
+    }
+
+    requestLogger.info('Searchable PDF generated', {
+      pages: files.length,
+      size: pdf.length,
+      stored: store,
+      processingTime: Math.round(performance.now() - startTime)
+    });
+
+    res.set('X-OCR-Pages', String(files.length));
+    res.attachment(filename).type('application/pdf').send(pdf);
+
+  } catch (error) {
+    const ocrError = error.name && error.statusCode ? error : wrapError(error, 'ocr_pdf_api');
+
+    // ocr() logs and removes the files it processed; anything not yet processed is logged and removed here
+    await discardUploads(files, error, { request: requestContext(req) });
+
+    requestLogger.error('OCR PDF API Error', {
+      error: ocrError.message,
+      files: files.length,
+      statusCode: ocrError.statusCode,
+      errorCode: ocrError.errorCode
+    });
+
+    next(ocrError);
+  }
+}
+
+/**
+ * Stored PDF API Handler - returns a PDF saved with store=true, by its result id
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function storedPdfHandler(req, res, next) {
+  try {
+    const stored = await getStoredPdf(req.params.id);
+
+    if (!stored) {
+      throw new NotFoundError(`PDF ${req.params.id} not found`, 'pdf', req.params.id);
+    }
+
+    res.set({
+      'X-OCR-Pages': String(stored.metadata.pages),
+      'X-OCR-Expires': stored.metadata.expiresAt.toISOString()
+    });
+    res.attachment(stored.metadata.filename).type('application/pdf').send(stored.content);
+
+  } catch (error) {
+    next(wrapError(error, 'ocr_pdf_api'));
+  }
+}
+
+module.exports = {
+  ocrPdfHandler,
+  storedPdfHandler
+};
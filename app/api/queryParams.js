@@ -0,0 +1,81 @@
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Query string parsing shared by the read endpoints (GET /logs, GET /ocr/search, ...)
+ */
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a from/to query parameter
+ * A bare date (YYYY-MM-DD) covers that whole day, so `to=2025-07-31` includes July 31st.
+ * @param {string} value - ISO 8601 date or date-time
+ * @param {string} field - Parameter name
+ * @param {boolean} endOfRange - True for the exclusive upper bound
+ * @returns {Date|null} Parsed time, or null when absent
+ * @throws {ValidationError} If the value isn't a date
+ */
+function parseDateParam(value, field, endOfRange = false) {
+  if (value === undefined || value === '') return null;
+
+  const date = new Date(String(value));
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`${field} must be an ISO 8601 date, e.g. 2025-07-18 or 2025-07-18T09:30:00Z`, field);
+  }
+  if (endOfRange && DATE_ONLY_PATTERN.test(String(value))) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+/**
+ * Parse a from/to pair
+ * @param {object} query - Express req.query
+ * @returns {object} { from, to } as Dates or null
+ * @throws {ValidationError} If either is malformed or from is not before to
+ */
+function parseDateRange(query) {
+  const from = parseDateParam(query.from, 'from');
+  const to = parseDateParam(query.to, 'to', true);
+  if (from && to && from >= to) {
+    throw new ValidationError('from must be before to', 'from');
+  }
+  return { from, to };
+}
+
+/**
+ * Parse an integer query parameter
+ * @param {string} value - Raw value
+ * @param {string} field - Parameter name
+ * @param {object} options - { min, defaultValue }
+ * @returns {number|null} Parsed value, defaultValue when absent (null unless given)
+ * @throws {ValidationError} If the value isn't an integer of at least min
+ */
+function parseIntegerParam(value, field, { min = 0, defaultValue = null } = {}) {
+  if (value === undefined || value === '') return defaultValue;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new ValidationError(`${field} must be an integer of at least ${min}`, field);
+  }
+  return number;
+}
+
+/**
+ * Parse a list parameter given comma-separated and/or repeated (mime=a,b or mime=a&mime=b)
+ * @param {string|string[]} value - Raw value(s)
+ * @returns {string[]} Trimmed, lower-case, non-empty values
+ */
+function parseListParam(value) {
+  return [value ?? []].flat()
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+module.exports = {
+  parseDateParam,
+  parseDateRange,
+  parseIntegerParam,
+  parseListParam
+};
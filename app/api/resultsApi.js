@@ -0,0 +1,91 @@
+const { getResult, deleteResult } = require('../services/ocrService');
+const { isDatabaseConnected } = require('../db/database');
+const { logger } = require('../utils/logger');
+const { wrapError, DatabaseError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Results API Handlers - stored OCR results, addressed by the resultId of the OCR response
+ */
+
+const RESULT_ID_PATTERN = /^ocr_[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Read and check the :id route parameter
+ * @param {object} req - Express request object
+ * @returns {string} Result id
+ * @throws {DatabaseError} If results aren't stored (no database)
+ * @throws {NotFoundError} If the id can't be a result id
+ */
+function resultIdParam(req) {
+  if (!isDatabaseConnected()) {
+    throw new DatabaseError('Database not available - OCR results are not stored', 'get_result', true);
+  }
+
+  const resultId = String(req.params.id);
+  if (!RESULT_ID_PATTERN.test(resultId)) {
+    throw new NotFoundError(`Result ${resultId} not found`, 'result', resultId);
+  }
+  return resultId;
+}
+
+/**
+ * Result API Handler - returns the full stored result: text, metadata, timings, language and file hash
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function resultHandler(req, res, next) {
+  const requestLogger = logger.child({ requestId: req.requestId, endpoint: 'GET /ocr/results/:id' });
+
+  try {
+    const result = await getResult(resultIdParam(req));
+    res.json(result);
+  } catch (error) {
+    const ocrError = error.name && error.statusCode ? error : wrapError(error, 'results_api');
+
+    requestLogger.error('Results API Error', {
+      error: ocrError.message,
+      resultId: req.params.id,
+      statusCode: ocrError.statusCode,
+      errorCode: ocrError.errorCode
+    });
+
+    next(ocrError);
+  }
+}
+
+/**
+ * Delete Result API Handler - removes a stored result (and the cached results for its file)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function deleteResultHandler(req, res, next) {
+  const requestLogger = logger.child({ requestId: req.requestId, endpoint: 'DELETE /ocr/results/:id' });
+
+  try {
+    const report = await deleteResult(resultIdParam(req));
+
+    requestLogger.info('OCR result deleted', {
+      resultId: report.resultId,
+      evictedCacheEntries: report.evictedCacheEntries
+    });
+
+    res.json(report);
+  } catch (error) {
+    const ocrError = error.name && error.statusCode ? error : wrapError(error, 'results_api');
+
+    requestLogger.error('Results API Error', {
+      error: ocrError.message,
+      resultId: req.params.id,
+      statusCode: ocrError.statusCode,
+      errorCode: ocrError.errorCode
+    });
+
+    next(ocrError);
+  }
+}
+
+module.exports = {
+  resultHandler,
+  deleteResultHandler,
+  RESULT_ID_PATTERN
+};
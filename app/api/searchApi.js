@@ -0,0 +1,86 @@
+const { search } = require('../services/ocrService');
+const { isDatabaseConnected } = require('../db/database');
+const { logger } = require('../utils/logger');
+const { wrapError, DatabaseError, ValidationError } = require('../utils/errors');
+const { parseDateRange, parseIntegerParam, parseListParam } = require('./queryParams');
+
+// Search query limits
+const SEARCH_CONFIG = {
+  maxQueryLength: 200,
+  modes: ['natural', 'boolean']
+};
+
+/**
+ * Read and check the search query parameters
+ * @param {object} query - Express req.query
+ * @returns {object} { q, options } for the search service
+ * @throws {ValidationError} If a parameter is missing or malformed
+ */
+function parseSearchParams(query) {
+  const q = String(query.q ?? '').trim();
+  if (!q) {
+    throw new ValidationError('q (search text) is required', 'q');
+  }
+  if (q.length > SEARCH_CONFIG.maxQueryLength) {
+    throw new ValidationError(`q must be at most ${SEARCH_CONFIG.maxQueryLength} characters`, 'q');
+  }
+
+  const mode = String(query.mode || 'natural').toLowerCase();
+  if (!SEARCH_CONFIG.modes.includes(mode)) {
+    throw new ValidationError(`mode must be one of: ${SEARCH_CONFIG.modes.join(', ')}`, 'mode', { allowed: SEARCH_CONFIG.modes });
+  }
+
+  const limit = parseIntegerParam(query.limit, 'limit', { min: 1, defaultValue: 10 });
+  const offset = parseIntegerParam(query.offset, 'offset', { min: 0, defaultValue: 0 });
+  const { from, to } = parseDateRange(query);
+
+  // mime_type=image/png,image/jpeg (or repeated mime_type parameters), as in GET /logs
+  const mimeTypes = parseListParam(query.mime_type);
+
+  return { q, options: { mode, from, to, mimeTypes, limit, offset } };
+}
+
+/**
+ * Search API Handler - full-text search over historical OCR output
+ *
+ * WARNING: Like GET /logs, this exposes the text of every processed image.
+ * Protect or remove it before exposing the service publicly.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function searchHandler(req, res, next) {
+  const requestLogger = logger.child({ requestId: req.requestId, endpoint: 'GET /ocr/search' });
+
+  try {
+    if (!isDatabaseConnected()) {
+      throw new DatabaseError('Database not available - search needs the OCR logs', 'search', true);
+    }
+
+    const { q, options } = parseSearchParams(req.query);
+    const result = await search(q, options);
+
+    requestLogger.info('OCR search completed', {
+      mode: options.mode,
+      total: result.total,
+      returned: result.data.length
+    });
+
+    res.json(result);
+  } catch (error) {
+    const ocrError = error.name && error.statusCode ? error : wrapError(error, 'search_api');
+
+    requestLogger.error('Search API Error', {
+      error: ocrError.message,
+      statusCode: ocrError.statusCode,
+      errorCode: ocrError.errorCode
+    });
+
+    next(ocrError);
+  }
+}
+
+module.exports = {
+  searchHandler,
+  SEARCH_CONFIG
+};
@@ -0,0 +1,66 @@
+const { stats, STATS_INTERVALS } = require('../services/statsService');
+const { isDatabaseConnected } = require('../db/database');
+const { logger } = require('../utils/logger');
+const { wrapError, DatabaseError, ValidationError } = require('../utils/errors');
+const { parseDateRange } = require('./queryParams');
+
+/**
+ * Read and check the stats query parameters
+ * @param {object} query - Express req.query
+ * @returns {object} Options for the stats service
+ * @throws {ValidationError} If a parameter is malformed
+ */
+function parseStatsParams(query) {
+  const interval = query.interval ? String(query.interval).toLowerCase() : null;
+  if (interval && !STATS_INTERVALS[interval]) {
+    throw new ValidationError(`interval must be one of: ${Object.keys(STATS_INTERVALS).join(', ')}`, 'interval', {
+      allowed: Object.keys(STATS_INTERVALS)
+    });
+  }
+
+  return { ...parseDateRange(query), interval };
+}
+
+/**
+ * Stats API Handler - usage analytics (volume, latency percentiles, cache hit ratio, errors)
+ *
+ * Aggregates only: no extracted text, file names or client details leave the database.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function statsHandler(req, res, next) {
+  const requestLogger = logger.child({ requestId: req.requestId, endpoint: 'GET /stats' });
+
+  try {
+    if (!isDatabaseConnected()) {
+      throw new DatabaseError('Database not available - stats are computed from the OCR logs', 'get_stats', true);
+    }
+
+    const options = parseStatsParams(req.query);
+    const result = await stats(options);
+
+    requestLogger.info('OCR stats served', {
+      from: result.from,
+      to: result.to,
+      interval: result.interval,
+      cached: result.cached
+    });
+
+    res.json(result);
+  } catch (error) {
+    const ocrError = error.name && error.statusCode ? error : wrapError(error, 'stats_api');
+
+    requestLogger.error('Stats API Error', {
+      error: ocrError.message,
+      statusCode: ocrError.statusCode,
+      errorCode: ocrError.errorCode
+    });
+
+    next(ocrError);
+  }
+}
+
+module.exports = {
+  statsHandler
+};
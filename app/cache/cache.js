@@ -1,76 +1,123 @@
-const redis = require('redis');
 const crypto = require('crypto');
+const { commandOptions } = require('redis');
+const memoryCache = require('./memoryCache');
+const { encodeEntry, decodeEntry, getCodecStats, CODEC_CONFIG } = require('./cacheCodec');
+const { loadRedisConfig, parseRedisUrl, normalizeConfig, connectRedis } = require('./redisConnection');
 
-// Redis configuration for different environments
-const redisConfigs = {
-  // AWS ElastiCache Redis (primary)
-  aws: {
-    host: process.env.REDIS_HOST || process.env.AWS_REDIS_HOST,
-    port: process.env.REDIS_PORT || 6379,
-    password: process.env.REDIS_PASSWORD || process.env.AWS_REDIS_PASSWORD,
-    connectTimeout: 5000,
-    lazyConnect: true,
-    retryDelayOnFailover: 100,
-    enableReadyCheck: true,
-    maxRetriesPerRequest: 2
-  },
-  // Local containerized Redis (fallback)
-  local: {
-    host: 'localhost',
-    port: 6379,
-    connectTimeout: 2000,
-    lazyConnect: true,
-    enableReadyCheck: true,
-    maxRetriesPerRequest: 1
-  }
-};
+// Local containerized Redis, tried when the configured Redis is missing or unreachable
+const LOCAL_REDIS_URL = 'redis://localhost:6379';
+
+// The localhost fallback hides a broken production setup, so production skips it unless asked for
+const LOCAL_FALLBACK_ENABLED = process.env.REDIS_LOCAL_FALLBACK
+  ? process.env.REDIS_LOCAL_FALLBACK === 'true'
+  : process.env.NODE_ENV !== 'production';
 
-// Global Redis client
+// Global Redis connection; redisClient is its command client (replaced after a Sentinel failover)
+let redisConnection = null;
 let redisClient = null;
 let cacheEnabled = false;
 let connectionType = null;
 
+// Redis tier counters (the memory tier keeps its own, see memoryCache.getStats)
+const redisStats = {
+  hits: 0,
+  misses: 0,
+  errors: 0
+};
+
+// Time spent answering lookups, per tier (hits and misses), for average lookup times
+const lookupTimings = {
+  memory: { lookups: 0, totalMs: 0 },
+  redis: { lookups: 0, totalMs: 0 }
+};
+
+// Request coalescing: concurrent misses for one key share a single computation
+const COALESCE_CONFIG = {
+  lockTtlMs: parseInt(process.env.CACHE_LOCK_TTL_MS) || 30000, // Cross-instance lock lifetime (covers one recognition)
+  pollIntervalMs: parseInt(process.env.CACHE_LOCK_POLL_MS) || 200 // How often waiting instances check for the leader's result
+};
+
+// cacheKey -> Promise of the leader's result (this process only)
+const inFlight = new Map();
+
+// Evictions are broadcast so every instance drops its memory-tier copies, not just the one that evicted
+const EVICTION_CHANNEL = 'ocr:evictions';
+const INSTANCE_ID = crypto.randomUUID();
+let evictionSubscriber = null;
+
+const coalesceStats = {
+  local: 0, // Requests that awaited a computation in this process
+  remote: 0, // Requests answered by another instance's computation
+  lockTimeouts: 0 // Waits that gave up and computed themselves
+};
+
+/**
+ * Record how long a tier took to answer a lookup
+ * @param {string} tier - 'memory' or 'redis'
+ * @param {number} durationMs - Lookup time
+ */
+function recordLookup(tier, durationMs) {
+  lookupTimings[tier].lookups++;
+  lookupTimings[tier].totalMs += durationMs;
+}
+
 /**
  * Initialize Redis connection
- * Attempts AWS ElastiCache first, then falls back to local Redis
+ * Attempts the configured Redis first (REDIS_CONFIG, REDIS_URL or REDIS_HOST), then falls back to local Redis
  */
 async function init() {
   console.log('🔄 Initializing Redis cache connection...');
+
+  let redisConfig = null;
+  try {
+    redisConfig = loadRedisConfig();
+  } catch (error) {
+    console.error('❌ Invalid Redis configuration:', error.message);
+  }
   
-  // Try AWS ElastiCache first if configuration is available
-  if (redisConfigs.aws.host) {
-    console.log('🌐 Attempting connection to AWS ElastiCache Redis...');
-    console.log(`📍 AWS Redis Host: ${redisConfigs.aws.host}:${redisConfigs.aws.port}`);
+  // Try the configured Redis first (AWS ElastiCache in production)
+  if (redisConfig) {
+    const hosts = redisConfig.nodes.map(node => `${node.host}:${node.port}`).join(', ');
+    console.log(`🌐 Attempting connection to configured Redis (${redisConfig.mode}${redisConfig.tls ? ', TLS' : ''})...`);
+    console.log(`📍 Redis ${redisConfig.mode === 'standalone' ? 'host' : `${redisConfig.mode} nodes`}: ${hosts}`);
     
-    const success = await tryConnection('aws', redisConfigs.aws);
+    const success = await tryConnection('aws', redisConfig);
     if (success) {
       connectionType = 'aws';
       cacheEnabled = true;
-      console.log('✅ Successfully connected to AWS ElastiCache Redis');
-      console.log('🎯 Cache system enabled with AWS backend');
+      console.log('✅ Successfully connected to configured Redis');
+      console.log(`🎯 Cache system enabled with ${redisConfig.mode} backend`);
       return;
     }
   } else {
-    console.log('⚠️ No AWS Redis configuration found, skipping AWS connection attempt');
+    console.log('⚠️ No Redis configuration found, skipping configured Redis connection attempt');
   }
   
-  // Fall back to local Redis
-  console.log('🏠 Attempting connection to local Redis container...');
-  console.log('📍 Local Redis: localhost:6379');
-  console.log('💡 Expected local setup: docker run -d --name redis-demo -p 6379:6379 redis:latest');
-  
-  const success = await tryConnection('local', redisConfigs.local);
-  if (success) {
-    connectionType = 'local';
-    cacheEnabled = true;
-    console.log('✅ Successfully connected to local Redis container');
-    console.log('🎯 Cache system enabled with local backend');
-    return;
+  if (LOCAL_FALLBACK_ENABLED) {
+    // Fall back to local Redis
+    console.log('🏠 Attempting connection to local Redis container...');
+    console.log('📍 Local Redis: localhost:6379');
+    console.log('💡 Expected local setup: docker run -d --name redis-demo -p 6379:6379 redis:latest');
+    
+    const success = await tryConnection('local', normalizeConfig({ ...parseRedisUrl(LOCAL_REDIS_URL), connectTimeout: 2000 }));
+    if (success) {
+      connectionType = 'local';
+      cacheEnabled = true;
+      console.log('✅ Successfully connected to local Redis container');
+      console.log('🎯 Cache system enabled with local backend');
+      return;
+    }
+    console.log('❌ Failed to connect to both configured and local Redis');
+  } else {
+    console.error('❌ Configured Redis unavailable and local fallback is disabled (REDIS_LOCAL_FALLBACK)');
   }
   
   // No Redis available
-  console.log('❌ Failed to connect to both AWS and local Redis');
-  console.log('⚠️ Cache system disabled - OCR requests will always process images');
+  if (memoryCache.isEnabled()) {
+    console.log('🧠 Cache system running on the in-process memory tier only');
+  } else {
+    console.log('⚠️ Cache system disabled - OCR requests will always process images');
+  }
   cacheEnabled = false;
   connectionType = null;
 }
@@ -78,47 +125,31 @@ async function init() {
 /**
  * Try to establish Redis connection with given configuration
  * @param {string} type - Connection type ('aws' or 'local')
- * @param {object} config - Redis configuration
+ * @param {object} config - Normalized Redis configuration (see redisConnection.normalizeConfig)
  * @returns {boolean} True if connection successful
  */
 async function tryConnection(type, config) {
   try {
-    // Create Redis client
-    const client = redis.createClient({
-      socket: {
-        host: config.host,
-        port: config.port,
-        connectTimeout: config.connectTimeout,
-      },
-      password: config.password,
-      lazyConnect: config.lazyConnect,
-      retryDelayOnFailover: config.retryDelayOnFailover,
-      enableReadyCheck: config.enableReadyCheck,
-      maxRetriesPerRequest: config.maxRetriesPerRequest
-    });
-
-    // Set up error handlers
-    client.on('error', (err) => {
-      console.error(`❌ Redis ${type} connection error:`, err.message);
+    // Connect (standalone, sentinel or cluster) and follow Sentinel failovers
+    const connection = await connectRedis(config, type, (client) => {
+      redisClient = client;
+      watchEvictions();
     });
 
-    client.on('ready', () => {
-      console.log(`🚀 Redis ${type} client ready`);
-    });
-
-    client.on('reconnecting', () => {
-      console.log(`🔄 Redis ${type} client reconnecting...`);
-    });
-
-    // Attempt to connect
-    await client.connect();
-    
     // Test the connection
-    await client.ping();
-    console.log(`✅ Redis ${type} ping successful`);
+    try {
+      const [node] = await connection.nodeClients();
+      await node.ping();
+    } catch (error) {
+      await connection.close().catch(() => {});
+      throw error;
+    }
+    console.log(`✅ Redis ${type} ping successful (${describeNode(connection.node())})`);
     
-    // Store the successful client
-    redisClient = client;
+    // Store the successful connection
+    redisConnection = connection;
+    redisClient = connection.client;
+    await watchEvictions();
     return true;
     
   } catch (error) {
@@ -128,74 +159,227 @@ async function tryConnection(type, config) {
 }
 
 /**
- * Generate a hash for file content to use as cache key
- * @param {Buffer|string} fileContent - File content to hash
- * @param {string} originalName - Original filename for additional uniqueness
- * @returns {string} SHA-256 hash of the content
+ * Subscribe to eviction broadcasts from other instances, through the current command client's server
+ * Without the subscription evictions still reach Redis, but memory-tier copies here live until they expire.
  */
-function generateFileHash(fileContent, originalName = '') {
-  const hash = crypto.createHash('sha256');
-  hash.update(fileContent);
-  hash.update(originalName); // Include filename for additional uniqueness
-  return `ocr:${hash.digest('hex')}`;
+async function watchEvictions() {
+  const previous = evictionSubscriber;
+  evictionSubscriber = null;
+  if (previous) await previous.quit().catch(() => {});
+
+  try {
+    const subscriber = redisClient.duplicate();
+    subscriber.on('error', (err) => {
+      console.error('❌ Redis eviction subscriber error:', err.message);
+    });
+    await subscriber.connect();
+    await subscriber.subscribe(EVICTION_CHANNEL, onEvictionMessage);
+    evictionSubscriber = subscriber;
+  } catch (error) {
+    console.error('⚠️ Could not subscribe to cache evictions from other instances:', error.message);
+  }
+}
+
+/**
+ * Apply an eviction broadcast by another instance to the memory tier
+ * @param {string} message - JSON { instance, contentHash }; a null contentHash is a flush
+ */
+function onEvictionMessage(message) {
+  try {
+    const { instance, contentHash } = JSON.parse(message);
+    if (instance === INSTANCE_ID) return;
+
+    const deleted = contentHash ? evictMemoryEntries(contentHash).length : memoryCache.clear();
+    if (deleted > 0) {
+      console.log(`🗑️ Dropped ${deleted} memory cache entr${deleted === 1 ? 'y' : 'ies'} evicted by another instance`);
+    }
+  } catch (error) {
+    console.error('❌ Ignoring malformed cache eviction message:', error.message);
+  }
+}
+
+/**
+ * Tell the other instances to drop memory-tier copies of evicted entries
+ * @param {string|null} contentHash - SHA-256 of the file whose entries were evicted, or null after a flush
+ * @returns {Promise<boolean>} True if the broadcast was sent (false without Redis or on error)
+ */
+async function broadcastEviction(contentHash) {
+  if (!cacheEnabled || !redisClient) return false;
+
+  try {
+    await redisClient.publish(EVICTION_CHANNEL, JSON.stringify({ instance: INSTANCE_ID, contentHash }));
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to broadcast cache eviction:', error.message);
+    return false;
+  }
+}
+
+/**
+ * One-line description of the node(s) a connection talks to
+ * @param {object} node - Connection node info
+ * @returns {string} Description
+ */
+function describeNode(node) {
+  const address = node.mode === 'cluster' ? `masters ${node.masters.join(', ')}` : node.address;
+  return `${node.mode} ${address}${node.tls ? ' over TLS' : ''}${node.username ? ` as ${node.username}` : ''}`;
+}
+
+/**
+ * Cache key scheme: ocr:v<version>:<sha256 of the image bytes>:<digest of the result options>
+ * Bump CACHE_KEY_VERSION (or the OCR_CACHE_KEY_VERSION env var) to invalidate every cached result on deploy.
+ */
+const CACHE_KEY_VERSION = process.env.OCR_CACHE_KEY_VERSION || '3';
+
+// Every key this service writes starts with this prefix; admin operations never touch anything else
+const CACHE_KEY_PREFIX = 'ocr:';
+
+/**
+ * SHA-256 of an uploaded file - the content part of its cache keys
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashFile(filePath) {
+  const fs = require('fs').promises;
+  return crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+}
+
+/**
+ * Canonical digest of the options a result was produced with.
+ * Keys are sorted and empty values dropped, so equivalent option sets always digest the same.
+ * @param {object} variant - Output-affecting options (language, engine, traineddata, output, detail, preprocess, regions, page)
+ * @returns {string} Hex digest
+ */
+function digestVariant(variant = {}) {
+  const canonical = Object.keys(variant)
+    .filter(key => variant[key] !== undefined && variant[key] !== null && variant[key] !== '')
+    .sort()
+    .map(key => [key, variant[key]]);
+  return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex').slice(0, 32);
+}
+
+/**
+ * Build the cache key for a result
+ * The file name plays no part: the same bytes uploaded under another name hit the same entry.
+ * @param {string} contentHash - SHA-256 of the file content (hashFile)
+ * @param {object} variant - Output-affecting options (see digestVariant)
+ * @returns {string} Cache key, e.g. ocr:v2:<content hash>:<options digest>
+ */
+function generateCacheKey(contentHash, variant = {}) {
+  return `${CACHE_KEY_PREFIX}v${CACHE_KEY_VERSION}:${contentHash}:${digestVariant(variant)}`;
+}
+
+/**
+ * Parse a cached entry and add cache metadata to it
+ * @param {string} serialized - Cached JSON
+ * @param {string} tier - Tier that answered ('memory' or 'redis')
+ * @param {number} lookupTime - Time spent in that tier (ms)
+ * @param {number} cacheStartTime - performance.now() when the lookup started
+ * @returns {object} Cached OCR result with cache metadata
+ */
+function cacheHitResult(serialized, tier, lookupTime, cacheStartTime) {
+  return {
+    ...JSON.parse(serialized),
+    fromCache: true,
+    cacheBackend: tier === 'memory' ? 'memory' : connectionType,
+    cacheTier: tier,
+    cacheHit: true,
+    cacheLookupTimeMs: Math.round(lookupTime),
+    totalCacheTimeMs: Math.round(performance.now() - cacheStartTime)
+  };
+}
+
+/**
+ * Read a Redis entry as raw bytes and decode it (compressed entries and plain JSON alike)
+ * @param {string} key - Cache key
+ * @returns {Promise<object|null>} { json, encoding, storedBytes, ttlMs } or null if absent
+ */
+async function readRedisEntry(key) {
+  const [stored, ttlMs] = await Promise.all([
+    redisClient.get(commandOptions({ returnBuffers: true }), key),
+    redisClient.pTTL(key)
+  ]);
+  if (!stored) return null;
+
+  const decoded = await decodeEntry(stored);
+  return { ...decoded, ttlMs };
+}
+
+/**
+ * Copy a Redis entry into the memory tier, for no longer than Redis still keeps it
+ * Otherwise every copy would restart the memory TTL, and an entry could outlive its Redis original.
+ * @param {string} key - Cache key
+ * @param {object} entry - Entry from readRedisEntry
+ */
+function copyToMemory(key, entry) {
+  // PTTL is -1 for a key without expiry and -2 for one that expired since it was read
+  if (entry.ttlMs === -2) return;
+  memoryCache.set(key, entry.json, entry.ttlMs > 0 ? entry.ttlMs / 1000 : undefined);
 }
 
 /**
  * Get OCR result from cache or return null if not found
- * @param {string} filePath - Path to the image file
- * @param {string} originalName - Original filename
+ * Checks the in-process memory tier first, then Redis; Redis hits are copied into memory.
+ * @param {string} contentHash - SHA-256 of the file content (hashFile)
+ * @param {object} variant - Options the result was produced with (see digestVariant)
  * @returns {object|null} Cached OCR result or null if not found
  */
-async function get_from_cache(filePath, originalName) {
-  if (!cacheEnabled || !redisClient) {
+async function get_from_cache(contentHash, variant = {}) {
+  const redisAvailable = cacheEnabled && redisClient;
+
+  if (!redisAvailable && !memoryCache.isEnabled()) {
     console.log('⚠️ Cache not available - cache miss (disabled)');
     return null;
   }
 
   const cacheStartTime = performance.now();
+  const cacheKey = generateCacheKey(contentHash, variant);
+
+  console.log(`🔍 Checking cache for ${contentHash.substring(0, 12)}...`);
+  console.log(`🔑 Cache key: ${cacheKey.substring(0, 28)}...`);
+
+  const memoryLookupStartTime = performance.now();
+  const memoryResult = memoryCache.get(cacheKey);
+  const memoryLookupTime = performance.now() - memoryLookupStartTime;
+  recordLookup('memory', memoryLookupTime);
+
+  if (memoryResult) {
+    console.log(`🎯 CACHE HIT for ${contentHash.substring(0, 12)} (memory tier)`);
+    console.log(`⏱️  Memory lookup time: ${memoryLookupTime.toFixed(2)}ms`);
+    console.log('✨ Saved OCR processing time for duplicate image');
+    return cacheHitResult(memoryResult, 'memory', memoryLookupTime, cacheStartTime);
+  }
+
+  if (!redisAvailable) {
+    console.log(`❌ CACHE MISS for ${contentHash.substring(0, 12)} (memory tier, Redis unavailable)`);
+    console.log('🔄 Will process OCR and cache result');
+    return null;
+  }
 
   try {
-    const fs = require('fs').promises;
-    
-    // Read file content for hashing
-    const fileReadStartTime = performance.now();
-    const fileContent = await fs.readFile(filePath);
-    const fileReadTime = performance.now() - fileReadStartTime;
-    
-    const cacheKey = generateFileHash(fileContent, originalName);
-    
-    console.log(`🔍 Checking cache for ${originalName}`);
-    console.log(`🔑 Cache key: ${cacheKey.substring(0, 20)}...`);
-    console.log(`📖 File read time: ${fileReadTime.toFixed(2)}ms`);
-    
-    // Try to get from cache
+    // Try to get from Redis
     const redisLookupStartTime = performance.now();
-    const cachedResult = await redisClient.get(cacheKey);
+    const cachedEntry = await readRedisEntry(cacheKey);
     const redisLookupTime = performance.now() - redisLookupStartTime;
+    recordLookup('redis', redisLookupTime);
     
     const totalCacheTime = performance.now() - cacheStartTime;
     
-    if (cachedResult) {
+    if (cachedEntry) {
       // Cache hit!
-      const parsedResult = JSON.parse(cachedResult);
-      console.log(`🎯 CACHE HIT for ${originalName}`);
-      console.log(`📊 Cache backend: ${connectionType}`);
+      redisStats.hits++;
+      const result = cacheHitResult(cachedEntry.json, 'redis', redisLookupTime, cacheStartTime);
+      copyToMemory(cacheKey, cachedEntry);
+      console.log(`🎯 CACHE HIT for ${contentHash.substring(0, 12)}`);
+      console.log(`📊 Cache backend: ${connectionType} (${cachedEntry.encoding}, ${cachedEntry.storedBytes} bytes)`);
       console.log(`⏱️  Redis lookup time: ${redisLookupTime.toFixed(2)}ms`);
       console.log(`⏱️  Total cache time: ${totalCacheTime.toFixed(2)}ms`);
       console.log('✨ Saved OCR processing time for duplicate image');
-      
-      // Add cache metadata to the result
-      return {
-        ...parsedResult,
-        fromCache: true,
-        cacheBackend: connectionType,
-        cacheHit: true,
-        cacheLookupTimeMs: Math.round(redisLookupTime),
-        totalCacheTimeMs: Math.round(totalCacheTime)
-      };
+      return result;
     } else {
       // Cache miss
-      console.log(`❌ CACHE MISS for ${originalName}`);
+      redisStats.misses++;
+      console.log(`❌ CACHE MISS for ${contentHash.substring(0, 12)}`);
       console.log(`📊 Cache backend: ${connectionType}`);
       console.log(`⏱️  Redis lookup time: ${redisLookupTime.toFixed(2)}ms`);
       console.log(`⏱️  Total cache check time: ${totalCacheTime.toFixed(2)}ms`);
@@ -204,6 +388,7 @@ async function get_from_cache(filePath, originalName) {
     }
     
   } catch (error) {
+    redisStats.errors++;
     const totalCacheTime = performance.now() - cacheStartTime;
     console.error('❌ Cache lookup error:', error.message);
     console.log(`⏱️  Cache error occurred after: ${totalCacheTime.toFixed(2)}ms`);
@@ -213,38 +398,52 @@ async function get_from_cache(filePath, originalName) {
 }
 
 /**
- * Store OCR result in cache
- * @param {string} filePath - Path to the image file
- * @param {string} originalName - Original filename
+ * Store OCR result in cache (memory tier and, when connected, Redis)
+ * Redis gets the entry compressed once it reaches CACHE_COMPRESSION_THRESHOLD; the memory tier keeps plain JSON.
+ * Results larger than CACHE_MAX_ENTRY_BYTES are not cached at all.
+ * @param {string} contentHash - SHA-256 of the file content (hashFile)
  * @param {object} ocrResult - OCR result to cache
+ * @param {object} variant - Options the result was produced with (see digestVariant)
  * @param {number} ttl - Time to live in seconds (default: 24 hours)
  */
-async function store_in_cache(filePath, originalName, ocrResult, ttl = 86400) {
-  if (!cacheEnabled || !redisClient) {
+async function store_in_cache(contentHash, ocrResult, variant = {}, ttl = 86400) {
+  const redisAvailable = cacheEnabled && redisClient;
+
+  if (!redisAvailable && !memoryCache.isEnabled()) {
     console.log('⚠️ Cache not available - skipping cache storage');
     return;
   }
 
   try {
-    const fs = require('fs').promises;
-    
-    // Read file content for hashing
-    const fileContent = await fs.readFile(filePath);
-    const cacheKey = generateFileHash(fileContent, originalName);
+    const cacheKey = generateCacheKey(contentHash, variant);
     
     // Remove cache metadata from result before storing
     const cacheableResult = { ...ocrResult };
     delete cacheableResult.fromCache;
     delete cacheableResult.cacheBackend;
+    delete cacheableResult.cacheTier;
     delete cacheableResult.cacheHit;
+    const serialized = JSON.stringify(cacheableResult);
+
+    const entry = await encodeEntry(serialized);
+    if (!entry.data) {
+      console.log(`⚠️ Result for ${contentHash.substring(0, 12)} is ${entry.rawBytes} bytes, over the ${CODEC_CONFIG.maxEntryBytes} byte cache limit - not cached`);
+      return;
+    }
     
     // Store in cache
-    await redisClient.setEx(cacheKey, ttl, JSON.stringify(cacheableResult));
+    const storedInMemory = memoryCache.set(cacheKey, serialized, ttl);
+    if (redisAvailable) {
+      await redisClient.setEx(cacheKey, ttl, entry.data);
+    }
     
-    console.log(`💾 CACHED RESULT for ${originalName}`);
-    console.log(`🔑 Cache key: ${cacheKey.substring(0, 20)}...`);
+    console.log(`💾 CACHED RESULT for ${contentHash.substring(0, 12)}`);
+    console.log(`🔑 Cache key: ${cacheKey.substring(0, 28)}...`);
     console.log(`⏰ TTL: ${ttl} seconds (${Math.round(ttl/3600)} hours)`);
-    console.log(`📊 Cache backend: ${connectionType}`);
+    console.log(`📊 Cache tiers: ${[storedInMemory && 'memory', redisAvailable && connectionType].filter(Boolean).join(' + ') || 'none'}`);
+    if (redisAvailable) {
+      console.log(`📦 Stored ${entry.storedBytes} of ${entry.rawBytes} bytes (${entry.encoding})`);
+    }
     
   } catch (error) {
     console.error('❌ Cache storage error:', error.message);
@@ -252,30 +451,178 @@ async function store_in_cache(filePath, originalName, ocrResult, ttl = 86400) {
   }
 }
 
+/**
+ * Release a lock only if this process still holds it (it may have expired and been taken over)
+ */
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+/**
+ * Try to become the instance that computes a result
+ * @param {string} lockKey - Lock key
+ * @returns {Promise<string|null|false>} Lock token, null when locking is unavailable, false if another instance holds it
+ */
+async function acquireLock(lockKey) {
+  if (!cacheEnabled || !redisClient) {
+    return null;
+  }
+
+  const token = crypto.randomUUID();
+  try {
+    const acquired = await redisClient.set(lockKey, token, { NX: true, PX: COALESCE_CONFIG.lockTtlMs });
+    return acquired ? token : false;
+  } catch (error) {
+    console.error('❌ Cache lock error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Release a lock taken with acquireLock
+ * @param {string} lockKey - Lock key
+ * @param {string} token - Token returned by acquireLock
+ */
+async function releaseLock(lockKey, token) {
+  try {
+    await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey], arguments: [token] });
+  } catch (error) {
+    console.error('❌ Cache unlock error:', error.message);
+  }
+}
+
+/**
+ * Wait for another instance to store the result it is computing
+ * @param {string} cacheKey - Cache key of the result
+ * @param {string} lockKey - Lock held by the computing instance
+ * @returns {Promise<object|null>} The stored result, or null if the lock went away (or timed out) without one
+ */
+async function waitForRemoteResult(cacheKey, lockKey) {
+  const deadline = Date.now() + COALESCE_CONFIG.lockTtlMs;
+
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, COALESCE_CONFIG.pollIntervalMs));
+
+    try {
+      const [entry, lockHeld] = await Promise.all([readRedisEntry(cacheKey), redisClient.exists(lockKey)]);
+      if (entry) {
+        copyToMemory(cacheKey, entry);
+        return { ...JSON.parse(entry.json), fromCache: true, cacheBackend: connectionType, cacheTier: 'redis', cacheHit: true };
+      }
+      if (!lockHeld) {
+        return null; // The leader failed or gave up
+      }
+    } catch (error) {
+      console.error('❌ Cache wait error:', error.message);
+      return null;
+    }
+  }
+
+  coalesceStats.lockTimeouts++;
+  return null;
+}
+
+/**
+ * Compute a result once for all concurrent requests with the same cache key
+ * Call after a cache miss. Within this process, later callers await the first caller's computation;
+ * across instances, a short-lived Redis lock elects one instance and the others wait for its store_in_cache.
+ * `compute` must store its result with store_in_cache itself.
+ * @param {string} contentHash - SHA-256 of the file content (hashFile)
+ * @param {object} variant - Options the result is produced with (see digestVariant)
+ * @param {Function} compute - () => Promise<object> producing (and caching) the result
+ * @returns {Promise<object>} { result, coalesced } - coalesced is true when another request did the work
+ */
+async function coalesce(contentHash, variant, compute) {
+  const cacheKey = generateCacheKey(contentHash, variant);
+
+  const pending = inFlight.get(cacheKey);
+  if (pending) {
+    coalesceStats.local++;
+    console.log(`🤝 Coalesced with in-flight request for ${contentHash.substring(0, 12)}`);
+    return { result: await pending, coalesced: true };
+  }
+
+  const lockKey = `lock:${cacheKey}`;
+  let coalesced = false;
+
+  const leader = (async () => {
+    const token = await acquireLock(lockKey);
+
+    if (token === false) {
+      console.log(`⏳ Another instance is processing ${contentHash.substring(0, 12)} - waiting for its result`);
+      const remoteResult = await waitForRemoteResult(cacheKey, lockKey);
+      if (remoteResult) {
+        coalesceStats.remote++;
+        coalesced = true;
+        return remoteResult;
+      }
+    }
+
+    try {
+      return await compute();
+    } finally {
+      if (token) await releaseLock(lockKey, token);
+    }
+  })();
+
+  inFlight.set(cacheKey, leader);
+  try {
+    return { result: await leader, coalesced };
+  } finally {
+    inFlight.delete(cacheKey);
+  }
+}
+
 /**
  * Get cache status and statistics
+ * `tiers` reports hits, misses and evictions for the memory and Redis tiers separately;
+ * `compression` reports how much Redis space compression has saved since start.
  * @returns {object} Cache status information
  */
 async function getCacheStatus() {
+  const memory = memoryCache.getStats();
   const status = {
-    enabled: cacheEnabled,
-    backend: connectionType,
+    enabled: cacheEnabled || memory.enabled,
+    backend: connectionType || (memory.enabled ? 'memory' : null),
     connected: false,
-    info: null
+    node: null,
+    info: null,
+    tiers: {
+      memory,
+      redis: {
+        enabled: cacheEnabled,
+        backend: connectionType,
+        ...redisStats,
+        evictions: null
+      }
+    },
+    compression: getCodecStats()
   };
 
-  if (redisClient && cacheEnabled) {
+  if (redisConnection && cacheEnabled) {
+    status.node = redisConnection.node();
+
     try {
-      await redisClient.ping();
+      // Server commands go to the node(s) themselves; a cluster reports every master
+      const nodes = await redisConnection.nodeClients();
+      await nodes[0].ping();
       status.connected = true;
       
       // Get Redis info if available
-      const info = await redisClient.info();
+      const infos = await Promise.all(nodes.map(node => node.info()));
+      const info = infos[0];
       status.info = {
         version: info.match(/redis_version:([^\r\n]+)/)?.[1] || 'unknown',
         uptime: info.match(/uptime_in_seconds:([^\r\n]+)/)?.[1] || 'unknown',
         connected_clients: info.match(/connected_clients:([^\r\n]+)/)?.[1] || 'unknown'
       };
+      // Confirms we reached a writable master (a replica here means a failover wasn't followed)
+      status.node.role = info.match(/role:([^\r\n]+)/)?.[1] || 'unknown';
+
+      // Server-wide count: Redis evicts under maxmemory for every client, not just this instance
+      status.tiers.redis.evictions = sumInfoField(infos, 'evicted_keys');
     } catch (error) {
       console.error('❌ Cache status check error:', error.message);
     }
@@ -284,17 +631,300 @@ async function getCacheStatus() {
   return status;
 }
 
+/**
+ * Visit the Redis keys matching a pattern in batches (SCAN, so Redis is never blocked and
+ * operations over the whole cache never hold every key in memory)
+ * @param {string} pattern - Glob pattern, always under CACHE_KEY_PREFIX
+ * @param {Function} visit - async (keys) => void, called with up to 1000 keys at a time
+ */
+async function forEachKeyBatch(pattern, visit) {
+  // Each cluster master holds its own share of the keyspace
+  for (const node of await redisConnection.nodeClients()) {
+    let batch = [];
+    for await (const key of node.scanIterator({ MATCH: pattern, COUNT: 1000 })) {
+      batch.push(key);
+      if (batch.length === 1000) {
+        await visit(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await visit(batch);
+    }
+  }
+}
+
+/**
+ * Collect the Redis keys matching a pattern (for patterns that match few keys, such as one file's)
+ * @param {string} pattern - Glob pattern, always under CACHE_KEY_PREFIX
+ * @returns {Promise<string[]>} Matching keys
+ */
+async function scanKeys(pattern) {
+  const keys = [];
+  await forEachKeyBatch(pattern, async (batch) => {
+    keys.push(...batch);
+  });
+  return keys;
+}
+
+/**
+ * Count the Redis keys matching a pattern without collecting them
+ * @param {string} pattern - Glob pattern, always under CACHE_KEY_PREFIX
+ * @returns {Promise<number>} Number of matching keys
+ */
+async function countKeys(pattern) {
+  let count = 0;
+  await forEachKeyBatch(pattern, async (batch) => {
+    count += batch.length;
+  });
+  return count;
+}
+
+/**
+ * Delete Redis keys in batches
+ * @param {string[]} keys - Keys to delete
+ * @returns {Promise<number>} Number of keys deleted
+ */
+async function unlinkKeys(keys) {
+  let deleted = 0;
+  for (let i = 0; i < keys.length; i += 500) {
+    const batch = keys.slice(i, i + 500);
+    // A cluster rejects multi-key commands across hash slots, so delete key by key there
+    const counts = redisConnection.mode === 'cluster'
+      ? await Promise.all(batch.map(key => redisClient.unlink(key)))
+      : [await redisClient.unlink(batch)];
+    deleted += counts.reduce((sum, count) => sum + count, 0);
+  }
+  return deleted;
+}
+
+/**
+ * Sum a numeric INFO field over several nodes
+ * @param {string[]} infos - INFO replies
+ * @param {string} field - Field name, e.g. used_memory
+ * @returns {number|null} Sum, or null if no node reported the field
+ */
+function sumInfoField(infos, field) {
+  const values = infos
+    .map(info => info.match(new RegExp(`^${field}:(\\d+)`, 'm'))?.[1])
+    .filter(value => value !== undefined);
+  return values.length === 0 ? null : values.reduce((sum, value) => sum + parseInt(value), 0);
+}
+
+/**
+ * Glob pattern for every cached result of one file, across key versions and options
+ * @param {string} contentHash - SHA-256 of the file content
+ * @returns {string} Pattern
+ */
+function contentHashPattern(contentHash) {
+  return `${CACHE_KEY_PREFIX}*:${contentHash}:*`;
+}
+
+/**
+ * Ratio of hits to lookups, or null before the first lookup
+ * @param {number} hits - Hit count
+ * @param {number} misses - Miss count
+ * @returns {number|null} Ratio (0-1, 4 decimals)
+ */
+function hitRatio(hits, misses) {
+  const lookups = hits + misses;
+  return lookups === 0 ? null : Math.round((hits / lookups) * 10000) / 10000;
+}
+
+/**
+ * Average lookup time of a tier
+ * @param {string} tier - 'memory' or 'redis'
+ * @returns {number|null} Milliseconds (2 decimals), or null before the first lookup
+ */
+function averageLookupMs(tier) {
+  const { lookups, totalMs } = lookupTimings[tier];
+  return lookups === 0 ? null : Math.round((totalMs / lookups) * 100) / 100;
+}
+
+/**
+ * Cache effectiveness statistics for this instance
+ * Hit counts are per process (since start); key counts and memory use are read from the tiers themselves.
+ * @returns {Promise<object>} { hitRatio, hits, misses, tiers: { memory, redis } }
+ */
+async function getCacheStats() {
+  const memory = memoryCache.getStats();
+  // A lookup misses overall only when it misses in every tier it reached
+  const hits = memory.hits + redisStats.hits;
+  const misses = cacheEnabled && redisClient ? redisStats.misses + redisStats.errors : memory.misses;
+
+  const stats = {
+    hitRatio: hitRatio(hits, misses),
+    hits,
+    misses,
+    coalesced: { inFlight: inFlight.size, ...coalesceStats },
+    tiers: {
+      memory: {
+        enabled: memory.enabled,
+        hits: memory.hits,
+        misses: memory.misses,
+        hitRatio: hitRatio(memory.hits, memory.misses),
+        evictions: memory.evictions,
+        keys: memory.entries,
+        memoryBytes: memory.bytes,
+        maxBytes: memory.maxBytes,
+        avgLookupTimeMs: averageLookupMs('memory')
+      },
+      redis: {
+        enabled: cacheEnabled,
+        backend: connectionType,
+        node: redisConnection && cacheEnabled ? redisConnection.node() : null,
+        hits: redisStats.hits,
+        misses: redisStats.misses,
+        errors: redisStats.errors,
+        hitRatio: hitRatio(redisStats.hits, redisStats.misses),
+        keys: null,
+        memoryBytes: null,
+        avgLookupTimeMs: averageLookupMs('redis')
+      }
+    }
+  };
+
+  if (cacheEnabled && redisClient) {
+    try {
+      stats.tiers.redis.keys = await countKeys(`${CACHE_KEY_PREFIX}*`);
+      // used_memory covers the whole Redis server (every master of a cluster), not only ocr: keys
+      const nodes = await redisConnection.nodeClients();
+      stats.tiers.redis.memoryBytes = sumInfoField(await Promise.all(nodes.map(node => node.info('memory'))), 'used_memory');
+    } catch (error) {
+      console.error('❌ Cache stats error:', error.message);
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Describe one cached entry
+ * @param {string} key - Cache key
+ * @param {string} serialized - Cached JSON
+ * @param {string[]} tiers - Tiers holding the entry
+ * @param {number} ttlSeconds - Remaining time to live
+ * @param {object} redisEntry - Decoded Redis entry ({ encoding, storedBytes }), if read from Redis
+ * @returns {object} Entry description including the cached result
+ */
+function describeEntry(key, serialized, tiers, ttlSeconds, redisEntry = null) {
+  return {
+    key,
+    tiers,
+    ttlSeconds,
+    bytes: Buffer.byteLength(serialized),
+    encoding: redisEntry ? redisEntry.encoding : null,
+    storedBytes: redisEntry ? redisEntry.storedBytes : null,
+    result: JSON.parse(serialized)
+  };
+}
+
+/**
+ * Every cached result for one file (all options, all key versions)
+ * @param {string} contentHash - SHA-256 of the file content
+ * @returns {Promise<object[]>} Entries as { key, tiers, ttlSeconds, bytes, encoding, storedBytes, result }
+ */
+async function getCacheEntries(contentHash) {
+  const found = new Map();
+
+  for (const key of memoryCache.keys().filter(key => key.includes(`:${contentHash}:`))) {
+    const entry = memoryCache.peek(key);
+    if (entry) {
+      found.set(key, describeEntry(key, entry.value, ['memory'], entry.ttlSeconds));
+    }
+  }
+
+  if (cacheEnabled && redisClient) {
+    for (const key of await scanKeys(contentHashPattern(contentHash))) {
+      const [entry, ttlSeconds] = await Promise.all([readRedisEntry(key), redisClient.ttl(key)]);
+      if (!entry) {
+        continue;
+      }
+      if (found.has(key)) {
+        // Report the Redis copy's TTL and stored size; the memory copy expires sooner
+        found.set(key, { ...found.get(key), tiers: ['memory', 'redis'], ttlSeconds, encoding: entry.encoding, storedBytes: entry.storedBytes });
+        continue;
+      }
+      found.set(key, describeEntry(key, entry.json, ['redis'], ttlSeconds, entry));
+    }
+  }
+
+  return [...found.values()];
+}
+
+/**
+ * Drop every memory-tier entry for one file
+ * @param {string} contentHash - SHA-256 of the file content
+ * @returns {string[]} Keys removed
+ */
+function evictMemoryEntries(contentHash) {
+  const memoryKeys = memoryCache.keys().filter(key => key.includes(`:${contentHash}:`));
+  memoryKeys.forEach(key => memoryCache.del(key));
+  return memoryKeys;
+}
+
+/**
+ * Evict every cached result for one file from all tiers, on every instance
+ * Redis goes first, so no other instance can copy an entry back into its memory tier after the broadcast.
+ * @param {string} contentHash - SHA-256 of the file content
+ * @returns {Promise<object>} { keys, deleted: { memory, redis }, broadcast }
+ */
+async function evictCacheEntries(contentHash) {
+  let redisKeys = [];
+  let redisDeleted = 0;
+  if (cacheEnabled && redisClient) {
+    redisKeys = await scanKeys(contentHashPattern(contentHash));
+    redisDeleted = await unlinkKeys(redisKeys);
+  }
+
+  const memoryKeys = evictMemoryEntries(contentHash);
+  const broadcast = await broadcastEviction(contentHash);
+
+  console.log(`🗑️ Evicted cache entries for ${contentHash.substring(0, 12)} (memory: ${memoryKeys.length}, redis: ${redisDeleted})`);
+  return {
+    keys: [...new Set([...memoryKeys, ...redisKeys])],
+    deleted: { memory: memoryKeys.length, redis: redisDeleted },
+    broadcast
+  };
+}
+
+/**
+ * Remove every cached OCR result (keys under CACHE_KEY_PREFIX only; other data in Redis is untouched)
+ * @returns {Promise<object>} { deleted: { memory, redis } }
+ */
+async function flushCache() {
+  let redisDeleted = 0;
+  if (cacheEnabled && redisClient) {
+    // Deleted batch by batch as the scan goes (SCAN still returns every key that isn't deleted)
+    await forEachKeyBatch(`${CACHE_KEY_PREFIX}*`, async (batch) => {
+      redisDeleted += await unlinkKeys(batch);
+    });
+  }
+
+  const memoryDeleted = memoryCache.clear();
+  await broadcastEviction(null);
+
+  console.log(`🧹 Flushed OCR cache (memory: ${memoryDeleted}, redis: ${redisDeleted})`);
+  return { deleted: { memory: memoryDeleted, redis: redisDeleted } };
+}
+
 /**
  * Close Redis connection gracefully
  */
 async function closeCache() {
-  if (redisClient) {
+  if (evictionSubscriber) {
+    await evictionSubscriber.quit().catch(() => {});
+    evictionSubscriber = null;
+  }
+
+  if (redisConnection) {
     try {
-      await redisClient.quit();
+      await redisConnection.close();
       console.log('✅ Redis cache connection closed gracefully');
     } catch (error) {
       console.error('❌ Error closing Redis connection:', error.message);
     } finally {
+      redisConnection = null;
       redisClient = null;
       cacheEnabled = false;
       connectionType = null;
@@ -304,8 +934,16 @@ async function closeCache() {
 
 module.exports = {
   init,
+  hashFile,
+  generateCacheKey,
   get_from_cache,
   store_in_cache,
+  coalesce,
   getCacheStatus,
-  closeCache
+  getCacheStats,
+  getCacheEntries,
+  evictCacheEntries,
+  flushCache,
+  closeCache,
+  CACHE_KEY_VERSION
 };
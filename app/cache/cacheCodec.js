@@ -0,0 +1,119 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+/**
+ * Cache Codec - compresses large cache entries before they go to Redis
+ * Compressed entries start with a format marker, "OCZ1:<algorithm>:", followed by the compressed JSON.
+ * Entries without the marker are plain JSON (everything written before compression existed, and
+ * anything below the threshold), so old and new entries can be read side by side.
+ */
+
+const PAYLOAD_MARKER = 'OCZ1:';
+
+const ALGORITHMS = {
+  gzip: { compress: promisify(zlib.gzip), decompress: promisify(zlib.gunzip) },
+  brotli: {
+    compress: (data) => promisify(zlib.brotliCompress)(data, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+        [zlib.constants.BROTLI_PARAM_QUALITY]: 5 // Most of the size win at a fraction of the default (11) cost
+      }
+    }),
+    decompress: promisify(zlib.brotliDecompress)
+  }
+};
+
+// Compression configuration
+const CODEC_CONFIG = {
+  algorithm: process.env.CACHE_COMPRESSION || 'gzip', // gzip, brotli or none
+  thresholdBytes: parseInt(process.env.CACHE_COMPRESSION_THRESHOLD) || 8 * 1024, // Smaller entries are stored as plain JSON
+  maxEntryBytes: parseInt(process.env.CACHE_MAX_ENTRY_BYTES) || 5 * 1024 * 1024 // Results with larger JSON are not cached
+};
+
+if (CODEC_CONFIG.algorithm !== 'none' && !ALGORITHMS[CODEC_CONFIG.algorithm]) {
+  console.error(`❌ Unknown CACHE_COMPRESSION "${CODEC_CONFIG.algorithm}" - storing cache entries uncompressed`);
+  CODEC_CONFIG.algorithm = 'none';
+}
+
+const stats = {
+  compressedEntries: 0,
+  plainEntries: 0,
+  rejectedEntries: 0, // Over maxEntryBytes
+  rawBytes: 0, // JSON size of everything encoded
+  storedBytes: 0 // Size actually written
+};
+
+/**
+ * Encode a serialized result for storage
+ * @param {string} json - Serialized result
+ * @returns {Promise<object>} { data: Buffer|string|null, encoding, rawBytes, storedBytes } - data is null when the JSON is over maxEntryBytes
+ */
+async function encodeEntry(json) {
+  const rawBytes = Buffer.byteLength(json);
+  if (rawBytes > CODEC_CONFIG.maxEntryBytes) {
+    stats.rejectedEntries++;
+    return { data: null, encoding: null, rawBytes, storedBytes: 0 };
+  }
+
+  let data = json;
+  let encoding = 'json';
+
+  if (CODEC_CONFIG.algorithm !== 'none' && rawBytes >= CODEC_CONFIG.thresholdBytes) {
+    const compressed = await ALGORITHMS[CODEC_CONFIG.algorithm].compress(json);
+    // Incompressible data (rare for JSON) is kept as is
+    if (compressed.length < rawBytes) {
+      data = Buffer.concat([Buffer.from(`${PAYLOAD_MARKER}${CODEC_CONFIG.algorithm}:`), compressed]);
+      encoding = CODEC_CONFIG.algorithm;
+    }
+  }
+
+  const storedBytes = typeof data === 'string' ? rawBytes : data.length;
+  stats[encoding === 'json' ? 'plainEntries' : 'compressedEntries']++;
+  stats.rawBytes += rawBytes;
+  stats.storedBytes += storedBytes;
+  return { data, encoding, rawBytes, storedBytes };
+}
+
+/**
+ * Decode a stored entry, compressed or not
+ * @param {Buffer|string} stored - Value read from Redis
+ * @returns {Promise<object>} { json, encoding, storedBytes }
+ * @throws {Error} If the entry names an unknown algorithm or is corrupt
+ */
+async function decodeEntry(stored) {
+  const buffer = Buffer.isBuffer(stored) ? stored : Buffer.from(stored);
+
+  if (buffer.subarray(0, PAYLOAD_MARKER.length).toString() !== PAYLOAD_MARKER) {
+    return { json: buffer.toString('utf8'), encoding: 'json', storedBytes: buffer.length };
+  }
+
+  const algorithmEnd = buffer.indexOf(':', PAYLOAD_MARKER.length);
+  const encoding = buffer.subarray(PAYLOAD_MARKER.length, algorithmEnd).toString();
+  if (algorithmEnd < 0 || !ALGORITHMS[encoding]) {
+    throw new Error(`Unknown cache entry encoding "${encoding}"`);
+  }
+
+  const json = (await ALGORITHMS[encoding].decompress(buffer.subarray(algorithmEnd + 1))).toString('utf8');
+  return { json, encoding, storedBytes: buffer.length };
+}
+
+/**
+ * Compression settings and totals since start
+ * @returns {object} Statistics including bytesSaved
+ */
+function getCodecStats() {
+  return {
+    algorithm: CODEC_CONFIG.algorithm,
+    thresholdBytes: CODEC_CONFIG.thresholdBytes,
+    maxEntryBytes: CODEC_CONFIG.maxEntryBytes,
+    ...stats,
+    bytesSaved: stats.rawBytes - stats.storedBytes
+  };
+}
+
+module.exports = {
+  encodeEntry,
+  decodeEntry,
+  getCodecStats,
+  CODEC_CONFIG
+};
@@ -0,0 +1,172 @@
+/**
+ * In-process LRU cache - the L1 tier in front of Redis, and the only tier when Redis is unreachable
+ * Entries are the serialized JSON strings that go to Redis, so their size is known exactly and
+ * callers can never mutate a cached result. A Map keeps insertion order: re-inserting on every hit
+ * makes the first key the least recently used one.
+ */
+
+// Memory tier configuration (0 entries or 0 bytes disables the tier)
+const MEMORY_CACHE_CONFIG = {
+  maxEntries: parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES ?? 500),
+  maxBytes: parseInt(process.env.CACHE_MEMORY_MAX_BYTES ?? 64 * 1024 * 1024),
+  ttlSeconds: parseInt(process.env.CACHE_MEMORY_TTL_SECONDS) || 3600
+};
+
+// key -> { value, bytes, expiresAt }
+const entries = new Map();
+let totalBytes = 0;
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  evictions: 0,
+  expirations: 0
+};
+
+/**
+ * Whether the memory tier is configured to hold anything
+ * @returns {boolean} True if enabled
+ */
+function isEnabled() {
+  return MEMORY_CACHE_CONFIG.maxEntries > 0 && MEMORY_CACHE_CONFIG.maxBytes > 0;
+}
+
+/**
+ * Remove an entry and release its bytes
+ * @param {string} key - Cache key
+ */
+function removeEntry(key) {
+  const entry = entries.get(key);
+  if (entry) {
+    totalBytes -= entry.bytes;
+    entries.delete(key);
+  }
+}
+
+/**
+ * Read an entry, refreshing its recency
+ * @param {string} key - Cache key
+ * @returns {string|null} Serialized value, or null on a miss (absent or expired)
+ */
+function get(key) {
+  const entry = entries.get(key);
+
+  if (!entry) {
+    stats.misses++;
+    return null;
+  }
+
+  if (entry.expiresAt <= Date.now()) {
+    removeEntry(key);
+    stats.expirations++;
+    stats.misses++;
+    return null;
+  }
+
+  // Move to the most recently used end
+  entries.delete(key);
+  entries.set(key, entry);
+  stats.hits++;
+  return entry.value;
+}
+
+/**
+ * Read an entry without counting a lookup or refreshing its recency (for inspection)
+ * @param {string} key - Cache key
+ * @returns {object|null} { value, bytes, ttlSeconds } or null if absent or expired
+ */
+function peek(key) {
+  const entry = entries.get(key);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    return null;
+  }
+  return { value: entry.value, bytes: entry.bytes, ttlSeconds: Math.ceil((entry.expiresAt - Date.now()) / 1000) };
+}
+
+/**
+ * Keys currently held (expired entries included until they are next read)
+ * @returns {string[]} Cache keys, least recently used first
+ */
+function keys() {
+  return [...entries.keys()];
+}
+
+/**
+ * Store an entry, evicting least recently used entries until both limits hold
+ * @param {string} key - Cache key
+ * @param {string} value - Serialized value
+ * @param {number} ttlSeconds - Time to live; capped at the memory tier's own TTL
+ * @returns {boolean} True if stored (false when disabled or the value alone exceeds maxBytes)
+ */
+function set(key, value, ttlSeconds = MEMORY_CACHE_CONFIG.ttlSeconds) {
+  if (!isEnabled()) {
+    return false;
+  }
+
+  const bytes = Buffer.byteLength(value);
+  removeEntry(key);
+
+  if (bytes > MEMORY_CACHE_CONFIG.maxBytes) {
+    return false;
+  }
+
+  while (entries.size > 0 && (entries.size >= MEMORY_CACHE_CONFIG.maxEntries || totalBytes + bytes > MEMORY_CACHE_CONFIG.maxBytes)) {
+    removeEntry(entries.keys().next().value);
+    stats.evictions++;
+  }
+
+  const ttl = Math.min(ttlSeconds, MEMORY_CACHE_CONFIG.ttlSeconds);
+  entries.set(key, { value, bytes, expiresAt: Date.now() + ttl * 1000 });
+  totalBytes += bytes;
+  return true;
+}
+
+/**
+ * Remove an entry
+ * @param {string} key - Cache key
+ * @returns {boolean} True if the entry existed
+ */
+function del(key) {
+  const existed = entries.has(key);
+  removeEntry(key);
+  return existed;
+}
+
+/**
+ * Remove every entry (statistics are kept)
+ * @returns {number} Number of entries removed
+ */
+function clear() {
+  const count = entries.size;
+  entries.clear();
+  totalBytes = 0;
+  return count;
+}
+
+/**
+ * Memory tier size, limits and counters
+ * @returns {object} Statistics
+ */
+function getStats() {
+  return {
+    enabled: isEnabled(),
+    entries: entries.size,
+    bytes: totalBytes,
+    maxEntries: MEMORY_CACHE_CONFIG.maxEntries,
+    maxBytes: MEMORY_CACHE_CONFIG.maxBytes,
+    ttlSeconds: MEMORY_CACHE_CONFIG.ttlSeconds,
+    ...stats
+  };
+}
+
+module.exports = {
+  get,
+  peek,
+  keys,
+  set,
+  del,
+  clear,
+  isEnabled,
+  getStats,
+  MEMORY_CACHE_CONFIG
+};
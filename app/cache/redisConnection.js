@@ -0,0 +1,412 @@
+const redis = require('redis');
+const { readFileSync } = require('fs');
+const { ConfigurationError } = require('../utils/errors');
+
+/**
+ * Redis Connection - turns connection settings into a connected client
+ * Three topologies are supported: a single server (standalone), a Sentinel-managed master/replica set
+ * and Redis Cluster. Settings come from one of, in order of precedence:
+ *   REDIS_CONFIG  - JSON structured config (see normalizeConfig)
+ *   REDIS_URL     - redis[s]://, redis[s]+sentinel:// or redis[s]+cluster:// URL (see parseRedisUrl)
+ *   REDIS_HOST    - legacy host/port/password variables (AWS_REDIS_* also accepted)
+ */
+
+const DEFAULT_PORTS = {
+  standalone: 6379,
+  sentinel: 26379,
+  cluster: 6379
+};
+
+const MODES = Object.keys(DEFAULT_PORTS);
+
+/**
+ * Parse a host list entry: "host", "host:port", "[::1]:port"
+ * @param {string} entry - Host entry
+ * @param {number} defaultPort - Port when none is given
+ * @returns {object} { host, port }
+ */
+function parseHost(entry, defaultPort) {
+  const match = entry.trim().match(/^(?:\[([^\]]+)\]|([^:]+))(?::(\d+))?$/);
+  if (!match) {
+    throw new ConfigurationError(`Invalid Redis host "${entry}"`, 'redis');
+  }
+  return { host: match[1] || match[2], port: match[3] ? parseInt(match[3]) : defaultPort };
+}
+
+/**
+ * Parse a connection URL
+ *   redis://[user[:password]@]host[:port][/db]                         standalone
+ *   rediss://...                                                        standalone over TLS
+ *   redis+sentinel://[user[:password]@]s1[:port],s2[:port]/master[/db]  Sentinel (user/password are for the master)
+ *   redis+cluster://[user[:password]@]n1[:port],n2[:port]               Cluster seed nodes
+ * Query parameters: sentinelUsername, sentinelPassword, servername, rejectUnauthorized=false
+ * @param {string} url - Connection URL
+ * @returns {object} Raw config for normalizeConfig
+ * @throws {ConfigurationError} If the URL can't be parsed
+ */
+function parseRedisUrl(url) {
+  const match = url.match(/^(rediss?)(?:\+(sentinel|cluster))?:\/\/(?:([^:@/]*)(?::([^@/]*))?@)?([^/?]+)(\/[^?]*)?(?:\?(.*))?$/);
+  if (!match) {
+    throw new ConfigurationError('REDIS_URL must look like redis[s][+sentinel|+cluster]://[user[:password]@]host[:port][,host[:port]...][/path]', 'REDIS_URL');
+  }
+
+  const [, scheme, topology, username, password, hosts, pathname = '', query = ''] = match;
+  const mode = topology || 'standalone';
+  const params = new URLSearchParams(query);
+  const segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+  const config = {
+    mode,
+    nodes: hosts.split(',').map(entry => parseHost(entry, DEFAULT_PORTS[mode])),
+    username: username ? decodeURIComponent(username) : undefined,
+    password: password ? decodeURIComponent(password) : undefined,
+    tls: scheme === 'rediss'
+      ? { servername: params.get('servername') || undefined, rejectUnauthorized: params.get('rejectUnauthorized') !== 'false' }
+      : false
+  };
+
+  if (mode === 'sentinel') {
+    config.sentinel = {
+      masterName: segments[0],
+      username: params.get('sentinelUsername') || undefined,
+      password: params.get('sentinelPassword') || undefined
+    };
+    config.database = segments[1];
+  } else if (mode === 'standalone') {
+    config.database = segments[0];
+  }
+
+  return config;
+}
+
+/**
+ * Validate a raw config and fill in defaults
+ * Shape: { mode, nodes: [{ host, port }], username, password, database,
+ *          tls: false | true | { servername, caFile, rejectUnauthorized },
+ *          sentinel: { masterName, username, password } }
+ * @param {object} raw - Raw config (from REDIS_CONFIG, parseRedisUrl or legacy variables)
+ * @returns {object} Normalized config
+ * @throws {ConfigurationError} If the config is incomplete or inconsistent
+ */
+function normalizeConfig(raw) {
+  const mode = raw.mode || 'standalone';
+  if (!MODES.includes(mode)) {
+    throw new ConfigurationError(`Redis mode must be one of ${MODES.join(', ')} (got "${mode}")`, 'redis');
+  }
+
+  const nodes = (raw.nodes || []).map(node => (typeof node === 'string'
+    ? parseHost(node, DEFAULT_PORTS[mode])
+    : { host: node.host, port: parseInt(node.port) || DEFAULT_PORTS[mode] }));
+  if (nodes.length === 0 || nodes.some(node => !node.host)) {
+    throw new ConfigurationError(`Redis ${mode} config needs at least one node with a host`, 'redis');
+  }
+
+  if (mode === 'sentinel' && !raw.sentinel?.masterName) {
+    throw new ConfigurationError('Redis sentinel config needs sentinel.masterName (the monitored master)', 'redis');
+  }
+
+  const database = raw.database === undefined || raw.database === '' ? undefined : parseInt(raw.database);
+  if (database !== undefined && (isNaN(database) || mode === 'cluster')) {
+    throw new ConfigurationError('Redis database must be a number and is not available in cluster mode', 'redis');
+  }
+
+  let tls = null;
+  if (raw.tls) {
+    const options = raw.tls === true ? {} : raw.tls;
+    const caFile = options.caFile || process.env.REDIS_TLS_CA_FILE;
+    tls = {
+      servername: options.servername,
+      rejectUnauthorized: options.rejectUnauthorized !== false,
+      ca: caFile ? readFileSync(caFile, 'utf8') : undefined
+    };
+  }
+
+  return {
+    mode,
+    nodes,
+    username: raw.username || undefined,
+    password: raw.password || undefined,
+    database,
+    tls,
+    sentinel: mode === 'sentinel' ? {
+      masterName: raw.sentinel.masterName,
+      username: raw.sentinel.username || undefined,
+      password: raw.sentinel.password || undefined
+    } : null,
+    connectTimeout: parseInt(raw.connectTimeout) || 5000
+  };
+}
+
+/**
+ * Read the configured Redis from the environment
+ * @returns {object|null} Normalized config, or null when no Redis is configured
+ * @throws {ConfigurationError} If the configuration is invalid
+ */
+function loadRedisConfig() {
+  if (process.env.REDIS_CONFIG) {
+    let raw;
+    try {
+      raw = JSON.parse(process.env.REDIS_CONFIG);
+    } catch (error) {
+      throw new ConfigurationError(`REDIS_CONFIG is not valid JSON: ${error.message}`, 'REDIS_CONFIG');
+    }
+    return normalizeConfig(raw);
+  }
+
+  if (process.env.REDIS_URL) {
+    return normalizeConfig(parseRedisUrl(process.env.REDIS_URL));
+  }
+
+  const host = process.env.REDIS_HOST || process.env.AWS_REDIS_HOST;
+  if (host) {
+    return normalizeConfig({
+      mode: 'standalone',
+      nodes: [{ host, port: process.env.REDIS_PORT }],
+      username: process.env.REDIS_USERNAME,
+      password: process.env.REDIS_PASSWORD || process.env.AWS_REDIS_PASSWORD,
+      tls: process.env.REDIS_TLS === 'true'
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Socket options for one node
+ * @param {object} node - { host, port }
+ * @param {object} config - Normalized config
+ * @returns {object} node-redis socket options
+ */
+function socketOptions(node, config) {
+  return {
+    host: node.host,
+    port: node.port,
+    connectTimeout: config.connectTimeout,
+    ...(config.tls && {
+      tls: true,
+      ...(config.tls.servername && { servername: config.tls.servername }), // Defaults to the host name
+      rejectUnauthorized: config.tls.rejectUnauthorized,
+      ...(config.tls.ca && { ca: config.tls.ca })
+    })
+  };
+}
+
+/**
+ * Reconnect strategy that gives up while the first connection is still being made
+ * (node-redis retries forever by default, so an unreachable server would never fail connect()),
+ * and reconnects with a short backoff once the client has been connected.
+ * @returns {object} { reconnectStrategy, connected } - set connected once connect() resolved
+ */
+function retryAfterFirstConnect() {
+  const state = {
+    connected: false,
+    reconnectStrategy: (retries, cause) => (state.connected ? Math.min(retries * 50, 500) : cause)
+  };
+  return state;
+}
+
+/**
+ * Connect a client, disconnecting it again if the first connection fails
+ * @param {object} client - node-redis client or cluster
+ * @param {object} retry - State from retryAfterFirstConnect used by the client's sockets
+ * @returns {Promise<object>} The connected client
+ */
+async function connectOrDiscard(client, retry) {
+  try {
+    await client.connect();
+    retry.connected = true;
+    return client;
+  } catch (error) {
+    await client.disconnect().catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Ask the sentinels where the current master is
+ * @param {object} config - Normalized sentinel config
+ * @returns {Promise<object>} { host, port, sentinel: 'host:port' of the sentinel that answered }
+ */
+async function resolveSentinelMaster(config) {
+  const errors = [];
+
+  for (const sentinel of config.nodes) {
+    const client = redis.createClient({
+      socket: { ...socketOptions(sentinel, config), reconnectStrategy: false },
+      username: config.sentinel.username,
+      password: config.sentinel.password
+    });
+    client.on('error', () => {}); // Failures surface through connect/sendCommand
+
+    try {
+      await client.connect();
+      const address = await client.sendCommand(['SENTINEL', 'GET-MASTER-ADDR-BY-NAME', config.sentinel.masterName]);
+      if (address) {
+        return { host: address[0], port: parseInt(address[1]), sentinel: `${sentinel.host}:${sentinel.port}` };
+      }
+      errors.push(`${sentinel.host}:${sentinel.port} does not know master "${config.sentinel.masterName}"`);
+    } catch (error) {
+      errors.push(`${sentinel.host}:${sentinel.port}: ${error.message}`);
+    } finally {
+      await client.disconnect().catch(() => {});
+    }
+  }
+
+  throw new Error(`No sentinel could resolve master "${config.sentinel.masterName}" (${errors.join('; ')})`);
+}
+
+/**
+ * Attach the usual lifecycle logging to a client
+ * @param {object} client - node-redis client or cluster
+ * @param {string} label - Name used in log lines
+ */
+function attachLogging(client, label) {
+  client.on('error', (err) => {
+    console.error(`❌ Redis ${label} connection error:`, err.message);
+  });
+
+  client.on('ready', () => {
+    console.log(`🚀 Redis ${label} client ready`);
+  });
+
+  client.on('reconnecting', () => {
+    console.log(`🔄 Redis ${label} client reconnecting...`);
+  });
+}
+
+/**
+ * Create and connect a standalone client
+ * @param {object} node - { host, port }
+ * @param {object} config - Normalized config
+ * @param {string} label - Name used in log lines
+ * @returns {Promise<object>} Connected client
+ */
+function connectStandalone(node, config, label) {
+  const retry = retryAfterFirstConnect();
+  const client = redis.createClient({
+    socket: { ...socketOptions(node, config), reconnectStrategy: retry.reconnectStrategy },
+    username: config.username,
+    password: config.password,
+    database: config.database
+  });
+  attachLogging(client, label);
+  return connectOrDiscard(client, retry);
+}
+
+/**
+ * Connect to the configured Redis
+ * The returned connection exposes `client` for keyed commands (on a cluster, routed by key slot)
+ * and `nodeClients()` for per-server commands such as SCAN, INFO and PING.
+ * @param {object} config - Normalized config
+ * @param {string} label - Name used in log lines
+ * @param {Function} onClientChange - Called with the new client after a Sentinel failover
+ * @returns {Promise<object>} { mode, client, node, nodeClients(), close() }
+ */
+async function connectRedis(config, label, onClientChange = () => {}) {
+  if (config.mode === 'cluster') {
+    const retry = retryAfterFirstConnect();
+    const cluster = redis.createCluster({
+      rootNodes: config.nodes.map(node => ({ socket: { host: node.host, port: node.port } })),
+      defaults: {
+        socket: { ...socketOptions(config.nodes[0], config), reconnectStrategy: retry.reconnectStrategy },
+        username: config.username,
+        password: config.password
+      }
+    });
+    attachLogging(cluster, label);
+    await connectOrDiscard(cluster, retry);
+
+    return {
+      mode: 'cluster',
+      client: cluster,
+      node: () => ({
+        mode: 'cluster',
+        tls: Boolean(config.tls),
+        username: config.username || null,
+        masters: cluster.masters.map(master => `${master.host}:${master.port}`)
+      }),
+      nodeClients: () => Promise.all(cluster.masters.map(master => cluster.nodeClient(master))),
+      close: () => cluster.quit()
+    };
+  }
+
+  if (config.mode === 'sentinel') {
+    const master = await resolveSentinelMaster(config);
+    const connection = {
+      mode: 'sentinel',
+      client: await connectStandalone(master, config, label),
+      subscriber: null,
+      node: () => ({
+        mode: 'sentinel',
+        address: `${master.host}:${master.port}`,
+        masterName: config.sentinel.masterName,
+        sentinel: master.sentinel,
+        failoverWatch: Boolean(connection.subscriber),
+        tls: Boolean(config.tls),
+        username: config.username || null
+      }),
+      nodeClients: async () => [connection.client],
+      close: async () => {
+        if (connection.subscriber) await connection.subscriber.quit().catch(() => {});
+        await connection.client.quit();
+      }
+    };
+
+    // Sentinels announce failovers on +switch-master: "<name> <old host> <old port> <new host> <new port>"
+    const onSwitchMaster = async (message) => {
+      const [name, , , host, port] = message.split(' ');
+      if (name !== config.sentinel.masterName) return;
+
+      console.log(`🔀 Redis ${label} failover: master "${name}" moved to ${host}:${port}`);
+      try {
+        const previous = connection.client;
+        connection.client = await connectStandalone({ host, port: parseInt(port) }, config, label);
+        Object.assign(master, { host, port: parseInt(port) });
+        onClientChange(connection.client);
+        await previous.disconnect().catch(() => {});
+      } catch (error) {
+        console.error(`❌ Redis ${label} could not connect to the new master:`, error.message);
+      }
+    };
+
+    try {
+      const retry = retryAfterFirstConnect();
+      const subscriber = redis.createClient({
+        socket: { ...socketOptions(parseHost(master.sentinel, DEFAULT_PORTS.sentinel), config), reconnectStrategy: retry.reconnectStrategy },
+        username: config.sentinel.username,
+        password: config.sentinel.password
+      });
+      subscriber.on('error', (err) => console.error(`❌ Redis ${label} sentinel connection error:`, err.message));
+      await connectOrDiscard(subscriber, retry);
+      await subscriber.subscribe('+switch-master', onSwitchMaster);
+      connection.subscriber = subscriber;
+    } catch (error) {
+      // The master works without it; we just won't follow a failover until the next restart
+      console.error(`⚠️ Redis ${label} could not watch sentinel for failovers:`, error.message);
+    }
+
+    return connection;
+  }
+
+  const node = config.nodes[0];
+  const client = await connectStandalone(node, config, label);
+  return {
+    mode: 'standalone',
+    client,
+    node: () => ({
+      mode: 'standalone',
+      address: `${node.host}:${node.port}`,
+      tls: Boolean(config.tls),
+      username: config.username || null
+    }),
+    nodeClients: async () => [client],
+    close: () => client.quit()
+  };
+}
+
+module.exports = {
+  loadRedisConfig,
+  parseRedisUrl,
+  normalizeConfig,
+  connectRedis
+};
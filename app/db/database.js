@@ -1,64 +1,59 @@
-const mysql = require('mysql2/promise');
-
-// Database configuration
-const dbConfig = {
-  host: process.env.DB_HOST || 'localhost',
-  user: process.env.DB_USERNAME || 'admin',
-  password: process.env.DB_PASSWORD || 'TempPassword123!',
-  database: process.env.DB_NAME || 'securityreviewdb',
-  connectionLimit: 10,
-  acquireTimeout: 30000,
-  timeout: 30000,
-  reconnect: true,
-  charset: 'utf8mb4'
+const { LOG_SORT_FIELDS, exportColumns } = require('./logQueries');
+
+/**
+ * Database Layer - OCR log storage behind a pluggable backend
+ *
+ * STORAGE_BACKEND selects the adapter: `mysql` (default, db/mysqlStorage.js) or `sqlite`
+ * (db/sqliteStorage.js, no server needed). Every adapter module implements the same interface:
+ *   init()                      Connect and bring the schema up to date; throws on failure
+ *   writeOcr(record)            Insert one OCR log row (record fields: see write_ocr)
+ *   getLogs(options)            { logs, hasMore, total, limit } - see get_logs
+ *   search(query, options)      { rows, total, limit, offset } - see search_ocr
+ *   exportLogs(options)         Object-mode Readable of every matching row - see export_logs
+ *   stats(options)              Usage aggregates - see get_stats
+ *   getResult(resultId)         Result row or null
+ *   deleteResult(resultId)      { resultId, fileHash } or null
+ *   expireText(before, limit)   Drop the text of rows created before a time; returns rows updated
+ *   expireRows(before, limit)   Delete rows created before a time; returns rows deleted
+ *   eraseFile(fileHash)         Delete every row for a file; { rowsDeleted, resultIds }
+ *   storePdf(pdf)               Store a searchable PDF - see store_pdf
+ *   getPdf(resultId, now)       Stored PDF that hasn't expired, or null
+ *   expirePdfs(now, limit)      Delete expired PDFs; returns PDFs deleted
+ *   erasePdfs(fileHash)         Delete every PDF with a page from a file; returns their result ids
+ *   info()                      Summary for GET /
+ *   close()                     Release connections
+ * tests/storage.test.js is the conformance suite every adapter has to pass.
+ */
+
+// Storage adapters by STORAGE_BACKEND value (required lazily: each pulls in its own driver)
+const STORAGE_BACKENDS = {
+  mysql: './mysqlStorage',
+  sqlite: './sqliteStorage'
 };
 
-// Database connection pool
-let dbPool = null;
+const STORAGE_CONFIG = {
+  backend: (process.env.STORAGE_BACKEND || 'mysql').toLowerCase()
+};
 
-// Initialize database connection and create table if needed
+// Active storage adapter, null while storage is unavailable
+let storage = null;
+
+// Initialize the configured storage backend
 async function initializeDatabase() {
   try {
-    console.log('🔗 Connecting to MySQL database...');
-    console.log(`📍 Host: ${dbConfig.host}`);
-    console.log(`📍 Database: ${dbConfig.database}`);
-    
-    dbPool = mysql.createPool(dbConfig);
-    
-    // Test connection
-    const connection = await dbPool.getConnection();
-    console.log('✅ Database connection established');
-    
-    // Create OCR logs table if it doesn't exist
-    const createTableQuery = `
-      CREATE TABLE IF NOT EXISTS ocr_logs (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        image_name VARCHAR(255) NOT NULL,
-        extracted_text LONGTEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        file_size INT,
-        mime_type VARCHAR(100),
-        processing_time_ms FLOAT,
-        INDEX idx_created_at (created_at),
-        INDEX idx_image_name (image_name)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
-    `;
-    
-    await connection.execute(createTableQuery);
-    console.log('✅ OCR logs table created/verified');
-    
-    connection.release();
+    const modulePath = STORAGE_BACKENDS[STORAGE_CONFIG.backend];
+    if (!modulePath) {
+      throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_CONFIG.backend}" (expected one of: ${Object.keys(STORAGE_BACKENDS).join(', ')})`);
+    }
+
+    const adapter = require(modulePath);
+    await adapter.init();
+    storage = adapter;
   } catch (error) {
     console.error('❌ Database initialization failed:', error.message);
     console.error('🔧 Running without database logging...');
-    // Clear the pool if connection failed
-    if (dbPool) {
-      try {
-        await dbPool.end();
-      } catch (e) {
-        // Ignore cleanup errors
-      }
-      dbPool = null;
+    if (STORAGE_CONFIG.backend === 'mysql') {
+      console.error('💡 Set STORAGE_BACKEND=sqlite to keep logs in a local file instead');
     }
   }
 }
@@ -66,34 +61,39 @@ async function initializeDatabase() {
 // DB Layer Functions
 
 /**
- * Write OCR processing result to database
- * @param {string} imageName - Name of the processed image
- * @param {string} extractedText - OCR extracted text
- * @param {number} fileSize - File size in bytes
- * @param {string} mimeType - MIME type of the file
- * @param {number} ocrProcessingTime - Pure OCR processing time in milliseconds (Tesseract only)
+ * Write one OCR request to the log - every request gets a row: recognitions, cache hits and failures
+ * @param {object} record - Log record
+ * @param {string} record.imageName - Name of the uploaded file
+ * @param {string|null} record.extractedText - OCR extracted text (only on rows that store a result)
+ * @param {number} record.fileSize - File size in bytes
+ * @param {string} record.mimeType - MIME type of the file
+ * @param {number|null} record.processingTimeMs - Pure OCR processing time in milliseconds (Tesseract only)
+ * @param {string} record.language - Tesseract language(s) used, e.g. "eng" or "eng+deu"
+ * @param {string|null} record.batchId - Batch id when the image was part of POST /ocr/batch
+ * @param {string|null} record.resultId - Public result id of a stored result (see ocrService.newResultId)
+ * @param {string|null} record.fileHash - SHA-256 of the uploaded file
+ * @param {number|null} record.totalTimeMs - End-to-end processing time in milliseconds
+ * @param {object|null} record.metadata - Result metadata (confidence, output, page count, ...)
+ * @param {string|null} record.requestId - Request id (req_...) of the application logs
+ * @param {string|null} record.cacheStatus - hit, miss, coalesced or partial (documents with some cached pages)
+ * @param {number|null} record.meanConfidence - Mean Tesseract confidence (0-100)
+ * @param {string|null} record.clientIp - Client IP address
+ * @param {string|null} record.clientKey - Fingerprint of the client's API key
+ * @param {string|null} record.userAgent - Client User-Agent
+ * @param {string} record.outcome - 'success' or the error code the client received
+ * @param {Date} [record.createdAt] - Time of the request (default: now)
  */
-async function write_ocr(imageName, extractedText, fileSize, mimeType, ocrProcessingTime) {
-  if (!dbPool) {
+async function write_ocr(record) {
+  if (!storage) {
     console.warn('⚠️ No database connection - skipping OCR log');
     return;
   }
 
   try {
-    const query = `
-      INSERT INTO ocr_logs (image_name, extracted_text, file_size, mime_type, processing_time_ms)
-      VALUES (?, ?, ?, ?, ?)
-    `;
-    
-    await dbPool.execute(query, [
-      imageName,
-      extractedText,
-      fileSize,
-      mimeType,
-      ocrProcessingTime  // This is now pure OCR time, not total processing time
-    ]);
-    
-    console.log(`📝 OCR request logged: ${imageName} (OCR time: ${ocrProcessingTime.toFixed(2)}ms)`);
+    await storage.writeOcr(record);
+
+    const timing = record.processingTimeMs != null ? `OCR time: ${record.processingTimeMs.toFixed(2)}ms, ` : '';
+    console.log(`📝 OCR request logged: ${record.imageName} [${record.language}] (${timing}cache: ${record.cacheStatus || 'none'}, outcome: ${record.outcome})`);
   } catch (error) {
     console.error('❌ Failed to log OCR request:', error.message);
     throw error;
@@ -101,60 +101,281 @@ async function write_ocr(imageName, extractedText, fileSize, mimeType, ocrProces
 }
 
 /**
- * Get OCR logs from database
- * @param {number} limit - Maximum number of logs to retrieve (default 10, max 50)
- * @returns {object} Object containing logs data and metadata
+ * Get OCR logs from database, one page at a time
+ * Pages are keyset-paginated on (sort field, id): `after` is the last row of the previous page,
+ * so paging stays stable while new rows arrive and deep pages cost no more than the first.
+ * @param {object} options - Query options
+ * @param {number} options.limit - Maximum number of logs to retrieve (default 10, max 50)
+ * @param {object} options.filters - Log filters (see logQueries.buildLogFilters)
+ * @param {string} options.sort - Sort field, one of LOG_SORT_FIELDS (default created_at)
+ * @param {string} options.order - 'desc' (default) or 'asc'
+ * @param {object|null} options.after - { value, id } of the last row already returned
+ * @returns {object} Object containing logs data and metadata; hasMore tells whether another page follows
  */
-async function get_logs(limit = 10) {
-  if (!dbPool) {
+async function get_logs(options = {}) {
+  if (!storage) {
     throw new Error('Database not available');
   }
 
   try {
-    // Ensure limit is within bounds
-    const safeLimit = Math.min(Math.max(1, parseInt(limit) || 10), 50);
-    
-    // Get logs with text preview
-    const query = `
-      SELECT 
-        id,
-        image_name,
-        LEFT(extracted_text, 200) as extracted_text_preview,
-        CHAR_LENGTH(extracted_text) as text_length,
-        created_at,
-        file_size,
-        mime_type,
-        processing_time_ms
-      FROM ocr_logs 
-      ORDER BY created_at DESC 
-      LIMIT ${safeLimit}
-    `;
-    
-    const [rows] = await dbPool.execute(query);
-    
-    // Get total count
-    const [countResult] = await dbPool.execute('SELECT COUNT(*) as total FROM ocr_logs');
-    const total = countResult[0].total;
-    
-    return {
-      logs: rows,
-      total,
-      limit: safeLimit,
-      timestamp: new Date().toISOString()
-    };
-    
+    const result = await storage.getLogs(options);
+    return { ...result, timestamp: new Date().toISOString() };
   } catch (error) {
     console.error('❌ Failed to fetch OCR logs:', error.message);
     throw error;
   }
 }
 
+/**
+ * Stream every OCR log row matching the filters, oldest first (GET /logs/export)
+ * Rows are read as the consumer asks for them, so memory use doesn't depend on the row count;
+ * destroy the stream to abandon an export.
+ * @param {object} options - Export options
+ * @param {object} options.filters - Log filters (see logQueries.buildLogFilters)
+ * @param {boolean} options.includeText - Add the full extracted_text column
+ * @returns {Readable} Object-mode stream of rows with the columns of logQueries.exportColumns
+ */
+function export_logs(options = {}) {
+  if (!storage) {
+    throw new Error('Database not available');
+  }
+
+  return storage.exportLogs(options);
+}
+
+/**
+ * Full-text search over extracted text
+ * @param {string} query - Search query
+ * @param {object} options - Search options
+ * @param {string} options.mode - 'natural' (natural language) or 'boolean' (+required -excluded "phrase" prefix*)
+ * @param {Date|null} options.from - Only results created at or after this time
+ * @param {Date|null} options.to - Only results created before this time
+ * @param {string[]} options.mimeTypes - Only results with one of these MIME types
+ * @param {number} options.limit - Page size (default 10, max 50)
+ * @param {number} options.offset - Matches to skip
+ * @returns {object} Object containing matching rows (most relevant first, with full text) and metadata
+ */
+async function search_ocr(query, options = {}) {
+  if (!storage) {
+    throw new Error('Database not available');
+  }
+
+  try {
+    const result = await storage.search(query, options);
+    return { ...result, timestamp: new Date().toISOString() };
+  } catch (error) {
+    console.error('❌ Failed to search OCR logs:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Usage statistics computed from the OCR logs
+ * @param {object} options - Statistics options
+ * @param {object} options.filters - Log filters (see logQueries.buildLogFilters), usually just from/to
+ * @param {number} options.intervalSeconds - Timeline period length, e.g. 3600 for hourly
+ * @returns {object} { timeline, processingTime, mimeTypes, fileSizes, errors }: timeline periods are epoch
+ *   seconds (UTC) with requests, errors and cache hits/lookups; processingTime has nearest-rank p50/p90/p99
+ */
+async function get_stats(options = {}) {
+  if (!storage) {
+    throw new Error('Database not available');
+  }
+
+  try {
+    return await storage.stats(options);
+  } catch (error) {
+    console.error('❌ Failed to compute OCR stats:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get one stored OCR result by its public id
+ * @param {string} resultId - Result id returned in the OCR response
+ * @returns {object|null} Result row, or null if there is no such result
+ */
+async function get_ocr_result(resultId) {
+  if (!storage) {
+    throw new Error('Database not available');
+  }
+
+  try {
+    return await storage.getResult(resultId);
+  } catch (error) {
+    console.error('❌ Failed to fetch OCR result:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete one stored OCR result by its public id
+ * @param {string} resultId - Result id returned in the OCR response
+ * @returns {object|null} { resultId, fileHash } of the deleted result, or null if there was none
+ */
+async function delete_ocr_result(resultId) {
+  if (!storage) {
+    throw new Error('Database not available');
+  }
+
+  try {
+    const deleted = await storage.deleteResult(resultId);
+    if (deleted) {
+      console.log(`🗑️ OCR result deleted: ${resultId}`);
+    }
+    return deleted;
+  } catch (error) {
+    console.error('❌ Failed to delete OCR result:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Drop the extracted text of old rows, one batch at a time (retention: the rows and their metrics stay)
+ * @param {Date} before - Rows created before this time
+ * @param {number} limit - Maximum rows per call
+ * @returns {number} Rows updated; less than limit means nothing is left to do
+ */
+async function expire_ocr_text(before, limit = 1000) {
+  if (!storage) {
+    throw new Error('Database not available');
+  }
+
+  try {
+    return await storage.expireText(before, limit);
+  } catch (error) {
+    console.error('❌ Failed to expire OCR text:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete old rows, one batch at a time (retention)
+ * @param {Date} before - Rows created before this time
+ * @param {number} limit - Maximum rows per call
+ * @returns {number} Rows deleted; less than limit means nothing is left to do
+ */
+async function expire_ocr_rows(before, limit = 1000) {
+  if (!storage) {
+    throw new Error('Database not available');
+  }
+
+  try {
+    return await storage.expireRows(before, limit);
+  } catch (error) {
+    console.error('❌ Failed to expire OCR logs:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete every OCR log row for one file: results, cache hits and failures alike
+ * @param {string} fileHash - SHA-256 of the uploaded file
+ * @returns {object} { rowsDeleted, resultIds } - resultIds of the deleted stored results
+ */
+async function erase_ocr_file(fileHash) {
+  if (!storage) {
+    throw new Error('Database not available');
+  }
+
+  try {
+    const erased = await storage.eraseFile(fileHash);
+    console.log(`🗑️ Erased ${erased.rowsDeleted} OCR log row(s) for ${fileHash.substring(0, 12)}`);
+    return erased;
+  } catch (error) {
+    console.error('❌ Failed to erase OCR logs:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Store a searchable PDF in the database, where every instance can serve it until it expires
+ * @param {object} pdf - Stored PDF
+ * @param {string} pdf.resultId - Result id the PDF is fetched by
+ * @param {string} pdf.filename - Download file name
+ * @param {number} pdf.pages - Page count
+ * @param {string} pdf.language - Tesseract language(s) used
+ * @param {string[]} pdf.fileHashes - SHA-256 of every page's upload (erasure finds the PDF by them)
+ * @param {Buffer} pdf.content - PDF bytes
+ * @param {Date} pdf.expiresAt - Time after which the PDF is gone
+ */
+async function store_pdf(pdf) {
+  if (!storage) {
+    throw new Error('Database not available');
+  }
+
+  try {
+    await storage.storePdf(pdf);
+    console.log(`💾 Stored searchable PDF ${pdf.resultId} (${pdf.content.length} bytes, expires ${pdf.expiresAt.toISOString()})`);
+  } catch (error) {
+    console.error('❌ Failed to store PDF:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a stored PDF by its result id
+ * @param {string} resultId - Result id returned when the PDF was stored
+ * @returns {object|null} PDF row with content, or null if there is none or it has expired
+ */
+async function get_pdf(resultId) {
+  if (!storage) {
+    throw new Error('Database not available');
+  }
+
+  try {
+    return await storage.getPdf(resultId, new Date());
+  } catch (error) {
+    console.error('❌ Failed to fetch stored PDF:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete expired PDFs, one batch at a time
+ * @param {Date} now - Reference time
+ * @param {number} limit - Maximum PDFs per call
+ * @returns {number} PDFs deleted; less than limit means nothing is left to do
+ */
+async function expire_pdfs(now, limit = 1000) {
+  if (!storage) {
+    throw new Error('Database not available');
+  }
+
+  try {
+    return await storage.expirePdfs(now, limit);
+  } catch (error) {
+    console.error('❌ Failed to expire stored PDFs:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete every stored PDF with a page from one file (erasure)
+ * @param {string} fileHash - SHA-256 of the uploaded file
+ * @returns {string[]} Result ids of the deleted PDFs
+ */
+async function erase_pdfs(fileHash) {
+  if (!storage) {
+    throw new Error('Database not available');
+  }
+
+  try {
+    const resultIds = await storage.erasePdfs(fileHash);
+    console.log(`🗑️ Erased ${resultIds.length} stored PDF(s) for ${fileHash.substring(0, 12)}`);
+    return resultIds;
+  } catch (error) {
+    console.error('❌ Failed to erase stored PDFs:', error.message);
+    throw error;
+  }
+}
+
 /**
  * Check if database is connected
  * @returns {boolean} True if database is connected
  */
 function isDatabaseConnected() {
-  return dbPool !== null;
+  return storage !== null;
 }
 
 /**
@@ -162,10 +383,12 @@ function isDatabaseConnected() {
  * @returns {object} Database configuration summary
  */
 function getDatabaseInfo() {
+  if (storage) {
+    return { connected: true, ...storage.info() };
+  }
   return {
-    connected: dbPool !== null,
-    host: process.env.DB_HOST || 'localhost',
-    database: process.env.DB_NAME || 'securityreviewdb'
+    connected: false,
+    backend: STORAGE_CONFIG.backend
   };
 }
 
@@ -173,11 +396,11 @@ function getDatabaseInfo() {
  * Close database connection pool gracefully
  */
 async function closeDatabasePool() {
-  if (dbPool) {
+  if (storage) {
     try {
-      await dbPool.end();
+      await storage.close();
       console.log('✅ Database pool closed');
-      dbPool = null;
+      storage = null;
     } catch (err) {
       console.error('❌ Error closing database pool:', err);
       throw err;
@@ -186,9 +409,24 @@ async function closeDatabasePool() {
 }
 
 module.exports = {
+  STORAGE_CONFIG,
   initializeDatabase,
   write_ocr,
   get_logs,
+  export_logs,
+  search_ocr,
+  get_stats,
+  LOG_SORT_FIELDS,
+  exportColumns,
+  get_ocr_result,
+  delete_ocr_result,
+  expire_ocr_text,
+  expire_ocr_rows,
+  erase_ocr_file,
+  store_pdf,
+  get_pdf,
+  expire_pdfs,
+  erase_pdfs,
   isDatabaseConnected,
   getDatabaseInfo,
   closeDatabasePool
@@ -0,0 +1,233 @@
+/**
+ * SQL building blocks shared by the storage adapters (mysqlStorage, sqliteStorage)
+ * Everything here must be valid in both dialects.
+ */
+
+// Sortable columns for getLogs (whitelist: never interpolate a sort field from the request).
+// Nullable columns sort as 0 so keyset pagination never meets a NULL.
+const LOG_SORT_FIELDS = {
+  created_at: 'created_at',
+  processing_time_ms: 'COALESCE(processing_time_ms, 0)',
+  file_size: 'COALESCE(file_size, 0)',
+  image_name: 'image_name'
+};
+
+// Columns of a log export (GET /logs/export), in output order; extracted_text is appended on request
+const EXPORT_COLUMNS = [
+  'id', 'created_at', 'result_id', 'request_id', 'batch_id', 'image_name', 'file_hash', 'file_size', 'mime_type',
+  'language', 'processing_time_ms', 'total_time_ms', 'mean_confidence', 'cache_status', 'outcome',
+  'client_ip', 'client_key', 'user_agent'
+];
+
+// File size buckets of the usage statistics, smallest first (maxBytes null: no upper bound)
+const SIZE_BUCKETS = [
+  { label: '<100KB', maxBytes: 100 * 1024 },
+  { label: '100KB-1MB', maxBytes: 1024 * 1024 },
+  { label: '1MB-5MB', maxBytes: 5 * 1024 * 1024 },
+  { label: '>=5MB', maxBytes: null }
+];
+
+/**
+ * Clamp a requested page size
+ * @param {number} limit - Requested page size
+ * @returns {number} Page size between 1 and 50 (default 10)
+ */
+function pageLimit(limit) {
+  return Math.min(Math.max(1, parseInt(limit) || 10), 50);
+}
+
+/**
+ * Build the WHERE conditions for log filters
+ * @param {object} filters - Log filters
+ * @param {Date|null} filters.from - Created at or after
+ * @param {Date|null} filters.to - Created before
+ * @param {string[]} filters.mimeTypes - MIME types to include
+ * @param {string|null} filters.filenamePrefix - Image name prefix
+ * @param {number|null} filters.minProcessingMs - Minimum OCR time
+ * @param {number|null} filters.maxProcessingMs - Maximum OCR time
+ * @param {number|null} filters.minFileSize - Minimum file size in bytes
+ * @param {number|null} filters.maxFileSize - Maximum file size in bytes
+ * @param {string|null} filters.requestId - Request id (req_...) of the application logs
+ * @param {string|null} filters.cacheStatus - hit, miss, coalesced or partial
+ * @param {string|null} filters.outcome - 'success', 'error' (any failure) or an error code
+ * @returns {object} { conditions, params } - SQL conditions with their placeholder values
+ */
+function buildLogFilters(filters = {}) {
+  const conditions = [];
+  const params = [];
+  const add = (condition, ...values) => {
+    conditions.push(condition);
+    params.push(...values);
+  };
+
+  if (filters.from) add('created_at >= ?', filters.from);
+  if (filters.to) add('created_at < ?', filters.to);
+  if (filters.mimeTypes?.length > 0) {
+    add(`mime_type IN (${filters.mimeTypes.map(() => '?').join(', ')})`, ...filters.mimeTypes);
+  }
+  if (filters.filenamePrefix) {
+    // Escape LIKE wildcards so the prefix matches literally ('!' rather than '\': MySQL and SQLite
+    // disagree on backslashes in string literals)
+    add('image_name LIKE ? ESCAPE \'!\'', `${filters.filenamePrefix.replace(/[!%_]/g, '!$&')}%`);
+  }
+  if (filters.minProcessingMs != null) add('processing_time_ms >= ?', filters.minProcessingMs);
+  if (filters.maxProcessingMs != null) add('processing_time_ms <= ?', filters.maxProcessingMs);
+  if (filters.minFileSize != null) add('file_size >= ?', filters.minFileSize);
+  if (filters.maxFileSize != null) add('file_size <= ?', filters.maxFileSize);
+  if (filters.requestId) add('request_id = ?', filters.requestId);
+  if (filters.cacheStatus) add('cache_status = ?', filters.cacheStatus);
+  if (filters.outcome === 'error') {
+    add('outcome <> ?', 'success');
+  } else if (filters.outcome) {
+    add('outcome = ?', filters.outcome);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Build the keyset condition for the page after a given row
+ * @param {string} sortExpression - Value of LOG_SORT_FIELDS
+ * @param {string} direction - 'ASC' or 'DESC'
+ * @param {object} after - { value, id } of the last row already returned
+ * @returns {object} { condition, params }
+ */
+function buildKeysetCondition(sortExpression, direction, after) {
+  const comparison = direction === 'ASC' ? '>' : '<';
+  return {
+    condition: `(${sortExpression} ${comparison} ? OR (${sortExpression} = ? AND id ${comparison} ?))`,
+    params: [after.value, after.value, after.id]
+  };
+}
+
+/**
+ * Build the usage statistics queries (see database.get_stats)
+ * Percentiles use the nearest-rank method: the smallest value whose rank reaches p * n.
+ * @param {string} periodExpression - Dialect-specific SQL for the start of a row's period, in epoch seconds
+ * @param {object} filters - Log filters (see buildLogFilters)
+ * @returns {object} { timeline, processingTime, mimeTypes, fileSizes, errors } - each { sql, params }
+ */
+function buildStatsQueries(periodExpression, filters = {}) {
+  const { conditions, params } = buildLogFilters(filters);
+  const where = whereClause(conditions);
+  const isError = 'CASE WHEN outcome <> \'success\' THEN 1 ELSE 0 END';
+  const sizeBucket = `CASE ${SIZE_BUCKETS.filter(bucket => bucket.maxBytes !== null)
+    .map(bucket => `WHEN file_size < ${bucket.maxBytes} THEN '${bucket.label}'`).join(' ')} ELSE '${SIZE_BUCKETS[SIZE_BUCKETS.length - 1].label}' END`;
+
+  return {
+    timeline: {
+      sql: `
+        SELECT ${periodExpression} as period, COUNT(*) as requests, SUM(${isError}) as errors,
+               SUM(CASE WHEN cache_status = 'hit' THEN 1 ELSE 0 END) as cache_hits, COUNT(cache_status) as cache_lookups
+        FROM ocr_logs ${where}
+        GROUP BY period
+        ORDER BY period`,
+      params
+    },
+    processingTime: {
+      sql: `
+        SELECT MAX(n) as samples,
+               MIN(CASE WHEN rn >= 0.5 * n THEN value END) as p50,
+               MIN(CASE WHEN rn >= 0.9 * n THEN value END) as p90,
+               MIN(CASE WHEN rn >= 0.99 * n THEN value END) as p99
+        FROM (
+          SELECT processing_time_ms as value, ROW_NUMBER() OVER (ORDER BY processing_time_ms) as rn, COUNT(*) OVER () as n
+          FROM ocr_logs ${whereClause([...conditions, 'processing_time_ms IS NOT NULL'])}
+        ) ranked`,
+      params
+    },
+    mimeTypes: {
+      sql: `
+        SELECT mime_type, COUNT(*) as requests, SUM(${isError}) as errors, AVG(processing_time_ms) as avg_processing_ms
+        FROM ocr_logs ${where}
+        GROUP BY mime_type
+        ORDER BY requests DESC, mime_type`,
+      params
+    },
+    fileSizes: {
+      sql: `
+        SELECT ${sizeBucket} as bucket, COUNT(*) as requests, SUM(${isError}) as errors, AVG(processing_time_ms) as avg_processing_ms
+        FROM ocr_logs ${where}
+        GROUP BY bucket`,
+      params
+    },
+    errors: {
+      sql: `
+        SELECT outcome as error_code, COUNT(*) as count
+        FROM ocr_logs ${whereClause([...conditions, 'outcome <> \'success\''])}
+        GROUP BY outcome
+        ORDER BY count DESC, outcome`,
+      params
+    }
+  };
+}
+
+/**
+ * Shape the rows of the statistics queries (MySQL returns SUM() as a decimal string, SQLite as a number)
+ * @param {object} rows - { timeline, processingTime, mimeTypes, fileSizes, errors } query results
+ * @returns {object} Statistics with numeric values; every size bucket is present, smallest first
+ */
+function statsFromRows({ timeline, processingTime, mimeTypes, fileSizes, errors }) {
+  const number = value => (value == null ? null : Number(value));
+  const percentiles = processingTime[0] || {};
+  const sizes = new Map(fileSizes.map(row => [row.bucket, row]));
+
+  return {
+    timeline: timeline.map(row => ({
+      period: number(row.period),
+      requests: number(row.requests),
+      errors: number(row.errors),
+      cacheHits: number(row.cache_hits),
+      cacheLookups: number(row.cache_lookups)
+    })),
+    processingTime: {
+      samples: number(percentiles.samples) || 0,
+      p50: number(percentiles.p50),
+      p90: number(percentiles.p90),
+      p99: number(percentiles.p99)
+    },
+    mimeTypes: mimeTypes.map(row => ({
+      mimeType: row.mime_type,
+      requests: number(row.requests),
+      errors: number(row.errors),
+      avgProcessingMs: number(row.avg_processing_ms)
+    })),
+    fileSizes: SIZE_BUCKETS.map(({ label }) => ({
+      bucket: label,
+      requests: number(sizes.get(label)?.requests) || 0,
+      errors: number(sizes.get(label)?.errors) || 0,
+      avgProcessingMs: number(sizes.get(label)?.avg_processing_ms)
+    })),
+    errors: errors.map(row => ({ errorCode: row.error_code, count: number(row.count) }))
+  };
+}
+
+/**
+ * Columns of a log export
+ * @param {boolean} includeText - Append extracted_text
+ * @returns {string[]} Column names
+ */
+function exportColumns(includeText) {
+  return includeText ? [...EXPORT_COLUMNS, 'extracted_text'] : EXPORT_COLUMNS;
+}
+
+/**
+ * WHERE clause from a list of conditions
+ * @param {string[]} conditions - SQL conditions
+ * @returns {string} WHERE clause, or '' without conditions
+ */
+function whereClause(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+module.exports = {
+  LOG_SORT_FIELDS,
+  SIZE_BUCKETS,
+  exportColumns,
+  pageLimit,
+  buildLogFilters,
+  buildKeysetCondition,
+  buildStatsQueries,
+  statsFromRows,
+  whereClause
+};
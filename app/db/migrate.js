@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+const mysql = require('mysql2/promise');
+const { dbConfig } = require('./mysqlStorage');
+const { migrate, rollback, status, migrationLabel } = require('./migrator');
+
+/**
+ * Migration CLI for the MySQL backend - uses the same DB_* environment variables as the server
+ * (the SQLite backend upgrades its schema itself when it opens the file)
+ *
+ *   node db/migrate.js up [--to <version>]     Apply pending migrations (npm run migrate)
+ *   node db/migrate.js down [--steps <n>]      Roll back the last n migrations, default 1 (npm run migrate:rollback)
+ *   node db/migrate.js status                  List applied, pending and missing migrations (npm run migrate:status)
+ */
+
+const USAGE = 'Usage: node db/migrate.js <up [--to <version>] | down [--steps <n>] | status>';
+const COMMANDS = ['up', 'down', 'status'];
+
+/**
+ * Read a numeric --flag value from the arguments
+ * @param {string[]} args - Command line arguments
+ * @param {string} flag - Flag name, e.g. --steps
+ * @param {number} defaultValue - Value when the flag is absent
+ * @returns {number} Parsed value
+ */
+function numericFlag(args, flag, defaultValue) {
+  const index = args.indexOf(flag);
+  if (index === -1) return defaultValue;
+
+  const value = parseInt(args[index + 1]);
+  if (isNaN(value) || value < 1) {
+    throw new Error(`${flag} needs a positive integer`);
+  }
+  return value;
+}
+
+async function main(args) {
+  const [command, ...options] = args;
+  if (!COMMANDS.includes(command)) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const pool = mysql.createPool({ ...dbConfig, connectionLimit: 2 });
+
+  try {
+    switch (command) {
+    case 'up': {
+      const applied = await migrate(pool, { to: numericFlag(options, '--to', Infinity) });
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Nothing to apply - schema is up to date');
+      break;
+    }
+    case 'down': {
+      const rolledBack = await rollback(pool, { steps: numericFlag(options, '--steps', 1) });
+      console.log(rolledBack.length > 0 ? `✅ Rolled back ${rolledBack.length} migration(s)` : '✅ Nothing to roll back');
+      break;
+    }
+    case 'status': {
+      const entries = await status(pool);
+      for (const entry of entries) {
+        const appliedAt = entry.appliedAt ? ` (${new Date(entry.appliedAt).toISOString()})` : '';
+        console.log(`${entry.state.padEnd(8)} ${migrationLabel(entry)}${appliedAt}`);
+      }
+      const pending = entries.filter(entry => entry.state === 'pending').length;
+      console.log(`📋 ${entries.length} migration(s), ${pending} pending`);
+      break;
+    }
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error('❌ Migration failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,26 @@
+/**
+ * Create ocr_logs in its original shape
+ * IF NOT EXISTS: deployments from before migrations already have the table.
+ */
+
+async function up(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS ocr_logs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      image_name VARCHAR(255) NOT NULL,
+      extracted_text LONGTEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      file_size INT,
+      mime_type VARCHAR(100),
+      processing_time_ms FLOAT,
+      INDEX idx_created_at (created_at),
+      INDEX idx_image_name (image_name)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+async function down(db) {
+  await db.execute('DROP TABLE IF EXISTS ocr_logs');
+}
+
+module.exports = { up, down };
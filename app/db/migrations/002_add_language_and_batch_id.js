@@ -0,0 +1,22 @@
+/**
+ * Language and batch id of each request (POST /ocr lang field, POST /ocr/batch)
+ * Existence checks: deployments from before migrations may have these columns already.
+ */
+
+async function up(db) {
+  if (!(await db.columnExists('ocr_logs', 'language'))) {
+    await db.execute('ALTER TABLE ocr_logs ADD COLUMN language VARCHAR(64) DEFAULT \'eng\' AFTER processing_time_ms');
+  }
+  if (!(await db.columnExists('ocr_logs', 'batch_id'))) {
+    await db.execute('ALTER TABLE ocr_logs ADD COLUMN batch_id VARCHAR(64) NULL AFTER language');
+  }
+  if (!(await db.indexExists('ocr_logs', 'idx_batch_id'))) {
+    await db.execute('ALTER TABLE ocr_logs ADD INDEX idx_batch_id (batch_id)');
+  }
+}
+
+async function down(db) {
+  await db.execute('ALTER TABLE ocr_logs DROP INDEX idx_batch_id, DROP COLUMN batch_id, DROP COLUMN language');
+}
+
+module.exports = { up, down };
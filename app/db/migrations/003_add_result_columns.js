@@ -0,0 +1,38 @@
+/**
+ * Stored results: public result id, file hash, end-to-end time and result metadata (GET /ocr/results/:id)
+ */
+
+const COLUMNS = {
+  result_id: 'VARCHAR(64) NULL AFTER batch_id',
+  file_hash: 'CHAR(64) NULL AFTER result_id',
+  total_time_ms: 'FLOAT NULL AFTER file_hash',
+  result_metadata: 'JSON NULL AFTER total_time_ms'
+};
+
+async function up(db) {
+  for (const [column, definition] of Object.entries(COLUMNS)) {
+    if (!(await db.columnExists('ocr_logs', column))) {
+      await db.execute(`ALTER TABLE ocr_logs ADD COLUMN ${column} ${definition}`);
+    }
+  }
+  if (!(await db.indexExists('ocr_logs', 'idx_result_id'))) {
+    await db.execute('ALTER TABLE ocr_logs ADD UNIQUE INDEX idx_result_id (result_id)');
+  }
+  if (!(await db.indexExists('ocr_logs', 'idx_file_hash'))) {
+    await db.execute('ALTER TABLE ocr_logs ADD INDEX idx_file_hash (file_hash)');
+  }
+}
+
+async function down(db) {
+  await db.execute(`
+    ALTER TABLE ocr_logs
+      DROP INDEX idx_file_hash,
+      DROP INDEX idx_result_id,
+      DROP COLUMN result_metadata,
+      DROP COLUMN total_time_ms,
+      DROP COLUMN file_hash,
+      DROP COLUMN result_id
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+/**
+ * FULLTEXT index for GET /ocr/search
+ * Building it over existing rows can take a while on large tables.
+ */
+
+async function up(db) {
+  if (!(await db.indexExists('ocr_logs', 'ft_extracted_text'))) {
+    await db.execute('ALTER TABLE ocr_logs ADD FULLTEXT INDEX ft_extracted_text (extracted_text)');
+  }
+}
+
+async function down(db) {
+  await db.execute('ALTER TABLE ocr_logs DROP INDEX ft_extracted_text');
+}
+
+module.exports = { up, down };
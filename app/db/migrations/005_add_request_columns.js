@@ -0,0 +1,35 @@
+/**
+ * Request details: every OCR request gets a row (cache hits and failures included), with its
+ * request id, cache status, mean confidence, client and outcome
+ */
+
+const COLUMNS = {
+  request_id: 'VARCHAR(64) NULL AFTER result_metadata',
+  cache_status: 'VARCHAR(16) NULL AFTER request_id',
+  mean_confidence: 'FLOAT NULL AFTER cache_status',
+  client_ip: 'VARCHAR(45) NULL AFTER mean_confidence',
+  client_key: 'VARCHAR(64) NULL AFTER client_ip',
+  user_agent: 'VARCHAR(512) NULL AFTER client_key',
+  outcome: 'VARCHAR(64) NOT NULL DEFAULT \'success\' AFTER user_agent'
+};
+
+async function up(db) {
+  for (const [column, definition] of Object.entries(COLUMNS)) {
+    if (!(await db.columnExists('ocr_logs', column))) {
+      await db.execute(`ALTER TABLE ocr_logs ADD COLUMN ${column} ${definition}`);
+    }
+  }
+  if (!(await db.indexExists('ocr_logs', 'idx_request_id'))) {
+    await db.execute('ALTER TABLE ocr_logs ADD INDEX idx_request_id (request_id)');
+  }
+}
+
+async function down(db) {
+  await db.execute(`
+    ALTER TABLE ocr_logs
+      DROP INDEX idx_request_id,
+      ${Object.keys(COLUMNS).reverse().map(column => `DROP COLUMN ${column}`).join(',\n      ')}
+  `);
+}
+
+module.exports = { up, down };
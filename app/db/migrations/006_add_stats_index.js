@@ -0,0 +1,18 @@
+/**
+ * Covering index for GET /stats: every statistics query reads a created_at range and only these columns
+ */
+
+async function up(db) {
+  if (!(await db.indexExists('ocr_logs', 'idx_stats'))) {
+    await db.execute(`
+      ALTER TABLE ocr_logs
+        ADD INDEX idx_stats (created_at, outcome, cache_status, mime_type, file_size, processing_time_ms)
+    `);
+  }
+}
+
+async function down(db) {
+  await db.execute('ALTER TABLE ocr_logs DROP INDEX idx_stats');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+/**
+ * Stored searchable PDFs (POST /ocr/pdf with store=true), addressed by result id and kept until expires_at
+ * In the database rather than on instance disk, so every instance can serve them.
+ */
+
+async function up(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS ocr_pdfs (
+      result_id VARCHAR(64) NOT NULL PRIMARY KEY,
+      filename VARCHAR(255) NOT NULL,
+      pages INT NOT NULL,
+      language VARCHAR(64) NULL,
+      file_hashes JSON NOT NULL,
+      content LONGBLOB NOT NULL,
+      size INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      INDEX idx_expires_at (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+async function down(db) {
+  await db.execute('DROP TABLE IF EXISTS ocr_pdfs');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+/**
+ * Store processing_time_ms as DOUBLE
+ * MySQL returns a FLOAT rounded to ~6 significant digits, so a /logs cursor sorted by processing_time_ms
+ * carried a value that no longer equalled the stored one, and keyset pages repeated or skipped rows.
+ * A DOUBLE comes back exactly. SQLite stores REAL (a double) already.
+ */
+
+async function up(db) {
+  await db.execute('ALTER TABLE ocr_logs MODIFY COLUMN processing_time_ms DOUBLE');
+}
+
+async function down(db) {
+  await db.execute('ALTER TABLE ocr_logs MODIFY COLUMN processing_time_ms FLOAT');
+}
+
+module.exports = { up, down };
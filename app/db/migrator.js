@@ -0,0 +1,260 @@
+const path = require('path');
+const { promises: fs } = require('fs');
+
+/**
+ * Schema Migrator - applies the numbered migrations in db/migrations
+ * Each migration is a module named <version>_<name>.js exporting `up(db)` and `down(db)`.
+ * Applied versions are recorded in schema_migrations. A MySQL named lock (GET_LOCK) serializes
+ * migration runs, so instances starting together don't apply the same migration twice.
+ * MySQL commits DDL implicitly, so a migration that fails halfway is not rolled back: keep each one small.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Migration configuration
+const MIGRATION_CONFIG = {
+  lockName: 'ocr_api_schema_migrations',
+  lockTimeoutSeconds: parseInt(process.env.DB_MIGRATION_LOCK_TIMEOUT_S) || 0, // Longest wait for another instance's run (0: until it finishes)
+  lockPollSeconds: 10 // Each GET_LOCK wait; a run still waiting after one says so in the logs
+};
+
+/**
+ * Load every migration file, ordered by version
+ * @param {string} directory - Migrations directory
+ * @returns {Promise<object[]>} Migrations as { version, name, up, down }
+ * @throws {Error} On duplicate versions or a migration without up/down
+ */
+async function loadMigrations(directory = MIGRATIONS_DIR) {
+  const migrations = [];
+
+  for (const file of await fs.readdir(directory)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const migration = require(path.join(directory, file));
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${file} must export up(db) and down(db)`);
+    }
+    migrations.push({ version: parseInt(match[1]), name: match[2], up: migration.up, down: migration.down });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+/**
+ * File-style label of a migration, e.g. 003_add_result_columns
+ * @param {object} migration - { version, name }
+ * @returns {string} Label
+ */
+function migrationLabel({ version, name }) {
+  return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+/**
+ * Helpers handed to migrations, bound to the migrating connection
+ * @param {object} connection - MySQL connection
+ * @returns {object} { execute, columnExists, indexExists, tableExists }
+ */
+function migrationContext(connection) {
+  return {
+    execute: (sql, params = []) => connection.execute(sql, params),
+    async tableExists(table) {
+      const [rows] = await connection.execute(
+        'SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+        [table]
+      );
+      return rows.length > 0;
+    },
+    async columnExists(table, column) {
+      const [rows] = await connection.execute(
+        'SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+        [table, column]
+      );
+      return rows.length > 0;
+    },
+    async indexExists(table, index) {
+      const [rows] = await connection.execute(
+        'SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ? LIMIT 1',
+        [table, index]
+      );
+      return rows.length > 0;
+    }
+  };
+}
+
+/**
+ * Create the schema_migrations table if needed
+ * @param {object} connection - MySQL connection
+ */
+async function ensureMigrationsTable(connection) {
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+/**
+ * Applied migrations, oldest first
+ * @param {object} connection - MySQL connection
+ * @returns {Promise<object[]>} Rows as { version, name, applied_at }
+ */
+async function appliedMigrations(connection) {
+  const [rows] = await connection.execute('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return rows;
+}
+
+/**
+ * Wait for the migration lock on a connection
+ * Another instance may be running a long migration, so by default this waits until its run
+ * finishes (GET_LOCK is released with the session, even if that instance dies) rather than
+ * starting without a usable schema.
+ * @param {object} connection - MySQL connection
+ * @throws {Error} If lockTimeoutSeconds is set and the lock isn't granted in time
+ */
+async function acquireMigrationLock(connection) {
+  const { lockName, lockTimeoutSeconds, lockPollSeconds } = MIGRATION_CONFIG;
+  const startedAt = Date.now();
+
+  for (;;) {
+    const [[{ acquired }]] = await connection.execute('SELECT GET_LOCK(?, ?) AS acquired', [lockName, lockPollSeconds]);
+    if (acquired === 1) return;
+
+    const waitedSeconds = Math.round((Date.now() - startedAt) / 1000);
+    if (lockTimeoutSeconds > 0 && waitedSeconds >= lockTimeoutSeconds) {
+      throw new Error(`Timed out after ${waitedSeconds}s waiting for the migration lock (another instance is migrating)`);
+    }
+    console.log(`⏳ Another instance is migrating the schema - waited ${waitedSeconds}s for the migration lock`);
+  }
+}
+
+/**
+ * Run a function while holding the migration lock on a dedicated connection
+ * GET_LOCK is bound to the session, so the migrations run on the connection that holds it.
+ * @param {object} pool - MySQL pool
+ * @param {Function} work - (connection) => Promise
+ * @returns {Promise<*>} Result of work
+ * @throws {Error} If the lock isn't granted within lockTimeoutSeconds (when set)
+ */
+async function withMigrationLock(pool, work) {
+  const connection = await pool.getConnection();
+
+  try {
+    await acquireMigrationLock(connection);
+
+    try {
+      await ensureMigrationsTable(connection);
+      return await work(connection);
+    } finally {
+      await connection.execute('SELECT RELEASE_LOCK(?)', [MIGRATION_CONFIG.lockName]).catch(() => {});
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Apply pending migrations in version order
+ * @param {object} pool - MySQL pool
+ * @param {object} options - { to: highest version to apply (default: all), directory: migrations directory }
+ * @returns {Promise<object[]>} Applied migrations as { version, name }
+ */
+async function migrate(pool, { to = Infinity, directory = MIGRATIONS_DIR } = {}) {
+  const migrations = await loadMigrations(directory);
+
+  return withMigrationLock(pool, async (connection) => {
+    // Read inside the lock: another instance may have just applied some
+    const applied = new Set((await appliedMigrations(connection)).map(row => row.version));
+    const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+    const context = migrationContext(connection);
+
+    for (const migration of pending) {
+      console.log(`⬆️ Applying migration ${migrationLabel(migration)}...`);
+      await migration.up(context);
+      await connection.execute('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      console.log(`✅ Migration ${migrationLabel(migration)} applied`);
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {object} pool - MySQL pool
+ * @param {object} options - { steps: number of migrations to roll back (default 1), directory: migrations directory }
+ * @returns {Promise<object[]>} Rolled back migrations as { version, name }, newest first
+ * @throws {Error} If an applied migration's file is missing (its down can't be run)
+ */
+async function rollback(pool, { steps = 1, directory = MIGRATIONS_DIR } = {}) {
+  const migrations = new Map((await loadMigrations(directory)).map(migration => [migration.version, migration]));
+
+  return withMigrationLock(pool, async (connection) => {
+    const applied = (await appliedMigrations(connection)).reverse().slice(0, steps);
+    const context = migrationContext(connection);
+
+    for (const row of applied) {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new Error(`Cannot roll back ${migrationLabel(row)}: migration file not found`);
+      }
+      console.log(`⬇️ Rolling back migration ${migrationLabel(row)}...`);
+      await migration.down(context);
+      await connection.execute('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+      console.log(`✅ Migration ${migrationLabel(row)} rolled back`);
+    }
+
+    return applied.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/**
+ * Status of every known migration (files and schema_migrations rows)
+ * @param {object} pool - MySQL pool
+ * @param {object} options - { directory: migrations directory }
+ * @returns {Promise<object[]>} Entries as { version, name, state: 'applied'|'pending'|'missing', appliedAt }
+ */
+async function status(pool, { directory = MIGRATIONS_DIR } = {}) {
+  const migrations = await loadMigrations(directory);
+  const connection = await pool.getConnection();
+
+  try {
+    await ensureMigrationsTable(connection);
+    const applied = new Map((await appliedMigrations(connection)).map(row => [row.version, row]));
+
+    const entries = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      state: applied.has(migration.version) ? 'applied' : 'pending',
+      appliedAt: applied.get(migration.version)?.applied_at || null
+    }));
+    // Applied in the database but no longer on disk (e.g. a newer release rolled back)
+    for (const [version, row] of applied) {
+      if (!migrations.some(migration => migration.version === version)) {
+        entries.push({ version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+      }
+    }
+
+    return entries.sort((a, b) => a.version - b.version);
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = {
+  migrate,
+  rollback,
+  status,
+  loadMigrations,
+  migrationLabel,
+  MIGRATION_CONFIG
+};
@@ -0,0 +1,434 @@
+const { PassThrough, pipeline } = require('stream');
+const mysql = require('mysql2/promise');
+const { migrate, status: migrationStatus, migrationLabel } = require('./migrator');
+const { LOG_SORT_FIELDS, exportColumns, pageLimit, buildLogFilters, buildKeysetCondition, buildStatsQueries, statsFromRows, whereClause } = require('./logQueries');
+
+/**
+ * MySQL storage adapter (STORAGE_BACKEND=mysql, the default)
+ * Implements the storage interface described in database.js. The schema is managed by the
+ * versioned migrations in db/migrations.
+ */
+
+// Database configuration
+const dbConfig = {
+  host: process.env.DB_HOST || 'localhost',
+  user: process.env.DB_USERNAME || 'admin',
+  password: process.env.DB_PASSWORD || 'TempPassword123!',
+  database: process.env.DB_NAME || 'securityreviewdb',
+  connectionLimit: 10,
+  acquireTimeout: 30000,
+  timeout: 30000,
+  reconnect: true,
+  charset: 'utf8mb4'
+};
+
+// Apply pending schema migrations at startup (set DB_MIGRATE_ON_STARTUP=false to run them with `npm run migrate` instead)
+const MIGRATE_ON_STARTUP = process.env.DB_MIGRATE_ON_STARTUP !== 'false';
+
+// Database connection pool
+let dbPool = null;
+
+/**
+ * Connect to MySQL and bring the schema up to date
+ * @throws {Error} If MySQL is unreachable or a migration fails (the pool is closed again)
+ */
+async function init() {
+  console.log('🔗 Connecting to MySQL database...');
+  console.log(`📍 Host: ${dbConfig.host}`);
+  console.log(`📍 Database: ${dbConfig.database}`);
+
+  dbPool = mysql.createPool(dbConfig);
+
+  try {
+    // Test connection
+    const connection = await dbPool.getConnection();
+    console.log('✅ Database connection established');
+    connection.release();
+
+    if (MIGRATE_ON_STARTUP) {
+      const applied = await migrate(dbPool);
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} schema migration(s)`
+        : '✅ Database schema is up to date');
+    } else {
+      const pending = (await migrationStatus(dbPool)).filter(migration => migration.state === 'pending');
+      if (pending.length > 0) {
+        console.warn(`⚠️ ${pending.length} schema migration(s) pending (${pending.map(migrationLabel).join(', ')}) - run \`npm run migrate\``);
+      }
+    }
+  } catch (error) {
+    await dbPool.end().catch(() => {}); // Ignore cleanup errors
+    dbPool = null;
+    throw error;
+  }
+}
+
+/**
+ * Insert one OCR log row
+ * @param {object} record - Log record (see database.write_ocr)
+ */
+async function writeOcr(record) {
+  await dbPool.execute(`
+    INSERT INTO ocr_logs (image_name, extracted_text, file_size, mime_type, processing_time_ms, language, batch_id,
+                          result_id, file_hash, total_time_ms, result_metadata,
+                          request_id, cache_status, mean_confidence, client_ip, client_key, user_agent, outcome, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+  `, [
+    record.imageName,
+    record.extractedText ?? null,
+    record.fileSize,
+    record.mimeType,
+    record.processingTimeMs ?? null,
+    record.language || 'eng',
+    record.batchId || null,
+    record.resultId || null,
+    record.fileHash || null,
+    record.totalTimeMs ?? null,
+    record.metadata ? JSON.stringify(record.metadata) : null,
+    record.requestId || null,
+    record.cacheStatus || null,
+    record.meanConfidence ?? null,
+    record.clientIp || null,
+    record.clientKey || null,
+    record.userAgent || null,
+    record.outcome || 'success',
+    record.createdAt || null
+  ]);
+}
+
+/**
+ * One page of OCR logs (see database.get_logs)
+ * @param {object} options - { limit, filters, sort, order, after }
+ * @returns {object} { logs, hasMore, total, limit }
+ */
+async function getLogs({ limit = 10, filters = {}, sort = 'created_at', order = 'desc', after = null } = {}) {
+  const safeLimit = pageLimit(limit);
+  const sortExpression = LOG_SORT_FIELDS[sort] || LOG_SORT_FIELDS.created_at;
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+  const { conditions, params } = buildLogFilters(filters);
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+  if (after) {
+    const keyset = buildKeysetCondition(sortExpression, direction, after);
+    pageConditions.push(keyset.condition);
+    pageParams.push(...keyset.params);
+  }
+
+  // Get logs with text preview (one extra row tells whether another page follows)
+  const query = `
+    SELECT
+      id,
+      result_id,
+      image_name,
+      LEFT(extracted_text, 200) as extracted_text_preview,
+      CHAR_LENGTH(extracted_text) as text_length,
+      created_at,
+      file_size,
+      mime_type,
+      processing_time_ms,
+      language,
+      batch_id,
+      file_hash,
+      request_id,
+      cache_status,
+      mean_confidence,
+      outcome,
+      client_ip,
+      client_key,
+      user_agent
+    FROM ocr_logs
+    ${whereClause(pageConditions)}
+    ORDER BY ${sortExpression} ${direction}, id ${direction}
+    LIMIT ?
+  `;
+
+  // query() rather than execute(): prepared statements reject numeric LIMIT placeholders on some MySQL versions
+  const [rows] = await dbPool.query(query, [...pageParams, safeLimit + 1]);
+
+  // Total count of rows matching the filters (across all pages)
+  const [countResult] = await dbPool.query(`SELECT COUNT(*) as total FROM ocr_logs ${whereClause(conditions)}`, params);
+
+  return {
+    logs: rows.slice(0, safeLimit),
+    hasMore: rows.length > safeLimit,
+    total: countResult[0].total,
+    limit: safeLimit
+  };
+}
+
+/**
+ * Full-text search over extracted text (FULLTEXT index ft_extracted_text, see database.search_ocr)
+ * Boolean mode passes the query to MySQL as-is; a malformed one fails with ER_PARSE_ERROR (errno 1064).
+ * @param {string} query - Search query
+ * @param {object} options - { mode, from, to, mimeTypes, limit, offset }
+ * @returns {object} { rows, total, limit, offset }
+ */
+async function search(query, { mode = 'natural', from = null, to = null, mimeTypes = [], limit = 10, offset = 0 } = {}) {
+  const safeLimit = pageLimit(limit);
+  const safeOffset = Math.max(0, parseInt(offset) || 0);
+  const match = `MATCH(extracted_text) AGAINST (? IN ${mode === 'boolean' ? 'BOOLEAN' : 'NATURAL LANGUAGE'} MODE)`;
+
+  const filters = buildLogFilters({ from, to, mimeTypes });
+  const conditions = [match, ...filters.conditions];
+  const params = [query, ...filters.params];
+
+  // query() for the same reason as in getLogs
+  const [rows] = await dbPool.query(`
+    SELECT
+      id,
+      result_id,
+      image_name,
+      extracted_text,
+      CHAR_LENGTH(extracted_text) as text_length,
+      created_at,
+      file_size,
+      mime_type,
+      processing_time_ms,
+      language,
+      batch_id,
+      ${match} as relevance
+    FROM ocr_logs
+    ${whereClause(conditions)}
+    ORDER BY relevance DESC, created_at DESC
+    LIMIT ? OFFSET ?
+  `, [query, ...params, safeLimit, safeOffset]);
+
+  const [countResult] = await dbPool.query(`SELECT COUNT(*) as total FROM ocr_logs ${whereClause(conditions)}`, params);
+
+  return {
+    rows,
+    total: countResult[0].total,
+    limit: safeLimit,
+    offset: safeOffset
+  };
+}
+
+/**
+ * Every log row matching the filters, oldest first, as a stream (see database.export_logs)
+ * Rows come straight from a query stream on a dedicated connection: mysql2 pauses the connection
+ * while the consumer is behind, so memory use doesn't grow with the row count.
+ * @param {object} options - { filters, includeText }
+ * @returns {Readable} Object-mode stream of rows
+ */
+function exportLogs({ filters = {}, includeText = false } = {}) {
+  const { conditions, params } = buildLogFilters(filters);
+  const sql = `SELECT ${exportColumns(includeText).join(', ')} FROM ocr_logs ${whereClause(conditions)} ORDER BY id`;
+  const rows = new PassThrough({ objectMode: true });
+
+  // The promise pool has no query streams: use the callback pool underneath
+  dbPool.pool.getConnection((error, connection) => {
+    if (error) {
+      rows.destroy(error);
+      return;
+    }
+
+    pipeline(connection.query(sql, params).stream(), rows, streamError => {
+      // A query abandoned halfway leaves the connection mid-result: don't hand it back to the pool
+      if (streamError) {
+        connection.destroy();
+      } else {
+        connection.release();
+      }
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Usage statistics (see database.get_stats)
+ * @param {object} options - { filters, intervalSeconds }
+ * @returns {object} { timeline, processingTime, mimeTypes, fileSizes, errors }
+ */
+async function stats({ filters = {}, intervalSeconds = 3600 } = {}) {
+  const seconds = parseInt(intervalSeconds) || 3600;
+  const queries = buildStatsQueries(`(UNIX_TIMESTAMP(created_at) DIV ${seconds}) * ${seconds}`, filters);
+
+  const rows = {};
+  for (const [name, { sql, params }] of Object.entries(queries)) {
+    [rows[name]] = await dbPool.query(sql, params);
+  }
+  return statsFromRows(rows);
+}
+
+/**
+ * One stored OCR result by its public id
+ * @param {string} resultId - Result id returned in the OCR response
+ * @returns {object|null} Result row (result_metadata parsed by mysql2), or null
+ */
+async function getResult(resultId) {
+  const [rows] = await dbPool.execute(
+    `SELECT result_id, image_name, extracted_text, created_at, file_size, mime_type,
+            processing_time_ms, total_time_ms, language, batch_id, file_hash, result_metadata, request_id
+     FROM ocr_logs
+     WHERE result_id = ?`,
+    [resultId]
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * Delete one stored OCR result by its public id
+ * @param {string} resultId - Result id returned in the OCR response
+ * @returns {object|null} { resultId, fileHash } of the deleted result, or null if there was none
+ */
+async function deleteResult(resultId) {
+  const [rows] = await dbPool.execute('SELECT file_hash FROM ocr_logs WHERE result_id = ?', [resultId]);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  await dbPool.execute('DELETE FROM ocr_logs WHERE result_id = ?', [resultId]);
+  return { resultId, fileHash: rows[0].file_hash };
+}
+
+/**
+ * Drop the text of up to `limit` rows created before a time (retention; metrics and the row stay)
+ * Region texts in result_metadata go too.
+ * @param {Date} before - Rows created before this time
+ * @param {number} limit - Maximum rows to update
+ * @returns {number} Rows updated
+ */
+async function expireText(before, limit) {
+  // query() for the LIMIT placeholder, as in getLogs
+  const [result] = await dbPool.query(`
+    UPDATE ocr_logs
+    SET extracted_text = NULL, result_metadata = JSON_REMOVE(result_metadata, '$.regions')
+    WHERE created_at < ? AND extracted_text IS NOT NULL
+    LIMIT ?
+  `, [before, limit]);
+  return result.affectedRows;
+}
+
+/**
+ * Delete up to `limit` rows created before a time (retention)
+ * @param {Date} before - Rows created before this time
+ * @param {number} limit - Maximum rows to delete
+ * @returns {number} Rows deleted
+ */
+async function expireRows(before, limit) {
+  const [result] = await dbPool.query('DELETE FROM ocr_logs WHERE created_at < ? LIMIT ?', [before, limit]);
+  return result.affectedRows;
+}
+
+/**
+ * Delete every row for one file (erasure)
+ * @param {string} fileHash - SHA-256 of the uploaded file
+ * @returns {object} { rowsDeleted, resultIds } - resultIds of the deleted stored results
+ */
+async function eraseFile(fileHash) {
+  const [rows] = await dbPool.execute(
+    'SELECT result_id FROM ocr_logs WHERE file_hash = ? AND result_id IS NOT NULL', [fileHash]
+  );
+  const [result] = await dbPool.execute('DELETE FROM ocr_logs WHERE file_hash = ?', [fileHash]);
+  return { rowsDeleted: result.affectedRows, resultIds: rows.map(row => row.result_id) };
+}
+
+/**
+ * Store a searchable PDF (see database.store_pdf)
+ * @param {object} pdf - { resultId, filename, pages, language, fileHashes, content, expiresAt }
+ */
+async function storePdf(pdf) {
+  await dbPool.execute(`
+    INSERT INTO ocr_pdfs (result_id, filename, pages, language, file_hashes, content, size, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    pdf.resultId,
+    pdf.filename,
+    pdf.pages,
+    pdf.language || null,
+    JSON.stringify(pdf.fileHashes),
+    pdf.content,
+    pdf.content.length,
+    pdf.expiresAt
+  ]);
+}
+
+/**
+ * One stored PDF that hasn't expired
+ * @param {string} resultId - Result id of the stored PDF
+ * @param {Date} now - Reference time for the expiry
+ * @returns {object|null} PDF row (file_hashes parsed by mysql2), or null
+ */
+async function getPdf(resultId, now) {
+  const [rows] = await dbPool.execute(`
+    SELECT result_id, filename, pages, language, file_hashes, content, size, created_at, expires_at
+    FROM ocr_pdfs
+    WHERE result_id = ? AND expires_at > ?
+  `, [resultId, now]);
+
+  return rows[0] || null;
+}
+
+/**
+ * Delete up to `limit` stored PDFs that have expired
+ * @param {Date} now - Reference time for the expiry
+ * @param {number} limit - Maximum PDFs to delete
+ * @returns {number} PDFs deleted
+ */
+async function expirePdfs(now, limit) {
+  // query() for the LIMIT placeholder, as in getLogs
+  const [result] = await dbPool.query('DELETE FROM ocr_pdfs WHERE expires_at <= ? LIMIT ?', [now, limit]);
+  return result.affectedRows;
+}
+
+/**
+ * Delete every stored PDF with a page from one file (erasure)
+ * @param {string} fileHash - SHA-256 of the uploaded file
+ * @returns {string[]} Result ids of the deleted PDFs
+ */
+async function erasePdfs(fileHash) {
+  const [rows] = await dbPool.execute(
+    'SELECT result_id FROM ocr_pdfs WHERE JSON_CONTAINS(file_hashes, JSON_QUOTE(?))', [fileHash]
+  );
+  if (rows.length === 0) return [];
+
+  const resultIds = rows.map(row => row.result_id);
+  await dbPool.query('DELETE FROM ocr_pdfs WHERE result_id IN (?)', [resultIds]);
+  return resultIds;
+}
+
+/**
+ * Connection summary for GET /
+ * @returns {object} { backend, host, database }
+ */
+function info() {
+  return {
+    backend: 'mysql',
+    host: dbConfig.host,
+    database: dbConfig.database
+  };
+}
+
+/**
+ * Close the connection pool
+ */
+async function close() {
+  if (dbPool) {
+    await dbPool.end();
+    dbPool = null;
+  }
+}
+
+module.exports = {
+  dbConfig,
+  init,
+  writeOcr,
+  getLogs,
+  search,
+  exportLogs,
+  stats,
+  getResult,
+  deleteResult,
+  expireText,
+  expireRows,
+  eraseFile,
+  storePdf,
+  getPdf,
+  expirePdfs,
+  erasePdfs,
+  info,
+  close
+};
@@ -0,0 +1,558 @@
+const path = require('path');
+const fs = require('fs');
+const { Readable } = require('stream');
+const { LOG_SORT_FIELDS, exportColumns, pageLimit, buildLogFilters, buildKeysetCondition, buildStatsQueries, statsFromRows, whereClause } = require('./logQueries');
+
+/**
+ * SQLite storage adapter (STORAGE_BACKEND=sqlite) - full persistence without a database server,
+ * for local development and tests
+ * Implements the storage interface described in database.js. Search uses an FTS5 index kept in
+ * sync with ocr_logs by triggers.
+ */
+
+// SQLite configuration
+const SQLITE_CONFIG = {
+  filename: process.env.STORAGE_SQLITE_PATH || path.join(__dirname, '..', 'storage', 'ocr.sqlite'), // ':memory:' for a throwaway database
+  exportChunkSize: 500 // Rows read at a time by exportLogs
+};
+
+/**
+ * Schema, one entry per version (tracked in PRAGMA user_version)
+ * Append new versions, never edit applied ones. The MySQL equivalent lives in db/migrations.
+ */
+const SCHEMA_VERSIONS = [
+  // 1: ocr_logs as of MySQL migration 004, plus the FTS5 index
+  `
+    CREATE TABLE ocr_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      image_name TEXT NOT NULL,
+      extracted_text TEXT,
+      created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      file_size INTEGER,
+      mime_type TEXT,
+      processing_time_ms REAL,
+      language TEXT DEFAULT 'eng',
+      batch_id TEXT,
+      result_id TEXT,
+      file_hash TEXT,
+      total_time_ms REAL,
+      result_metadata TEXT
+    );
+    CREATE INDEX idx_created_at ON ocr_logs (created_at);
+    CREATE INDEX idx_image_name ON ocr_logs (image_name);
+    CREATE INDEX idx_batch_id ON ocr_logs (batch_id);
+    CREATE UNIQUE INDEX idx_result_id ON ocr_logs (result_id);
+    CREATE INDEX idx_file_hash ON ocr_logs (file_hash);
+
+    CREATE VIRTUAL TABLE ocr_logs_fts USING fts5(
+      extracted_text, content='ocr_logs', content_rowid='id', tokenize='unicode61 remove_diacritics 2'
+    );
+    CREATE TRIGGER ocr_logs_fts_insert AFTER INSERT ON ocr_logs BEGIN
+      INSERT INTO ocr_logs_fts (rowid, extracted_text) VALUES (new.id, new.extracted_text);
+    END;
+    CREATE TRIGGER ocr_logs_fts_delete AFTER DELETE ON ocr_logs BEGIN
+      INSERT INTO ocr_logs_fts (ocr_logs_fts, rowid, extracted_text) VALUES ('delete', old.id, old.extracted_text);
+    END;
+    CREATE TRIGGER ocr_logs_fts_update AFTER UPDATE OF extracted_text ON ocr_logs BEGIN
+      INSERT INTO ocr_logs_fts (ocr_logs_fts, rowid, extracted_text) VALUES ('delete', old.id, old.extracted_text);
+      INSERT INTO ocr_logs_fts (rowid, extracted_text) VALUES (new.id, new.extracted_text);
+    END;
+  `,
+  // 2: request details (MySQL migration 005)
+  `
+    ALTER TABLE ocr_logs ADD COLUMN request_id TEXT;
+    ALTER TABLE ocr_logs ADD COLUMN cache_status TEXT;
+    ALTER TABLE ocr_logs ADD COLUMN mean_confidence REAL;
+    ALTER TABLE ocr_logs ADD COLUMN client_ip TEXT;
+    ALTER TABLE ocr_logs ADD COLUMN client_key TEXT;
+    ALTER TABLE ocr_logs ADD COLUMN user_agent TEXT;
+    ALTER TABLE ocr_logs ADD COLUMN outcome TEXT NOT NULL DEFAULT 'success';
+    CREATE INDEX idx_request_id ON ocr_logs (request_id);
+  `,
+  // 3: covering index for the usage statistics (MySQL migration 006)
+  `
+    CREATE INDEX idx_stats ON ocr_logs (created_at, outcome, cache_status, mime_type, file_size, processing_time_ms);
+  `,
+  // 4: stored searchable PDFs (MySQL migration 007)
+  `
+    CREATE TABLE ocr_pdfs (
+      result_id TEXT PRIMARY KEY,
+      filename TEXT NOT NULL,
+      pages INTEGER NOT NULL,
+      language TEXT,
+      file_hashes TEXT NOT NULL,
+      content BLOB NOT NULL,
+      size INTEGER NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      expires_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_pdfs_expires_at ON ocr_pdfs (expires_at);
+  `
+];
+
+// Database handle (better-sqlite3 is synchronous; the adapter keeps the async interface)
+let db = null;
+
+/**
+ * SQLite can't bind Dates: store them as ISO 8601 text, which sorts chronologically
+ * @param {Array} params - Placeholder values
+ * @returns {Array} Values SQLite can bind
+ */
+function bindable(params) {
+  return params.map(value => (value instanceof Date ? value.toISOString() : value));
+}
+
+/**
+ * Give a row the types mysql2 returns (Date created_at, parsed result_metadata)
+ * @param {object} row - SQLite row
+ * @returns {object} Row
+ */
+function toRow(row) {
+  if (row.created_at) row.created_at = new Date(row.created_at);
+  if (typeof row.result_metadata === 'string') row.result_metadata = JSON.parse(row.result_metadata);
+  return row;
+}
+
+/**
+ * Translate a search query to an FTS5 expression with MySQL full-text semantics
+ * natural: any of the words. boolean: +required -excluded "phrase" prefix* (other words are optional).
+ * Every term is quoted, so user input can't inject FTS5 syntax.
+ * @param {string} query - Search query
+ * @param {string} mode - 'natural' or 'boolean'
+ * @returns {string|null} FTS5 MATCH expression, or null if nothing can match
+ */
+function toFtsQuery(query, mode) {
+  const quote = text => `"${text.replace(/"/g, '""')}"`;
+
+  if (mode !== 'boolean') {
+    const words = query.match(/[\p{L}\p{N}_]+/gu) || [];
+    return words.length > 0 ? words.map(quote).join(' OR ') : null;
+  }
+
+  const required = [];
+  const optional = [];
+  const excluded = [];
+  for (const token of query.match(/[-+~<>()]*"[^"]*"?|\S+/g) || []) {
+    const operators = token.match(/^[-+~<>()]*/)[0];
+    const body = token.slice(operators.length).replace(/[()]+$/, '');
+    const phrase = body.match(/^"([^"]*)"?$/);
+
+    let term;
+    if (phrase) {
+      term = phrase[1].trim() ? quote(phrase[1].trim()) : null;
+    } else {
+      const word = body.replace(/\*+$/, '');
+      term = word ? quote(word) + (body.endsWith('*') ? '*' : '') : null;
+    }
+    if (!term) continue;
+
+    if (operators.includes('-')) excluded.push(term);
+    else if (operators.includes('+')) required.push(term);
+    else optional.push(term);
+  }
+
+  // With required terms, optional ones only affect ranking in MySQL
+  const positive = required.length > 0 ? required.join(' AND ') : optional.join(' OR ');
+  if (!positive) return null; // Only excluded terms: MySQL matches nothing
+  return excluded.length > 0 ? `(${positive}) NOT (${excluded.join(' OR ')})` : positive;
+}
+
+/**
+ * Open the database file and bring the schema up to date
+ * @param {object} options - { filename } overrides SQLITE_CONFIG (the conformance tests use a temporary file)
+ * @throws {Error} If better-sqlite3 isn't installed or the file can't be opened
+ */
+async function init({ filename = SQLITE_CONFIG.filename } = {}) {
+  // An optional dependency: MySQL deployments may install without its native build
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error(`better-sqlite3 is not installed (${error.message}) - run \`npm install better-sqlite3\` to use STORAGE_BACKEND=sqlite`);
+  }
+
+  console.log('🔗 Opening SQLite database...');
+  console.log(`📍 File: ${filename}`);
+
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+  db = new Database(filename);
+
+  try {
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+
+    const version = db.pragma('user_version', { simple: true });
+    for (let next = version; next < SCHEMA_VERSIONS.length; next++) {
+      // SQLite DDL is transactional: a failing version leaves the schema untouched
+      db.transaction(() => {
+        db.exec(SCHEMA_VERSIONS[next]);
+        db.pragma(`user_version = ${next + 1}`);
+      })();
+      console.log(`✅ SQLite schema version ${next + 1} applied`);
+    }
+    console.log('✅ SQLite database ready');
+  } catch (error) {
+    db.close();
+    db = null;
+    throw error;
+  }
+}
+
+/**
+ * Insert one OCR log row
+ * @param {object} record - Log record (see database.write_ocr)
+ */
+async function writeOcr(record) {
+  db.prepare(`
+    INSERT INTO ocr_logs (image_name, extracted_text, file_size, mime_type, processing_time_ms, language, batch_id,
+                          result_id, file_hash, total_time_ms, result_metadata,
+                          request_id, cache_status, mean_confidence, client_ip, client_key, user_agent, outcome, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')))
+  `).run(
+    record.imageName,
+    record.extractedText ?? null,
+    record.fileSize,
+    record.mimeType,
+    record.processingTimeMs ?? null,
+    record.language || 'eng',
+    record.batchId || null,
+    record.resultId || null,
+    record.fileHash || null,
+    record.totalTimeMs ?? null,
+    record.metadata ? JSON.stringify(record.metadata) : null,
+    record.requestId || null,
+    record.cacheStatus || null,
+    record.meanConfidence ?? null,
+    record.clientIp || null,
+    record.clientKey || null,
+    record.userAgent || null,
+    record.outcome || 'success',
+    record.createdAt ? record.createdAt.toISOString() : null
+  );
+}
+
+/**
+ * One page of OCR logs (see database.get_logs)
+ * @param {object} options - { limit, filters, sort, order, after }
+ * @returns {object} { logs, hasMore, total, limit }
+ */
+async function getLogs({ limit = 10, filters = {}, sort = 'created_at', order = 'desc', after = null } = {}) {
+  const safeLimit = pageLimit(limit);
+  const sortExpression = LOG_SORT_FIELDS[sort] || LOG_SORT_FIELDS.created_at;
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+  const { conditions, params } = buildLogFilters(filters);
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+  if (after) {
+    const keyset = buildKeysetCondition(sortExpression, direction, after);
+    pageConditions.push(keyset.condition);
+    pageParams.push(...keyset.params);
+  }
+
+  const rows = db.prepare(`
+    SELECT
+      id,
+      result_id,
+      image_name,
+      substr(extracted_text, 1, 200) as extracted_text_preview,
+      length(extracted_text) as text_length,
+      created_at,
+      file_size,
+      mime_type,
+      processing_time_ms,
+      language,
+      batch_id,
+      file_hash,
+      request_id,
+      cache_status,
+      mean_confidence,
+      outcome,
+      client_ip,
+      client_key,
+      user_agent
+    FROM ocr_logs
+    ${whereClause(pageConditions)}
+    ORDER BY ${sortExpression} ${direction}, id ${direction}
+    LIMIT ?
+  `).all(...bindable([...pageParams, safeLimit + 1]));
+
+  const { total } = db.prepare(`SELECT COUNT(*) as total FROM ocr_logs ${whereClause(conditions)}`).get(...bindable(params));
+
+  return {
+    logs: rows.slice(0, safeLimit).map(toRow),
+    hasMore: rows.length > safeLimit,
+    total,
+    limit: safeLimit
+  };
+}
+
+/**
+ * Full-text search over extracted text (FTS5, see database.search_ocr)
+ * Relevance is the negated BM25 score: higher is better, as with MySQL.
+ * @param {string} query - Search query
+ * @param {object} options - { mode, from, to, mimeTypes, limit, offset }
+ * @returns {object} { rows, total, limit, offset }
+ */
+async function search(query, { mode = 'natural', from = null, to = null, mimeTypes = [], limit = 10, offset = 0 } = {}) {
+  const safeLimit = pageLimit(limit);
+  const safeOffset = Math.max(0, parseInt(offset) || 0);
+
+  const ftsQuery = toFtsQuery(query, mode);
+  if (!ftsQuery) {
+    return { rows: [], total: 0, limit: safeLimit, offset: safeOffset };
+  }
+
+  const filters = buildLogFilters({ from, to, mimeTypes });
+  const conditions = ['ocr_logs_fts MATCH ?', ...filters.conditions];
+  const params = bindable([ftsQuery, ...filters.params]);
+  const source = 'FROM ocr_logs_fts JOIN ocr_logs ON ocr_logs.id = ocr_logs_fts.rowid';
+
+  const rows = db.prepare(`
+    SELECT
+      ocr_logs.id,
+      result_id,
+      image_name,
+      ocr_logs.extracted_text,
+      length(ocr_logs.extracted_text) as text_length,
+      created_at,
+      file_size,
+      mime_type,
+      processing_time_ms,
+      language,
+      batch_id,
+      -bm25(ocr_logs_fts) as relevance
+    ${source}
+    ${whereClause(conditions)}
+    ORDER BY relevance DESC, created_at DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, safeLimit, safeOffset);
+
+  const { total } = db.prepare(`SELECT COUNT(*) as total ${source} ${whereClause(conditions)}`).get(...params);
+
+  return {
+    rows: rows.map(toRow),
+    total,
+    limit: safeLimit,
+    offset: safeOffset
+  };
+}
+
+/**
+ * Every log row matching the filters, oldest first, as a stream (see database.export_logs)
+ * better-sqlite3 can't run other statements while an iterator is open, so rows are read in
+ * keyset-paginated chunks, each only when the consumer wants more: requests keep being served
+ * during a long export and memory use doesn't grow with the row count.
+ * @param {object} options - { filters, includeText }
+ * @returns {Readable} Object-mode stream of rows
+ */
+function exportLogs({ filters = {}, includeText = false } = {}) {
+  const { conditions, params } = buildLogFilters(filters);
+  const statement = db.prepare(`
+    SELECT ${exportColumns(includeText).join(', ')}
+    FROM ocr_logs
+    ${whereClause([...conditions, 'id > ?'])}
+    ORDER BY id
+    LIMIT ?
+  `);
+
+  async function* readChunks() {
+    let lastId = 0;
+    for (;;) {
+      const rows = statement.all(...bindable([...params, lastId, SQLITE_CONFIG.exportChunkSize]));
+      for (const row of rows) yield toRow(row);
+      if (rows.length < SQLITE_CONFIG.exportChunkSize) return;
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+
+  return Readable.from(readChunks());
+}
+
+/**
+ * Usage statistics (see database.get_stats)
+ * @param {object} options - { filters, intervalSeconds }
+ * @returns {object} { timeline, processingTime, mimeTypes, fileSizes, errors }
+ */
+async function stats({ filters = {}, intervalSeconds = 3600 } = {}) {
+  const seconds = parseInt(intervalSeconds) || 3600;
+  const queries = buildStatsQueries(`(CAST(strftime('%s', created_at) AS INTEGER) / ${seconds}) * ${seconds}`, filters);
+
+  const rows = {};
+  for (const [name, { sql, params }] of Object.entries(queries)) {
+    rows[name] = db.prepare(sql).all(...bindable(params));
+  }
+  return statsFromRows(rows);
+}
+
+/**
+ * One stored OCR result by its public id
+ * @param {string} resultId - Result id returned in the OCR response
+ * @returns {object|null} Result row, or null
+ */
+async function getResult(resultId) {
+  const row = db.prepare(`
+    SELECT result_id, image_name, extracted_text, created_at, file_size, mime_type,
+           processing_time_ms, total_time_ms, language, batch_id, file_hash, result_metadata, request_id
+    FROM ocr_logs
+    WHERE result_id = ?
+  `).get(resultId);
+
+  return row ? toRow(row) : null;
+}
+
+/**
+ * Delete one stored OCR result by its public id
+ * @param {string} resultId - Result id returned in the OCR response
+ * @returns {object|null} { resultId, fileHash } of the deleted result, or null if there was none
+ */
+async function deleteResult(resultId) {
+  const row = db.prepare('DELETE FROM ocr_logs WHERE result_id = ? RETURNING file_hash').get(resultId);
+  return row ? { resultId, fileHash: row.file_hash } : null;
+}
+
+/**
+ * Drop the text of up to `limit` rows created before a time (retention; metrics and the row stay)
+ * Region texts in result_metadata go too.
+ * @param {Date} before - Rows created before this time
+ * @param {number} limit - Maximum rows to update
+ * @returns {number} Rows updated
+ */
+async function expireText(before, limit) {
+  // SQLite has no UPDATE ... LIMIT (without a compile option): pick the rows in a subquery
+  return db.prepare(`
+    UPDATE ocr_logs
+    SET extracted_text = NULL, result_metadata = json_remove(result_metadata, '$.regions')
+    WHERE id IN (SELECT id FROM ocr_logs WHERE created_at < ? AND extracted_text IS NOT NULL LIMIT ?)
+  `).run(before.toISOString(), limit).changes;
+}
+
+/**
+ * Delete up to `limit` rows created before a time (retention)
+ * @param {Date} before - Rows created before this time
+ * @param {number} limit - Maximum rows to delete
+ * @returns {number} Rows deleted
+ */
+async function expireRows(before, limit) {
+  return db.prepare('DELETE FROM ocr_logs WHERE id IN (SELECT id FROM ocr_logs WHERE created_at < ? LIMIT ?)')
+    .run(before.toISOString(), limit).changes;
+}
+
+/**
+ * Delete every row for one file (erasure)
+ * @param {string} fileHash - SHA-256 of the uploaded file
+ * @returns {object} { rowsDeleted, resultIds } - resultIds of the deleted stored results
+ */
+async function eraseFile(fileHash) {
+  const rows = db.prepare('DELETE FROM ocr_logs WHERE file_hash = ? RETURNING result_id').all(fileHash);
+  return { rowsDeleted: rows.length, resultIds: rows.map(row => row.result_id).filter(Boolean) };
+}
+
+/**
+ * Store a searchable PDF (see database.store_pdf)
+ * @param {object} pdf - { resultId, filename, pages, language, fileHashes, content, expiresAt }
+ */
+async function storePdf(pdf) {
+  db.prepare(`
+    INSERT INTO ocr_pdfs (result_id, filename, pages, language, file_hashes, content, size, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    pdf.resultId,
+    pdf.filename,
+    pdf.pages,
+    pdf.language || null,
+    JSON.stringify(pdf.fileHashes),
+    pdf.content,
+    pdf.content.length,
+    pdf.expiresAt.toISOString()
+  );
+}
+
+/**
+ * One stored PDF that hasn't expired
+ * @param {string} resultId - Result id of the stored PDF
+ * @param {Date} now - Reference time for the expiry
+ * @returns {object|null} PDF row, or null
+ */
+async function getPdf(resultId, now) {
+  const row = db.prepare(`
+    SELECT result_id, filename, pages, language, file_hashes, content, size, created_at, expires_at
+    FROM ocr_pdfs
+    WHERE result_id = ? AND expires_at > ?
+  `).get(resultId, now.toISOString());
+
+  if (!row) return null;
+  return {
+    ...toRow(row),
+    file_hashes: JSON.parse(row.file_hashes),
+    expires_at: new Date(row.expires_at)
+  };
+}
+
+/**
+ * Delete up to `limit` stored PDFs that have expired
+ * @param {Date} now - Reference time for the expiry
+ * @param {number} limit - Maximum PDFs to delete
+ * @returns {number} PDFs deleted
+ */
+async function expirePdfs(now, limit) {
+  return db.prepare('DELETE FROM ocr_pdfs WHERE result_id IN (SELECT result_id FROM ocr_pdfs WHERE expires_at <= ? LIMIT ?)')
+    .run(now.toISOString(), limit).changes;
+}
+
+/**
+ * Delete every stored PDF with a page from one file (erasure)
+ * @param {string} fileHash - SHA-256 of the uploaded file
+ * @returns {string[]} Result ids of the deleted PDFs
+ */
+async function erasePdfs(fileHash) {
+  return db.prepare(`
+    DELETE FROM ocr_pdfs
+    WHERE EXISTS (SELECT 1 FROM json_each(ocr_pdfs.file_hashes) WHERE json_each.value = ?)
+    RETURNING result_id
+  `).all(fileHash).map(row => row.result_id);
+}
+
+/**
+ * Database summary for GET /
+ * @returns {object} { backend, file }
+ */
+function info() {
+  return {
+    backend: 'sqlite',
+    file: db ? db.name : SQLITE_CONFIG.filename
+  };
+}
+
+/**
+ * Close the database file
+ */
+async function close() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+module.exports = {
+  SQLITE_CONFIG,
+  init,
+  writeOcr,
+  getLogs,
+  search,
+  exportLogs,
+  stats,
+  getResult,
+  deleteResult,
+  expireText,
+  expireRows,
+  eraseFile,
+  storePdf,
+  getPdf,
+  expirePdfs,
+  erasePdfs,
+  info,
+  close
+};
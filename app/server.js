@@ -4,8 +4,21 @@ const cors = require('cors');
 const path = require('path');
 const { initializeDatabase, getDatabaseInfo, closeDatabasePool } = require('./db/database');
 const { init: initCache, getCacheStatus, closeCache } = require('./cache/cache');
+const { init: initWorkerPool, getWorkerPoolStatus, closeWorkerPool } = require('./services/workerPool');
 const { ocrHandler } = require('./api/ocrApi');
-const { logsHandler } = require('./api/logsApi');
+const { logsHandler, logsExportHandler } = require('./api/logsApi');
+const { statsHandler } = require('./api/statsApi');
+const { languagesHandler } = require('./api/languagesApi');
+const { ocrJobHandler, ocrJobStatusHandler } = require('./api/jobsApi');
+const { resultHandler, deleteResultHandler } = require('./api/resultsApi');
+const { searchHandler } = require('./api/searchApi');
+const { ocrBatchHandler, BATCH_CONFIG } = require('./api/batchApi');
+const { ocrPdfHandler, storedPdfHandler } = require('./api/pdfApi');
+const { cacheStatsHandler, cacheEntryHandler, cacheEvictHandler, cacheFlushHandler } = require('./api/adminCacheApi');
+const { eraseHandler } = require('./api/adminDataApi');
+const { requireAdmin } = require('./api/adminAuth');
+const { getJobStats } = require('./services/jobService');
+const { startRetention, getRetentionStatus } = require('./services/retentionService');
 
 // Import new utilities
 const { logger, createRequestLogger } = require('./utils/logger');
@@ -17,10 +30,26 @@ const app = express();
 // IMPORTANT: Use process.env.PORT for Elastic Beanstalk
 const port = process.env.PORT || 8080;
 
-// Initialize database and cache on startup
+/**
+ * Express "trust proxy" setting from TRUST_PROXY: a hop count, true/false, or comma-separated addresses/subnets
+ * Behind a load balancer req.ip (logged as client_ip) is the balancer's address unless its X-Forwarded-For is trusted.
+ * @param {string} value - TRUST_PROXY value (unset: trust no proxy)
+ * @returns {boolean|number|string} Setting for app.set('trust proxy')
+ */
+function parseTrustProxy(value = 'false') {
+  if (/^\d+$/.test(value)) return parseInt(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+// Initialize database, cache and OCR workers on startup
 logger.info('Starting OCR API Server initialization...');
 initializeDatabase();
 initCache();
+initWorkerPool();
+startRetention();
 
 // Middleware
 app.use(cors());
@@ -43,6 +72,16 @@ const upload = multer({
   fileFilter: createMulterFileFilter() // Use our professional file filter
 });
 
+// Batch uploads skip the file filter: each file is validated individually so
+// one bad file is reported in the results instead of rejecting the whole batch
+const batchUpload = multer({
+  dest: 'uploads/',
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit per file
+    files: BATCH_CONFIG.maxFiles
+  }
+});
+
 // Health check endpoint for Beanstalk
 app.get('/', async (req, res) => {
   const cacheStatus = await getCacheStatus();
@@ -59,13 +98,35 @@ app.get('/', async (req, res) => {
       enabled: cacheStatus.enabled,
       backend: cacheStatus.backend || 'none',
       connected: cacheStatus.connected,
-      info: cacheStatus.info
+      node: cacheStatus.node,
+      info: cacheStatus.info,
+      tiers: cacheStatus.tiers,
+      compression: cacheStatus.compression
     },
+    ocrWorkers: getWorkerPoolStatus(),
+    jobs: getJobStats(),
+    retention: getRetentionStatus(),
     endpoints: {
       'GET /': 'API status',
       'GET /health': 'Health check',
-      'POST /ocr': 'OCR processing',
+      'POST /ocr': 'OCR processing (optional lang field, e.g. "eng+deu")',
+      'POST /ocr/batch': `OCR up to ${BATCH_CONFIG.maxFiles} images (images[] field) in one request`,
+      'POST /ocr/pdf': 'Searchable PDF from one image or several images[] (store=true keeps it)',
+      'GET /ocr/pdf/:id': 'Download a stored searchable PDF',
+      'POST /ocr/jobs': 'Queue OCR processing in the background (202 + job id)',
+      'GET /ocr/jobs/:id': 'OCR job status and result',
+      'GET /ocr/results/:id': 'Stored OCR result by the resultId of an OCR response',
+      'DELETE /ocr/results/:id': 'Delete a stored OCR result',
+      'GET /ocr/search': 'Full-text search over past OCR output (q, mode, from, to, mime)',
+      'GET /languages': 'Installed OCR languages',
       'GET /logs': 'View OCR logs (development only)',
+      'GET /logs/export': 'Stream OCR logs as CSV or NDJSON (format, include_text, /logs filters; development only)',
+      'GET /stats': 'Usage statistics: volume, latency percentiles, cache hit ratio, errors (from, to, interval)',
+      'GET /admin/cache/stats': 'Cache hit ratio, key count, memory use and lookup times (admin)',
+      'GET /admin/cache/:hash': 'Cached results for a file SHA-256 (admin)',
+      'DELETE /admin/cache/:hash': 'Evict cached results for a file SHA-256 (admin)',
+      'POST /admin/cache/flush': 'Remove every cached OCR result (admin)',
+      'DELETE /admin/data/:id': 'Erase every log row and cached result for a file SHA-256 or result id (admin)',
       'GET /static/index.html': 'Test page'
     }
   });
@@ -84,15 +145,54 @@ app.get('/health', (req, res) => {
 // OCR endpoint - uses the new 3-layer architecture
 app.post('/ocr', upload.single('image'), ocrHandler);
 
-// OCR logs endpoint - uses the new 3-layer architecture
+// Batch OCR endpoint - many images under the images[] field, per-file results
+app.post(
+  '/ocr/batch',
+  batchUpload.any(), // Keeps upload order; the handler checks field names
+  ocrBatchHandler
+);
+
+// Searchable PDF - one page per uploaded image, optionally stored for later download
+app.post('/ocr/pdf', batchUpload.any(), ocrPdfHandler);
+app.get('/ocr/pdf/:id', storedPdfHandler);
+
+// Asynchronous OCR jobs - same upload as POST /ocr, polled for the result
+app.post('/ocr/jobs', upload.single('image'), ocrJobHandler);
+app.get('/ocr/jobs/:id', ocrJobStatusHandler);
+
+// Stored OCR results - every OCR response carries a resultId when the database is connected
+app.get('/ocr/results/:id', resultHandler);
+app.delete('/ocr/results/:id', deleteResultHandler);
+
+// Full-text search over past OCR output
+// ⚠️  Exposes extracted text like /logs - protect it before exposing the service publicly
+app.get('/ocr/search', searchHandler);
+
+// Installed OCR languages (traineddata files in the language path)
+app.get('/languages', languagesHandler);
+
+// OCR logs endpoints (listing and CSV/NDJSON export) - use the new 3-layer architecture
 // ⚠️  DEVELOPMENT ENDPOINT - REMOVE IN PRODUCTION ⚠️
-// This endpoint exposes internal application data and should ONLY be used during development.
+// These endpoints expose internal application data and should ONLY be used during development.
 // Before production deployment, you MUST either:
-//   1. Remove this endpoint entirely, OR
+//   1. Remove these endpoints entirely, OR
 //   2. Add proper authentication (API keys, JWT, etc.), OR  
 //   3. Add rate limiting and IP whitelisting
 // Current status: UNSECURED - exposes database logs to anyone
 app.get('/logs', logsHandler);
+app.get('/logs/export', logsExportHandler);
+
+// Usage statistics - aggregates of the OCR logs, cached briefly
+app.get('/stats', statsHandler);
+
+// Cache administration - X-Admin-Key header required when ADMIN_API_KEY is set
+app.get('/admin/cache/stats', requireAdmin, cacheStatsHandler);
+app.post('/admin/cache/flush', requireAdmin, cacheFlushHandler);
+app.get('/admin/cache/:hash', requireAdmin, cacheEntryHandler);
+app.delete('/admin/cache/:hash', requireAdmin, cacheEvictHandler);
+
+// Erasure of one file's logs and cached results (right to erasure) - admin only
+app.delete('/admin/data/:id', requireAdmin, eraseHandler);
 
 // Error handling middleware - use our custom error handler
 app.use(errorHandler);
@@ -102,7 +202,7 @@ app.use('*', (req, res) => {
   res.status(404).json({
     error: 'Not found',
     message: `Route ${req.originalUrl} not found`,
-    availableRoutes: ['/', '/health', 'POST /ocr', '/logs']
+    availableRoutes: ['/', '/health', 'POST /ocr', 'POST /ocr/batch', 'POST /ocr/pdf', '/ocr/pdf/:id', 'POST /ocr/jobs', '/ocr/jobs/:id', '/ocr/results/:id', 'DELETE /ocr/results/:id', '/ocr/search', '/languages', '/logs', '/logs/export', '/stats', '/admin/cache/stats', '/admin/cache/:hash', 'POST /admin/cache/flush', 'DELETE /admin/data/:id']
   });
 });
 
@@ -117,7 +217,18 @@ const server = app.listen(port, () => {
       'GET /': 'API info',
       'GET /health': 'Health check', 
       'POST /ocr': 'OCR processing',
+      'POST /ocr/batch': 'Batch OCR processing',
+      'POST /ocr/pdf': 'Searchable PDF generation',
+      'POST /ocr/jobs': 'Background OCR jobs',
+      'GET /ocr/jobs/:id': 'OCR job status',
+      'GET /ocr/results/:id': 'Stored OCR result',
+      'GET /ocr/search': 'Full-text search',
+      'GET /languages': 'Installed OCR languages',
       'GET /logs': 'View logs (development only)',
+      'GET /logs/export': 'Export logs as CSV/NDJSON (development only)',
+      'GET /stats': 'Usage statistics',
+      '/admin/cache/*': 'Cache administration (admin)',
+      'DELETE /admin/data/:id': 'Erase a file\'s data (admin)',
       'GET /static/index.html': 'Test page'
     }
   });
@@ -127,6 +238,13 @@ const server = app.listen(port, () => {
 process.on('SIGTERM', async () => {
   logger.warn('🛑 SIGTERM received, shutting down gracefully');
   
+  // Terminate pooled Tesseract workers
+  try {
+    await closeWorkerPool();
+  } catch (err) {
+    logger.error('❌ Error closing OCR worker pool:', { error: err.message });
+  }
+  
   // Close cache connection
   try {
     await closeCache();
@@ -154,6 +272,13 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   logger.warn('🛑 SIGINT received, shutting down gracefully');
   
+  // Terminate pooled Tesseract workers
+  try {
+    await closeWorkerPool();
+  } catch (err) {
+    logger.error('❌ Error closing OCR worker pool:', { error: err.message });
+  }
+  
   // Close cache connection
   try {
     await closeCache();
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { wrapError, RateLimitError } = require('../utils/errors');
+
+/**
+ * Job Service - runs OCR work in the background, independent of the HTTP request
+ * Jobs live in process memory: queued -> running -> succeeded | failed, then expire after ttlMs.
+ */
+
+// Job configuration
+const jobConfig = {
+  concurrency: parseInt(process.env.OCR_JOB_CONCURRENCY) || 2, // Jobs running at once
+  maxPending: parseInt(process.env.OCR_JOB_MAX_PENDING) || 500, // Queued jobs before 429
+  ttlMs: parseInt(process.env.OCR_JOB_TTL_MS) || 60 * 60 * 1000, // Finished jobs kept for 1 hour
+  sweepIntervalMs: 60 * 1000
+};
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// Job id -> job
+const jobs = new Map();
+const queue = [];
+let runningCount = 0;
+let sweepTimer = null;
+
+/**
+ * Generate an unguessable job id (job results may contain sensitive text)
+ * @returns {string} Job id
+ */
+function generateJobId() {
+  return `job_${crypto.randomUUID()}`;
+}
+
+/**
+ * Queue a background job
+ * @param {Function} task - Async function producing the job result
+ * @param {object} metadata - Descriptive fields returned with the job (filename, language, ...)
+ * @param {object} settings - Job settings that are not returned with it
+ * @param {string} settings.fileHash - SHA-256 of the job's upload, so erasure can find the job
+ * @param {Function} settings.discard - Releases the task's resources (the upload) if the job is purged before it runs
+ * @returns {object} Serialized job
+ * @throws {RateLimitError} If too many jobs are already queued
+ */
+function createJob(task, metadata = {}, { fileHash = null, discard = null } = {}) {
+  if (queue.length >= jobConfig.maxPending) {
+    throw new RateLimitError(`Too many pending OCR jobs (${jobConfig.maxPending}). Try again later`, 30);
+  }
+
+  const job = {
+    id: generateJobId(),
+    status: JOB_STATUS.QUEUED,
+    metadata,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    expiresAt: null,
+    result: null,
+    error: null,
+    fileHash,
+    discard,
+    purged: false,
+    task
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  startSweeper();
+  drain();
+
+  return serializeJob(job);
+}
+
+/**
+ * Start queued jobs while there is capacity
+ */
+function drain() {
+  while (runningCount < jobConfig.concurrency && queue.length > 0) {
+    runJob(queue.shift());
+  }
+}
+
+/**
+ * Run a single job and record its outcome
+ * @param {object} job - Job to run
+ */
+async function runJob(job) {
+  runningCount += 1;
+  job.status = JOB_STATUS.RUNNING;
+  job.startedAt = new Date().toISOString();
+
+  try {
+    job.result = await job.task();
+    job.status = JOB_STATUS.SUCCEEDED;
+  } catch (error) {
+    job.error = wrapError(error, 'ocr_job');
+    job.status = JOB_STATUS.FAILED;
+    console.error(`❌ Job ${job.id} failed:`, job.error.message);
+  } finally {
+    const finishedAt = Date.now();
+    job.finishedAt = new Date(finishedAt).toISOString();
+    job.expiresAt = new Date(finishedAt + jobConfig.ttlMs).toISOString();
+    job.task = null;
+    job.discard = null;
+    runningCount -= 1;
+    // A job erased while running keeps nothing of its outcome
+    if (job.purged) jobs.delete(job.id);
+    drain();
+  }
+}
+
+/**
+ * Check whether a finished job has passed its expiry time
+ * @param {object} job - Job to check
+ * @returns {boolean} True if expired
+ */
+function isExpired(job) {
+  return job.expiresAt !== null && Date.parse(job.expiresAt) <= Date.now();
+}
+
+/**
+ * Get a job by id
+ * @param {string} id - Job id
+ * @returns {object|null} Serialized job or null if unknown or expired
+ */
+function getJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  if (isExpired(job)) {
+    jobs.delete(id);
+    return null;
+  }
+
+  return serializeJob(job);
+}
+
+/**
+ * Remove every job for one uploaded file (erasure)
+ * Queued jobs are cancelled and finished jobs dropped with their results. A running job can't be
+ * stopped: it is forgotten once it finishes, but its OCR still logs and caches the result.
+ * @param {string} fileHash - SHA-256 of the uploaded file
+ * @returns {Promise<object>} { removed, running } - jobs removed, and jobs still running for the file
+ */
+async function purgeJobs(fileHash) {
+  let removed = 0;
+  let running = 0;
+
+  for (const [id, job] of jobs) {
+    if (job.fileHash !== fileHash) continue;
+
+    if (job.status === JOB_STATUS.RUNNING) {
+      job.purged = true;
+      running += 1;
+      continue;
+    }
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      queue.splice(queue.indexOf(job), 1);
+      await Promise.resolve(job.discard?.()).catch(() => {});
+    }
+    jobs.delete(id);
+    removed += 1;
+  }
+
+  return { removed, running };
+}
+
+/**
+ * Convert a job to its API representation
+ * @param {object} job - Job
+ * @returns {object} Serialized job (failed jobs carry the serialized OCRError)
+ */
+function serializeJob(job) {
+  const queuePosition = job.status === JOB_STATUS.QUEUED ? queue.indexOf(job) + 1 : null;
+
+  return {
+    jobId: job.id,
+    status: job.status,
+    ...job.metadata,
+    queuePosition,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    expiresAt: job.expiresAt,
+    result: job.result,
+    error: job.error ? job.error.toJSON() : null
+  };
+}
+
+/**
+ * Remove expired jobs periodically; the timer doesn't keep the process alive
+ */
+function startSweeper() {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(() => {
+    for (const [id, job] of jobs) {
+      if (isExpired(job)) jobs.delete(id);
+    }
+  }, jobConfig.sweepIntervalMs);
+  sweepTimer.unref();
+}
+
+/**
+ * Get job queue statistics
+ * @returns {object} Job counts by status
+ */
+function getJobStats() {
+  const stats = { queued: 0, running: 0, succeeded: 0, failed: 0 };
+  for (const job of jobs.values()) {
+    if (!isExpired(job)) stats[job.status] += 1;
+  }
+
+  return {
+    ...stats,
+    concurrency: jobConfig.concurrency,
+    ttlMs: jobConfig.ttlMs
+  };
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  purgeJobs,
+  getJobStats,
+  JOB_STATUS
+};
@@ -0,0 +1,89 @@
+const { Transform, pipeline } = require('stream');
+const { export_logs, exportColumns } = require('../db/database');
+
+/**
+ * Log Export Service - OCR history as CSV or NDJSON for GET /logs/export
+ * Rows flow from the database stream through a serializer into the response one at a time;
+ * pipeline() carries backpressure back to the database and tears everything down when the client goes away.
+ */
+
+// Spreadsheets run cells starting with these as formulas (OCR text is user-supplied content)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * One CSV cell (RFC 4180 quoting)
+ * @param {*} value - Column value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'string') return String(value);
+
+  const text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export formats by the format query parameter
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: columns => `${columns.join(',')}\r\n`,
+    line: (row, columns) => `${columns.map(column => csvCell(row[column])).join(',')}\r\n`
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    header: () => '',
+    line: row => `${JSON.stringify(row)}\n`
+  }
+};
+
+/**
+ * Serializer from row objects to lines of the export format
+ * @param {object} format - Entry of EXPORT_FORMATS
+ * @param {string[]} columns - Exported columns
+ * @returns {Transform} Transform stream; rowCount tells how many rows went through
+ */
+function createSerializer(format, columns) {
+  const serializer = new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      serializer.rowCount++;
+      callback(null, format.line(row, columns));
+    }
+  });
+
+  serializer.rowCount = 0;
+  const header = format.header(columns);
+  if (header) serializer.push(header);
+  return serializer;
+}
+
+/**
+ * Export Service - streams every log row matching the filters, oldest first
+ * @param {object} options - Export options
+ * @param {string} options.format - 'csv' or 'ndjson'
+ * @param {object} options.filters - Log filters (see logQueries.buildLogFilters)
+ * @param {boolean} options.includeText - Add the full extracted_text column
+ * @returns {object} { stream, contentType, filename } - pipe stream into the response
+ */
+function exportLogs({ format = 'csv', filters = {}, includeText = false } = {}) {
+  const exportFormat = EXPORT_FORMATS[format];
+  const serializer = createSerializer(exportFormat, exportColumns(includeText));
+
+  // Errors reach the caller through the serializer, which pipeline() destroys with them
+  pipeline(export_logs({ filters, includeText }), serializer, () => {});
+
+  return {
+    stream: serializer,
+    contentType: exportFormat.contentType,
+    filename: `ocr-logs-${new Date().toISOString().replace(/[:.]/g, '-')}.${exportFormat.extension}`
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportLogs
+};
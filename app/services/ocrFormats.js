@@ -0,0 +1,202 @@
+const path = require('path');
+
+/**
+ * OCR Output Formats - renders recognition results as downloadable documents
+ * hOCR, TSV, plain text and searchable PDF come straight from Tesseract;
+ * ALTO XML is built from the block hierarchy.
+ */
+
+// Supported output formats. `json` is the regular API response; the rest are documents.
+// Binary formats travel base64-encoded inside results and cache entries.
+const OUTPUT_FORMATS = {
+  json: { contentType: 'application/json', extension: '.json' },
+  text: { contentType: 'text/plain; charset=utf-8', extension: '.txt' },
+  hocr: { contentType: 'text/vnd.hocr+html; charset=utf-8', extension: '.hocr' },
+  alto: { contentType: 'application/alto+xml; charset=utf-8', extension: '.alto.xml' },
+  tsv: { contentType: 'text/tab-separated-values; charset=utf-8', extension: '.tsv' },
+  pdf: { contentType: 'application/pdf', extension: '.pdf', binary: true }
+};
+
+// Text document formats rendered together from one recognition pass.
+// PDF is rendered only on request: it is large and needs Tesseract's PDF renderer.
+const DOCUMENT_FORMATS = ['text', 'hocr', 'alto', 'tsv'];
+
+// Media types accepted for content negotiation, in order of preference (JSON wins for */*).
+// Only the formats' own types: browsers send text/html and application/xml, and should get JSON.
+const ACCEPT_TYPES = {
+  'application/json': 'json',
+  'text/plain': 'text',
+  'text/vnd.hocr+html': 'hocr',
+  'application/alto+xml': 'alto',
+  'text/tab-separated-values': 'tsv',
+  'application/pdf': 'pdf'
+};
+
+// Column header the tesseract CLI writes; GetTSVText() returns only the rows
+const TSV_HEADER = 'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext';
+
+/**
+ * Escape a string for use in XML text or attribute values
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build the download filename for a format, e.g. "scan.png" -> "scan.hocr"
+ * @param {string} originalName - Uploaded filename
+ * @param {string} format - Output format
+ * @returns {string} Filename
+ */
+function outputFilename(originalName, format) {
+  const base = path.basename(originalName, path.extname(originalName)) || 'ocr-result';
+  return `${base}${OUTPUT_FORMATS[format].extension}`;
+}
+
+/**
+ * Page size in pixels, taken from the hOCR page bbox (falls back to the extent of the blocks)
+ * @param {object} data - Tesseract result data
+ * @returns {object} { width, height }
+ */
+function pageSize(data) {
+  const match = data.hocr?.match(/class='ocr_page'[^>]*?bbox (\d+) (\d+) (\d+) (\d+)/);
+  if (match) {
+    return { width: parseInt(match[3]), height: parseInt(match[4]) };
+  }
+
+  return (data.blocks || []).reduce((size, block) => ({
+    width: Math.max(size.width, block.bbox.x1),
+    height: Math.max(size.height, block.bbox.y1)
+  }), { width: 0, height: 0 });
+}
+
+/**
+ * ALTO position attributes for a Tesseract bbox
+ * @param {object} bbox - { x0, y0, x1, y1 }
+ * @returns {string} HPOS/VPOS/WIDTH/HEIGHT attributes
+ */
+function altoPosition(bbox) {
+  return `HPOS="${bbox.x0}" VPOS="${bbox.y0}" WIDTH="${bbox.x1 - bbox.x0}" HEIGHT="${bbox.y1 - bbox.y0}"`;
+}
+
+/**
+ * Render a recognition result as ALTO v4 XML
+ * Each Tesseract paragraph becomes a TextBlock; word confidence maps to WC (0-1).
+ * @param {object} data - Tesseract result data (needs blocks)
+ * @param {string} sourceName - Identifier of the source image
+ * @returns {string} ALTO XML document
+ */
+function renderAlto(data, sourceName) {
+  const { width, height } = pageSize(data);
+  const paragraphs = (data.blocks || []).flatMap(block => block.paragraphs);
+  let lineCount = 0;
+  let wordCount = 0;
+
+  const textBlocks = paragraphs.map((paragraph, blockIndex) => {
+    const lines = paragraph.lines.map((line) => {
+      const strings = line.words.map((word) => {
+        const wc = typeof word.confidence === 'number' ? (word.confidence / 100).toFixed(2) : '0.00';
+        return `          <String ID="string_${wordCount++}" ${altoPosition(word.bbox)} WC="${wc}" CONTENT="${escapeXml(word.text)}"/>`;
+      });
+
+      return [
+        `        <TextLine ID="line_${lineCount++}" ${altoPosition(line.bbox)}>`,
+        strings.join('\n          <SP/>\n'),
+        '        </TextLine>'
+      ].join('\n');
+    });
+
+    return [
+      `      <TextBlock ID="block_${blockIndex}" ${altoPosition(paragraph.bbox)}>`,
+      ...lines,
+      '      </TextBlock>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#"',
+    '      xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '      xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/standards/alto/v4/alto-4-2.xsd">',
+    '  <Description>',
+    '    <MeasurementUnit>pixel</MeasurementUnit>',
+    '    <sourceImageInformation>',
+    `      <fileName>${escapeXml(sourceName)}</fileName>`,
+    '    </sourceImageInformation>',
+    '    <OCRProcessing ID="OCR_0">',
+    '      <ocrProcessingStep>',
+    '        <processingSoftware>',
+    '          <softwareName>Tesseract</softwareName>',
+    `          <softwareVersion>${escapeXml(data.version || 'unknown')}</softwareVersion>`,
+    '        </processingSoftware>',
+    '      </ocrProcessingStep>',
+    '    </OCRProcessing>',
+    '  </Description>',
+    '  <Layout>',
+    `    <Page ID="page_0" PHYSICAL_IMG_NR="1" WIDTH="${width}" HEIGHT="${height}">`,
+    `    <PrintSpace HPOS="0" VPOS="0" WIDTH="${width}" HEIGHT="${height}">`,
+    ...textBlocks,
+    '    </PrintSpace>',
+    '    </Page>',
+    '  </Layout>',
+    '</alto>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Wrap Tesseract's hOCR page fragment in a complete XHTML document, as the tesseract CLI does
+ * @param {object} data - Tesseract result data (needs hocr)
+ * @param {string} sourceName - Identifier of the source image
+ * @returns {string} hOCR document
+ */
+function renderHocr(data, sourceName) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',
+    '<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en">',
+    ' <head>',
+    `  <title>${escapeXml(sourceName)}</title>`,
+    '  <meta http-equiv="Content-Type" content="text/html;charset=utf-8"/>',
+    `  <meta name="ocr-system" content="tesseract ${escapeXml(data.version || 'unknown')}"/>`,
+    '  <meta name="ocr-capabilities" content="ocr_page ocr_carea ocr_par ocr_line ocrx_word ocrp_wconf"/>',
+    ' </head>',
+    ' <body>',
+    (data.hocr || '').trimEnd(),
+    ' </body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render every document format from one recognition pass
+ * @param {object} data - Tesseract result data (needs text, hocr, tsv and blocks)
+ * @param {string} sourceName - Identifier of the source image (cached documents are shared across uploads)
+ * @returns {object} Format -> document content
+ */
+function renderDocuments(data, sourceName) {
+  return {
+    text: data.text,
+    hocr: renderHocr(data, sourceName),
+    alto: renderAlto(data, sourceName),
+    tsv: `${TSV_HEADER}\n${data.tsv || ''}`
+  };
+}
+
+module.exports = {
+  renderDocuments,
+  renderHocr,
+  renderAlto,
+  outputFilename,
+  OUTPUT_FORMATS,
+  DOCUMENT_FORMATS,
+  ACCEPT_TYPES
+};
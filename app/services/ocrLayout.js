@@ -0,0 +1,91 @@
+/**
+ * OCR Layout Service - converts Tesseract's block hierarchy into the API's detailed output schema
+ *
+ * Schema (schemaVersion 1), every node: { text, confidence, bbox: { x0, y0, x1, y1 } }
+ *   detail=words  -> words:  [word]
+ *   detail=lines  -> lines:  [line  + words: [word]]
+ *   detail=blocks -> blocks: [block + paragraphs: [paragraph + lines: [line + words: [word]]]]
+ * Confidences are 0-100, bbox coordinates are pixels in the uploaded image.
+ */
+
+const DETAIL_LEVELS = ['words', 'lines', 'blocks'];
+
+const LAYOUT_SCHEMA_VERSION = 1;
+
+/**
+ * Round a Tesseract confidence to two decimals
+ * @param {number|null} confidence - Raw confidence
+ * @returns {number|null} Rounded confidence
+ */
+function roundConfidence(confidence) {
+  return typeof confidence === 'number' ? Math.round(confidence * 100) / 100 : null;
+}
+
+/**
+ * Build the common fields of a layout node
+ * @param {object} node - Tesseract block, paragraph, line or word
+ * @returns {object} { text, confidence, bbox }
+ */
+function toNode(node) {
+  return {
+    text: (node.text || '').trim(),
+    confidence: roundConfidence(node.confidence),
+    bbox: {
+      x0: node.bbox.x0,
+      y0: node.bbox.y0,
+      x1: node.bbox.x1,
+      y1: node.bbox.y1
+    }
+  };
+}
+
+const toWord = (word) => toNode(word);
+
+const toLine = (line) => ({
+  ...toNode(line),
+  words: line.words.map(toWord)
+});
+
+const toParagraph = (paragraph) => ({
+  ...toNode(paragraph),
+  lines: paragraph.lines.map(toLine)
+});
+
+const toBlock = (block) => ({
+  ...toNode(block),
+  blocktype: block.blocktype,
+  paragraphs: block.paragraphs.map(toParagraph)
+});
+
+/**
+ * Build the detailed layout for a recognition result
+ * @param {Array} blocks - Tesseract `data.blocks`
+ * @param {string} detail - One of DETAIL_LEVELS
+ * @returns {object} Layout fields to merge into the OCR result
+ */
+function buildLayout(blocks, detail) {
+  const sourceBlocks = blocks || [];
+  const lines = sourceBlocks.flatMap(block => block.paragraphs.flatMap(paragraph => paragraph.lines));
+
+  const layout = {
+    detail,
+    layoutSchemaVersion: LAYOUT_SCHEMA_VERSION
+  };
+
+  if (detail === 'words') {
+    layout.words = lines.flatMap(line => line.words.map(toWord));
+  } else if (detail === 'lines') {
+    layout.lines = lines.map(toLine);
+  } else {
+    layout.blocks = sourceBlocks.map(toBlock);
+  }
+
+  return layout;
+}
+
+module.exports = {
+  buildLayout,
+  roundConfidence,
+  DETAIL_LEVELS,
+  LAYOUT_SCHEMA_VERSION
+};
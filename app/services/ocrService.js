@@ -1,19 +1,189 @@
-const Tesseract = require('tesseract.js');
-const path = require('path');
+const crypto = require('crypto');
 const { promises: fs } = require('fs');
-const { write_ocr } = require('../db/database');
-const { get_from_cache, store_in_cache } = require('../cache/cache');
+const { write_ocr, isDatabaseConnected } = require('../db/database');
+const { hashFile, get_from_cache, store_in_cache, coalesce, evictCacheEntries } = require('../cache/cache');
+const { recognize, ENGINE_VERSION } = require('./workerPool');
+const { buildLayout, roundConfidence } = require('./ocrLayout');
+const { renderDocuments, outputFilename, OUTPUT_FORMATS } = require('./ocrFormats');
+const { getDocumentType, openDocument, DOCUMENT_CONFIG } = require('./pageRasterizer');
+const { preprocessImage, resolvePreprocessing, preprocessingVariant } = require('./preprocessing');
+const { resolveRegions, getImageSize, cropRegions, regionsDigest } = require('./regions');
+const { getInstalledLanguages, getTraineddataVersion, DEFAULT_LANGUAGE } = require('../utils/languages');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { parseSearchTerms, buildSnippets } = require('./searchSnippets');
+const { ValidationError, FileValidationError, NotFoundError, wrapError } = require('../utils/errors');
+
+// Output formats available for multi-page documents (the others describe a single page)
+const DOCUMENT_OUTPUTS = ['json', 'text'];
+
+/**
+ * Collect every option that affects a result, for its cache key
+ * @param {string} language - Tesseract language string
+ * @param {object} fields - Request-specific options (output, detail, preprocess, regions, page)
+ * @returns {Promise<object>} Cache variant
+ */
+async function buildCacheVariant(language, fields) {
+  return {
+    language,
+    engine: ENGINE_VERSION,
+    traineddata: await getTraineddataVersion(language),
+    ...fields
+  };
+}
+
+/**
+ * Public id for a result that write_ocr will store
+ * Cached results keep the id of the result they were recognized for, so every upload served from
+ * that entry reports the same id.
+ * @returns {string|null} Result id, or null when results can't be stored (no database)
+ */
+function newResultId() {
+  return isDatabaseConnected() ? `ocr_${crypto.randomUUID()}` : null;
+}
+
+/**
+ * Cached results are shared by every upload of the same bytes, so name them after the current upload
+ * @param {object} cachedResult - Result from the cache
+ * @param {object} file - Multer file object
+ * @param {number} startTime - performance.now() at the start of the request
+ * @returns {object} Result for this request
+ */
+function fromCache(cachedResult, file, startTime) {
+  return {
+    ...cachedResult,
+    filename: file.originalname,
+    ...(cachedResult.outputFilename && { outputFilename: outputFilename(file.originalname, cachedResult.output) }),
+    timestamp: new Date().toISOString(),
+    fileSize: file.size,
+    mimeType: file.mimetype,
+    processingTimeMs: Math.round(performance.now() - startTime) // Very fast due to cache
+  };
+}
+
+// Uploads that have their ocr_logs row: each upload is logged once, by ocr() or (failing earlier) by the API layer
+const loggedUploads = new WeakSet();
+
+/**
+ * Write the ocr_logs row of one OCR request
+ * @param {object} file - Multer file object
+ * @param {object} options - OCR options (lang, batchId and the request context from parseOcrOptions)
+ * @param {object} fields - Fields of this outcome (see database.write_ocr)
+ */
+async function logRequest(file, options, fields) {
+  const request = options.request || {};
+  loggedUploads.add(file);
+  await write_ocr({
+    imageName: file.originalname,
+    fileSize: file.size,
+    mimeType: file.mimetype,
+    language: options.lang || DEFAULT_LANGUAGE,
+    batchId: options.batchId || null,
+    requestId: request.requestId,
+    clientIp: request.clientIp,
+    clientKey: request.clientKey,
+    userAgent: request.userAgent,
+    outcome: 'success',
+    ...fields
+  });
+}
+
+/**
+ * Log a request answered by the cache or by a concurrent recognition of the same image
+ * The row carries no text or result id: the row of the original recognition holds the result.
+ * Never throws: the client gets the result it asked for even if its log row can't be written.
+ * @param {object} file - Multer file object
+ * @param {object} options - OCR options
+ * @param {object} result - Result returned to the client
+ * @param {string} cacheStatus - 'hit' or 'coalesced'
+ * @param {string} contentHash - SHA-256 of the upload
+ */
+async function logServedRequest(file, options, result, cacheStatus, contentHash) {
+  try {
+    await logRequest(file, options, {
+      processingTimeMs: null, // No OCR ran for this request
+      fileHash: contentHash,
+      totalTimeMs: result.processingTimeMs,
+      meanConfidence: result.confidence ?? null,
+      cacheStatus
+    });
+  } catch (error) {
+    console.error(`Failed to log OCR request (${cacheStatus}):`, error.message);
+  }
+}
+
+/**
+ * Log an upload whose request failed, unless it has its row already
+ * Never throws: the request is failing already, and a logging problem must not replace its error.
+ * @param {object|undefined} file - Multer file object (nothing is logged without an upload)
+ * @param {Error} error - Error the request failed with
+ * @param {object} options - OCR options; options.fileHash when validation got that far
+ */
+async function logFailedRequest(file, error, options = {}) {
+  if (!file || loggedUploads.has(file)) return;
+
+  try {
+    await logRequest(file, options, {
+      // Uploads rejected by validateUpload carry the validation details, hash included
+      fileHash: options.fileHash || error.details?.details?.fileHash || null,
+      outcome: wrapError(error, 'ocr').errorCode
+    });
+  } catch (logError) {
+    console.error('Failed to log OCR request failure:', logError.message);
+  }
+}
 
 /**
  * OCR Service - handles OCR processing and related business logic
+ * Every call writes one ocr_logs row: recognized, served from the cache or failed.
  * @param {object} file - Multer file object
+ * @param {object} options - OCR options
+ * @param {string} options.lang - Validated Tesseract language(s), e.g. "eng" or "eng+deu"
+ * @param {string} options.detail - Layout detail level (words, lines, blocks) or null for plain text
+ * @param {string} options.output - Output format: json (default) or a document format (text, hocr, alto, tsv, pdf)
+ * @param {object} options.preprocess - Preprocessing { profile, steps } (defaults to OCR_PREPROCESS_PROFILE)
+ * @param {Array} options.regions - Named rectangles to recognize instead of the whole image
+ * @param {string} options.batchId - Batch id when processed as part of POST /ocr/batch
+ * @param {string} options.fileHash - SHA-256 of the upload when validation already computed it
+ * @param {object} options.request - Request context for the log row (see ocrRequest.requestContext)
  * @returns {object} OCR processing result
  */
-async function ocr(file) {
+async function ocr(file, options = {}) {
+  try {
+    // PDFs and multi-page TIFFs are OCRed page by page
+    const documentType = getDocumentType(file);
+    if (documentType) {
+      const documentResult = await ocrDocument(file, documentType, options);
+      if (documentResult) return documentResult;
+    }
+
+    // Forms: recognize each named region on its own instead of the whole image
+    if (options.regions) {
+      return await ocrRegions(file, options);
+    }
+
+    return await ocrImage(file, options);
+  } catch (error) {
+    await logFailedRequest(file, error, options);
+    throw error;
+  }
+}
+
+/**
+ * Image OCR Service - recognizes a whole image
+ * @param {object} file - Multer file object
+ * @param {object} options - OCR options (see ocr)
+ * @returns {object} OCR processing result
+ */
+async function ocrImage(file, options) {
   const startTime = performance.now();
+  const language = options.lang || DEFAULT_LANGUAGE;
+  const output = options.output || 'json';
+  const isDocument = output !== 'json';
+  const detail = isDocument ? null : options.detail || null; // Documents always carry the full layout
+  const preprocessing = options.preprocess || resolvePreprocessing();
   
   try {
-    console.log(`Processing OCR for file: ${file.originalname} (${file.mimetype})`);
+    console.log(`Processing OCR for file: ${file.originalname} (${file.mimetype}) [${language}]`);
     console.log('DEBUG - File object properties:', {
       filename: file.filename,
       originalname: file.originalname,
@@ -23,88 +193,140 @@ async function ocr(file) {
       mimetype: file.mimetype
     });
     
-    // Check cache first
-    const cachedResult = await get_from_cache(file.path, file.originalname);
+    // Check cache first - keyed on the image bytes plus every output-affecting option
+    const contentHash = options.fileHash || await hashFile(file.path);
+    const cacheVariant = await buildCacheVariant(language, { output, detail, preprocess: preprocessingVariant(preprocessing) });
+    const cachedResult = await get_from_cache(contentHash, cacheVariant);
     if (cachedResult) {
       // Cache hit! Clean up file and return cached result
       await fs.unlink(file.path).catch(err => 
         console.error('File cleanup error:', err)
       );
       
-      const totalTime = performance.now() - startTime;
-      console.log(`⚡ Total time with cache: ${totalTime.toFixed(2)}ms`);
+      console.log(`⚡ Total time with cache: ${(performance.now() - startTime).toFixed(2)}ms`);
       
       // Return cached result with updated timestamps and file info
-      return {
-        ...cachedResult,
-        timestamp: new Date().toISOString(),
-        fileSize: file.size,
-        mimeType: file.mimetype,
-        processingTimeMs: Math.round(totalTime) // Very fast due to cache
-      };
+      const result = fromCache(cachedResult, file, startTime);
+      await logServedRequest(file, options, result, 'hit', contentHash);
+      return result;
     }
     
     // Cache miss - proceed with OCR processing
     console.log('🔄 Cache miss - proceeding with OCR processing');
     
-    // Start timing the OCR operation specifically
-    const ocrStartTime = performance.now();
-    console.log(`🔍 Starting Tesseract OCR processing for ${file.originalname}...`);
+    // Concurrent requests for the same image and options share one recognition
+    const { result: sharedResult, coalesced } = await coalesce(contentHash, cacheVariant, async () => {
+      // Clean up the image first when preprocessing steps were requested
+      let image = file.path;
+      let preprocessingReport = null;
+      if (preprocessing.steps.length > 0) {
+        ({ image, report: preprocessingReport } = await preprocessImage(file.path, preprocessing));
+        console.log(`🧹 Preprocessed ${file.originalname} (${preprocessing.steps.join(', ')}) in ${preprocessingReport.totalMs}ms`);
+      }
     
-    // Perform OCR using Tesseract.js with local traineddata
-    const { data: { text } } = await Tesseract.recognize(
-      file.path,
-      'eng',
-      {
-        langPath: path.join(__dirname, '..'),  // Points to ./app directory
-        gzip: false,  // Don't expect compressed files
-        cachePath: path.join(__dirname, '..'), // Cache in same directory as langPath
-        logger: m => {
-          // Only log progress, not all the verbose messages
-          if (m.status && (m.status.includes('recognizing') || m.status.includes('loading'))) {
-            console.log(`${file.originalname}: ${m.status} - ${Math.round(m.progress * 100)}%`);
-          }
-        }
+      // Start timing the OCR operation specifically
+      const ocrStartTime = performance.now();
+      console.log(`🔍 Starting Tesseract OCR processing for ${file.originalname}...`);
+    
+      // Perform OCR on a pooled Tesseract worker (traineddata already loaded).
+      // Only ask for the block hierarchy (and hOCR/TSV) when the response needs them.
+      let tesseractOutput = { text: true, blocks: Boolean(detail) };
+      if (output === 'pdf') {
+        tesseractOutput = { text: true, pdf: true };
+      } else if (isDocument) {
+        tesseractOutput = { text: true, blocks: true, hocr: true, tsv: true };
       }
-    );
+      // Documents are cached for every upload of these bytes, so they name the image by its hash, not the upload name
+      const sourceName = `sha256:${contentHash}`;
+      const { data } = await recognize(image, language, { pdfTitle: sourceName }, tesseractOutput);
+      const { text } = data;
 
-    // End timing the OCR operation
-    const ocrEndTime = performance.now();
-    const ocrProcessingTime = ocrEndTime - ocrStartTime;
-    console.log(`✅ Tesseract OCR completed for ${file.originalname} in ${ocrProcessingTime.toFixed(2)}ms`);
+      // End timing the OCR operation
+      const ocrEndTime = performance.now();
+      const ocrProcessingTime = ocrEndTime - ocrStartTime;
+      console.log(`✅ Tesseract OCR completed for ${file.originalname} in ${ocrProcessingTime.toFixed(2)}ms`);
 
-    const totalProcessingTime = performance.now() - startTime;
-    const extractedText = text.trim();
+      const totalProcessingTime = performance.now() - startTime;
+      const extractedText = text.trim();
 
-    console.log(`📊 OCR Results for ${file.originalname}:`);
-    console.log(`   📝 Extracted text length: ${extractedText.length} characters`);
-    console.log(`   ⏱️ Pure OCR time: ${ocrProcessingTime.toFixed(2)}ms`);
-    console.log(`   ⏱️ Total processing time: ${totalProcessingTime.toFixed(2)}ms`);
+      console.log(`📊 OCR Results for ${file.originalname}:`);
+      console.log(`   📝 Extracted text length: ${extractedText.length} characters`);
+      console.log(`   ⏱️ Pure OCR time: ${ocrProcessingTime.toFixed(2)}ms`);
+      console.log(`   ⏱️ Total processing time: ${totalProcessingTime.toFixed(2)}ms`);
 
-    // Create OCR result object
-    const ocrResult = {
-      success: true,
-      filename: file.originalname,
-      extractedText,
-      timestamp: new Date().toISOString(),
-      nodeVersion: process.version,
-      processingTimeMs: Math.round(totalProcessingTime),
-      ocrTimeMs: Math.round(ocrProcessingTime),  // Pure OCR time
-      fileSize: file.size,
-      mimeType: file.mimetype
-    };
+      // Create OCR result object
+      const ocrResult = {
+        success: true,
+        resultId: newResultId(),
+        filename: file.originalname,
+        extractedText,
+        language,
+        confidence: roundConfidence(data.confidence),
+        ...(detail && buildLayout(data.blocks, detail)),
+        ...(preprocessingReport && { preprocessing: preprocessingReport }),
+        timestamp: new Date().toISOString(),
+        nodeVersion: process.version,
+        processingTimeMs: Math.round(totalProcessingTime),
+        ocrTimeMs: Math.round(ocrProcessingTime),  // Pure OCR time
+        fileSize: file.size,
+        mimeType: file.mimetype
+      };
 
-    // Store in cache for future requests (before file cleanup)
-    await store_in_cache(file.path, file.originalname, ocrResult);
+      // Log OCR request to database before caching, so no cached result reports a result id that wasn't stored
+      await logRequest(file, options, {
+        extractedText,
+        processingTimeMs: ocrProcessingTime,  // Log the pure OCR time, not total processing time
+        resultId: ocrResult.resultId,
+        fileHash: contentHash,
+        totalTimeMs: ocrResult.processingTimeMs,
+        meanConfidence: ocrResult.confidence,
+        cacheStatus: 'miss',
+        metadata: { confidence: ocrResult.confidence, output, detail, preprocess: preprocessing.steps }
+      });
 
-    // Log OCR request to database (async operation)
-    await write_ocr(
-      file.originalname,
-      extractedText,
-      file.size,
-      file.mimetype,
-      ocrProcessingTime  // Log the pure OCR time, not total processing time
-    );
+      let result = ocrResult;
+    
+      if (isDocument) {
+        // Render every document format from this recognition pass and cache each under its own key,
+        // so switching formats for the same image doesn't rerun Tesseract
+        const documents = output === 'pdf'
+          ? { pdf: Buffer.from(data.pdf).toString('base64') }
+          : renderDocuments(data, sourceName);
+        const metadata = { ...ocrResult };
+        delete metadata.extractedText; // The document itself carries the text
+      
+        for (const [format, content] of Object.entries(documents)) {
+          const documentResult = {
+            ...metadata,
+            output: format,
+            contentType: OUTPUT_FORMATS[format].contentType,
+            contentEncoding: OUTPUT_FORMATS[format].binary ? 'base64' : 'utf8',
+            outputFilename: outputFilename(file.originalname, format),
+            content
+          };
+        
+          await store_in_cache(contentHash, documentResult, { ...cacheVariant, output: format });
+          if (format === output) result = documentResult;
+        }
+      } else {
+        // Store in cache for future requests (before file cleanup)
+        await store_in_cache(contentHash, ocrResult, cacheVariant);
+      }
+
+      return result;
+    });
+
+    if (coalesced) {
+      await fs.unlink(file.path).catch(err =>
+        console.error('File cleanup error:', err)
+      );
+
+      const result = { ...fromCache(sharedResult, file, startTime), coalesced: true };
+      await logServedRequest(file, options, result, 'coalesced', contentHash);
+      return result;
+    }
+
+    const result = { ...sharedResult, coalesced: false };
 
     // Clean up the uploaded file
     await fs.unlink(file.path).catch(err => 
@@ -112,7 +334,7 @@ async function ocr(file) {
     );
 
     // Return OCR processing result with detailed timing
-    return ocrResult;
+    return result;
 
   } catch (error) {
     console.error(`OCR Error for ${file?.originalname || 'unknown file'}:`, error.message);
@@ -133,23 +355,390 @@ async function ocr(file) {
   }
 }
 
+/**
+ * Region OCR Service - recognizes named rectangles of an image separately
+ * @param {object} file - Multer file object
+ * @param {object} options - OCR options (see ocr); options.regions holds the region specs
+ * @returns {object} OCR result with regions: { <name>: { text, confidence, bbox } }
+ * @throws {FileValidationError} If a region is malformed or outside the image
+ */
+async function ocrRegions(file, options) {
+  const startTime = performance.now();
+  const language = options.lang || DEFAULT_LANGUAGE;
+  const preprocessing = options.preprocess || resolvePreprocessing();
+
+  try {
+    let imageSize;
+    try {
+      imageSize = await getImageSize(file.path);
+    } catch (error) {
+      throw new FileValidationError(`Could not read image dimensions for regions: ${error.message}`, {
+        filename: file.originalname
+      });
+    }
+
+    const regions = resolveRegions(options.regions, imageSize);
+    const contentHash = options.fileHash || await hashFile(file.path);
+    const cacheVariant = await buildCacheVariant(language, {
+      output: 'json',
+      preprocess: preprocessingVariant(preprocessing),
+      regions: regionsDigest(regions)
+    });
+
+    const cachedResult = await get_from_cache(contentHash, cacheVariant);
+    if (cachedResult) {
+      await fs.unlink(file.path).catch(err =>
+        console.error('File cleanup error:', err)
+      );
+
+      const result = fromCache(cachedResult, file, startTime);
+      await logServedRequest(file, options, result, 'hit', contentHash);
+      return result;
+    }
+
+    // Concurrent requests for the same image and regions share one recognition
+    const { result: sharedResult, coalesced } = await coalesce(contentHash, cacheVariant, async () => {
+      console.log(`🔲 Recognizing ${regions.length} region(s) of ${file.originalname} [${language}]`);
+
+      // Crops are small, so all regions go to the worker pool at once
+      const crops = await cropRegions(file.path, regions);
+      const ocrStartTime = performance.now();
+      const regionResults = await Promise.all(regions.map(async (region, index) => {
+        let image = crops[index];
+        let preprocessingReport = null;
+        if (preprocessing.steps.length > 0) {
+          ({ image, report: preprocessingReport } = await preprocessImage(image, preprocessing));
+        }
+
+        const { data } = await recognize(image, language, {}, { text: true });
+        return {
+          text: data.text.trim(),
+          confidence: roundConfidence(data.confidence),
+          bbox: { left: region.left, top: region.top, width: region.width, height: region.height },
+          ...(preprocessingReport && { preprocessing: preprocessingReport })
+        };
+      }));
+      const ocrProcessingTime = performance.now() - ocrStartTime;
+
+      const extractedText = regionResults.map(region => region.text).join('\n');
+      const confidences = regionResults.map(region => region.confidence).filter(confidence => typeof confidence === 'number');
+      const totalProcessingTime = performance.now() - startTime;
+
+      console.log(`✅ ${regions.length} region(s) of ${file.originalname} recognized in ${ocrProcessingTime.toFixed(2)}ms`);
+
+      const ocrResult = {
+        success: true,
+        resultId: newResultId(),
+        filename: file.originalname,
+        extractedText,
+        language,
+        confidence: confidences.length > 0
+          ? roundConfidence(confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length)
+          : null,
+        regions: Object.fromEntries(regions.map((region, index) => [region.name, regionResults[index]])),
+        timestamp: new Date().toISOString(),
+        nodeVersion: process.version,
+        processingTimeMs: Math.round(totalProcessingTime),
+        ocrTimeMs: Math.round(ocrProcessingTime),
+        fileSize: file.size,
+        mimeType: file.mimetype
+      };
+
+      // Stored before it is cached, like single-image results
+      await logRequest(file, options, {
+        extractedText,
+        processingTimeMs: ocrProcessingTime,
+        resultId: ocrResult.resultId,
+        fileHash: contentHash,
+        totalTimeMs: ocrResult.processingTimeMs,
+        meanConfidence: ocrResult.confidence,
+        cacheStatus: 'miss',
+        metadata: { confidence: ocrResult.confidence, output: 'json', preprocess: preprocessing.steps, regions: ocrResult.regions }
+      });
+
+      await store_in_cache(contentHash, ocrResult, cacheVariant);
+
+      return ocrResult;
+    });
+
+    if (coalesced) {
+      await fs.unlink(file.path).catch(err =>
+        console.error('File cleanup error:', err)
+      );
+
+      const result = { ...fromCache(sharedResult, file, startTime), coalesced: true };
+      await logServedRequest(file, options, result, 'coalesced', contentHash);
+      return result;
+    }
+
+    await fs.unlink(file.path).catch(err =>
+      console.error('File cleanup error:', err)
+    );
+
+    return { ...sharedResult, coalesced: false };
+
+  } catch (error) {
+    console.error(`OCR Error for regions of ${file.originalname}:`, error.message);
+
+    await fs.unlink(file.path).catch(cleanupError =>
+      console.error('Cleanup error:', cleanupError)
+    );
+
+    throw error;
+  }
+}
+
+/**
+ * Document OCR Service - recognizes each page of a PDF or multi-page TIFF separately
+ * Pages are cached under the document hash plus page index, so a repeated upload only OCRs uncached pages.
+ * @param {object} file - Multer file object
+ * @param {string} documentType - 'pdf' or 'tiff'
+ * @param {object} options - OCR options (see ocr)
+ * @returns {object|null} OCR result with per-page and combined text, or null for a single-frame TIFF
+ */
+async function ocrDocument(file, documentType, options) {
+  const startTime = performance.now();
+  const language = options.lang || DEFAULT_LANGUAGE;
+  const output = options.output || 'json';
+  const detail = output === 'json' ? options.detail || null : null;
+  const preprocessing = options.preprocess || resolvePreprocessing();
+  let document = null;
+
+  try {
+    document = await openDocument(file.path, documentType);
+
+    // A single-frame TIFF is just an image; let the regular path handle it (all output formats)
+    if (document.type === 'tiff' && document.pageCount === 1) {
+      return null;
+    }
+
+    if (options.regions) {
+      throw new ValidationError('regions are not supported for multi-page documents', 'regions');
+    }
+
+    if (!DOCUMENT_OUTPUTS.includes(output)) {
+      throw new ValidationError(`Output format "${output}" is not supported for multi-page documents`, 'output', {
+        allowed: DOCUMENT_OUTPUTS
+      });
+    }
+
+    // Pages are cached under the document hash plus page index
+    const contentHash = options.fileHash || await hashFile(file.path);
+    const documentVariant = await buildCacheVariant(language, { output: 'json', detail, preprocess: preprocessingVariant(preprocessing) });
+    const pageVariant = (page) => ({ ...documentVariant, page });
+
+    console.log(`📄 Processing ${document.pageCount}-page ${documentType.toUpperCase()} ${file.originalname} [${language}]`);
+
+    const pages = await mapWithConcurrency(document.pages, DOCUMENT_CONFIG.pageConcurrency, async ({ width, height }, index) => {
+      const cachedPage = await get_from_cache(contentHash, pageVariant(index));
+      if (cachedPage) {
+        return { ...cachedPage, cached: true };
+      }
+
+      // Concurrent uploads of the same document share each page's recognition
+      const { result: recognizedPage, coalesced } = await coalesce(contentHash, pageVariant(index), async () => {
+        let image = await document.renderPage(index);
+        let preprocessingReport = null;
+        if (preprocessing.steps.length > 0) {
+          ({ image, report: preprocessingReport } = await preprocessImage(image, preprocessing));
+        }
+
+        const pageStartTime = performance.now();
+        const { data } = await recognize(image, language, {}, { text: true, blocks: Boolean(detail) });
+
+        const pageResult = {
+          page: index + 1,
+          text: data.text.trim(),
+          confidence: roundConfidence(data.confidence),
+          width,
+          height,
+          ...(detail && buildLayout(data.blocks, detail)),
+          ...(preprocessingReport && { preprocessing: preprocessingReport }),
+          ocrTimeMs: Math.round(performance.now() - pageStartTime)
+        };
+
+        await store_in_cache(contentHash, pageResult, pageVariant(index));
+        console.log(`✅ Page ${index + 1}/${document.pageCount} of ${file.originalname} in ${pageResult.ocrTimeMs}ms`);
+        return pageResult;
+      });
+
+      return { ...recognizedPage, cached: false, coalesced };
+    });
+
+    const extractedText = pages.map(page => page.text).join('\n\n');
+    const ocrProcessingTime = pages.reduce((sum, page) => sum + (page.cached || page.coalesced ? 0 : page.ocrTimeMs), 0);
+    const confidences = pages.map(page => page.confidence).filter(confidence => typeof confidence === 'number');
+    const totalProcessingTime = performance.now() - startTime;
+
+    console.log(`📊 OCR Results for ${file.originalname}: ${document.pageCount} pages, ${extractedText.length} characters in ${totalProcessingTime.toFixed(2)}ms`);
+
+    const ocrResult = {
+      success: true,
+      resultId: newResultId(),
+      filename: file.originalname,
+      extractedText,
+      language,
+      confidence: confidences.length > 0
+        ? roundConfidence(confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length)
+        : null,
+      documentType,
+      pageCount: document.pageCount,
+      cachedPages: pages.filter(page => page.cached).length,
+      coalescedPages: pages.filter(page => page.coalesced).length,
+      pages,
+      timestamp: new Date().toISOString(),
+      nodeVersion: process.version,
+      processingTimeMs: Math.round(totalProcessingTime),
+      ocrTimeMs: ocrProcessingTime, // Pure OCR time of the pages recognized in this request
+      fileSize: file.size,
+      mimeType: file.mimetype
+    };
+
+    let result = ocrResult;
+    if (output === 'text') {
+      result = { ...ocrResult };
+      delete result.extractedText; // The document itself carries the text
+      delete result.pages;
+      Object.assign(result, {
+        output,
+        contentType: OUTPUT_FORMATS.text.contentType,
+        contentEncoding: 'utf8',
+        outputFilename: outputFilename(file.originalname, 'text'),
+        content: extractedText
+      });
+    }
+
+    // A document is a new result every time; its cache status says how many pages were recognized again
+    let cacheStatus = 'partial';
+    if (ocrResult.cachedPages === document.pageCount) {
+      cacheStatus = 'hit';
+    } else if (ocrResult.cachedPages + ocrResult.coalescedPages === 0) {
+      cacheStatus = 'miss';
+    }
+
+    await logRequest(file, options, {
+      extractedText,
+      processingTimeMs: ocrProcessingTime,
+      resultId: ocrResult.resultId,
+      fileHash: contentHash,
+      totalTimeMs: ocrResult.processingTimeMs,
+      meanConfidence: ocrResult.confidence,
+      cacheStatus,
+      metadata: {
+        confidence: ocrResult.confidence,
+        output,
+        detail,
+        preprocess: preprocessing.steps,
+        documentType,
+        pageCount: document.pageCount,
+        pages: pages.map(page => ({ page: page.page, confidence: page.confidence, width: page.width, height: page.height }))
+      }
+    });
+
+    await fs.unlink(file.path).catch(err =>
+      console.error('File cleanup error:', err)
+    );
+
+    return result;
+
+  } catch (error) {
+    console.error(`OCR Error for document ${file.originalname}:`, error.message);
+
+    await fs.unlink(file.path).catch(cleanupError =>
+      console.error('Cleanup error:', cleanupError)
+    );
+
+    throw error;
+  } finally {
+    if (document) {
+      await document.close();
+    }
+  }
+}
+
+/**
+ * Encode the position after a log row as an opaque pagination cursor
+ * The cursor records the sort it belongs to, so it can't be replayed against another ordering.
+ * @param {object} row - Last row of a page
+ * @param {string} sort - Sort field
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {string} base64url cursor
+ */
+function encodeLogCursor(row, sort, order) {
+  let value = row[sort] ?? 0; // Nullable sort columns sort as 0 (see LOG_SORT_FIELDS)
+  if (value instanceof Date) value = value.toISOString();
+  return Buffer.from(JSON.stringify({ sort, order, value, id: row.id })).toString('base64url');
+}
+
+// Cursor values each sort field accepts, so a forged cursor can't put any type into the keyset query
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+const CURSOR_VALUE_CHECKS = {
+  created_at: value => typeof value === 'string' && !isNaN(Date.parse(value)),
+  processing_time_ms: isFiniteNumber,
+  file_size: isFiniteNumber,
+  image_name: value => typeof value === 'string'
+};
+
+/**
+ * Decode a cursor from encodeLogCursor
+ * @param {string} cursor - Cursor from a previous page's nextCursor
+ * @param {string} sort - Sort field of this request
+ * @param {string} order - Order of this request
+ * @returns {object} { value, id } for get_logs
+ * @throws {ValidationError} If the cursor is malformed, belongs to another sort/order or has a value of the wrong type
+ */
+function decodeLogCursor(cursor, sort, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ValidationError('cursor is not a valid pagination cursor', 'cursor');
+  }
+
+  if (!decoded || !Number.isInteger(decoded.id) || decoded.value === undefined) {
+    throw new ValidationError('cursor is not a valid pagination cursor', 'cursor');
+  }
+  if (decoded.sort !== sort || decoded.order !== order) {
+    throw new ValidationError('cursor belongs to a different sort or order - start again without a cursor', 'cursor', {
+      cursorSort: decoded.sort,
+      cursorOrder: decoded.order
+    });
+  }
+  if (!CURSOR_VALUE_CHECKS[sort](decoded.value)) {
+    throw new ValidationError('cursor is not a valid pagination cursor', 'cursor');
+  }
+
+  return { value: sort === 'created_at' ? new Date(decoded.value) : decoded.value, id: decoded.id };
+}
+
 /**
  * Logs Service - handles logs retrieval business logic
- * @param {number} limit - Maximum number of logs to retrieve
- * @returns {object} Logs data with metadata
+ * @param {object} options - Query options
+ * @param {number} options.limit - Maximum number of logs to retrieve
+ * @param {object} options.filters - Log filters (see database.get_logs)
+ * @param {string} options.sort - Sort field (default created_at)
+ * @param {string} options.order - 'desc' (default) or 'asc'
+ * @param {string} options.cursor - nextCursor of the previous page
+ * @returns {object} Logs data with metadata; nextCursor is null on the last page
  */
-async function logs(limit = 10) {
+async function logs({ limit = 10, filters = {}, sort = 'created_at', order = 'desc', cursor = null } = {}) {
   const { get_logs } = require('../db/database');
   
   try {
+    const after = cursor ? decodeLogCursor(cursor, sort, order) : null;
+
     // Call database layer to get logs
-    const result = await get_logs(limit);
+    const result = await get_logs({ limit, filters, sort, order, after });
+    const lastRow = result.logs[result.logs.length - 1];
     
     return {
       success: true,
       data: result.logs,
       total: result.total,
       limit: result.limit,
+      sort,
+      order,
+      nextCursor: result.hasMore ? encodeLogCursor(lastRow, sort, order) : null,
       timestamp: result.timestamp
     };
     
@@ -159,7 +748,136 @@ async function logs(limit = 10) {
   }
 }
 
+/**
+ * Search Service - full-text search over historical OCR output
+ * @param {string} query - Search query
+ * @param {object} options - Search options (see database.search_ocr)
+ * @returns {object} Matches, most relevant first, with highlighted snippets instead of the full text
+ * @throws {ValidationError} If MySQL rejects a boolean mode query
+ */
+async function search(query, options = {}) {
+  const { search_ocr } = require('../db/database');
+
+  let result;
+  try {
+    result = await search_ocr(query, options);
+  } catch (error) {
+    // ER_PARSE_ERROR: the boolean mode operators don't parse (e.g. "+-word")
+    if (error.errno === 1064 && options.mode === 'boolean') {
+      throw new ValidationError('q is not a valid boolean mode query', 'q', { query });
+    }
+    throw error;
+  }
+
+  const terms = parseSearchTerms(query, options.mode);
+  return {
+    success: true,
+    data: result.rows.map(({ extracted_text: extractedText, ...row }) => ({
+      ...row,
+      relevance: Math.round(row.relevance * 10000) / 10000,
+      snippets: buildSnippets(extractedText, terms)
+    })),
+    total: result.total,
+    limit: result.limit,
+    offset: result.offset,
+    query,
+    mode: options.mode || 'natural',
+    timestamp: result.timestamp
+  };
+}
+
+/**
+ * Result Service - returns a stored OCR result
+ * @param {string} resultId - Result id from an OCR response
+ * @returns {object} Stored result: text, metadata, timings, language and file hash
+ * @throws {NotFoundError} If there is no such result
+ */
+async function getResult(resultId) {
+  const { get_ocr_result } = require('../db/database');
+
+  const row = await get_ocr_result(resultId);
+  if (!row) {
+    throw new NotFoundError(`Result ${resultId} not found`, 'result', resultId);
+  }
+
+  return {
+    success: true,
+    result: {
+      resultId: row.result_id,
+      filename: row.image_name,
+      extractedText: row.extracted_text,
+      language: row.language,
+      fileHash: row.file_hash,
+      fileSize: row.file_size,
+      mimeType: row.mime_type,
+      batchId: row.batch_id,
+      requestId: row.request_id,
+      metadata: row.result_metadata || {},
+      timings: {
+        ocrTimeMs: row.processing_time_ms === null ? null : Math.round(row.processing_time_ms),
+        processingTimeMs: row.total_time_ms === null ? null : Math.round(row.total_time_ms)
+      },
+      createdAt: row.created_at
+    },
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Delete Result Service - removes a stored OCR result and the cached results for its file
+ * Cached results carry the id of the result they were recognized for; evicting them keeps later
+ * uploads of the same file from reporting the deleted id.
+ * @param {string} resultId - Result id from an OCR response
+ * @returns {object} Deletion report
+ * @throws {NotFoundError} If there is no such result
+ */
+async function deleteResult(resultId) {
+  const { delete_ocr_result } = require('../db/database');
+
+  const deleted = await delete_ocr_result(resultId);
+  if (!deleted) {
+    throw new NotFoundError(`Result ${resultId} not found`, 'result', resultId);
+  }
+
+  const eviction = deleted.fileHash ? await evictCacheEntries(deleted.fileHash) : null;
+
+  return {
+    success: true,
+    resultId,
+    deleted: true,
+    evictedCacheEntries: eviction ? eviction.keys.length : 0,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Languages Service - lists the OCR languages available on this server
+ * @returns {object} Installed languages with metadata
+ */
+async function languages() {
+  try {
+    const installed = await getInstalledLanguages();
+    
+    return {
+      success: true,
+      languages: installed,
+      total: installed.length,
+      default: DEFAULT_LANGUAGE,
+      timestamp: new Date().toISOString()
+    };
+    
+  } catch (error) {
+    console.error('Service layer error listing languages:', error.message);
+    throw error;
+  }
+}
+
 module.exports = {
   ocr,
-  logs
+  logFailedRequest,
+  logs,
+  search,
+  getResult,
+  deleteResult,
+  languages
 };
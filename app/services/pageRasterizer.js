@@ -0,0 +1,175 @@
+const path = require('path');
+const { promises: fs } = require('fs');
+const UTIF = require('utif');
+const { createCanvas, ImageData } = require('@napi-rs/canvas');
+
+/**
+ * Page Rasterizer - turns PDF and multi-page TIFF uploads into one PNG per page
+ * PDFs are rendered with pdf.js; TIFF frames are decoded with UTIF.
+ * Both draw onto @napi-rs/canvas (prebuilt binaries, no system libraries needed).
+ */
+
+// Multi-page document configuration
+const DOCUMENT_CONFIG = {
+  maxPages: parseInt(process.env.OCR_MAX_PAGES) || 50,
+  maxPageDimension: parseInt(process.env.OCR_MAX_PAGE_DIMENSION) || 10000, // Pixels, longest side after rasterizing
+  maxPagePixels: parseInt(process.env.OCR_MAX_PAGE_PIXELS) || 25000000, // Width x height after rasterizing (4 bytes each while rendering)
+  pdfDpi: parseInt(process.env.OCR_PDF_DPI) || 300,
+  pageConcurrency: parseInt(process.env.OCR_PAGE_CONCURRENCY) || 2
+};
+
+// Extensions that are split into pages before OCR
+const DOCUMENT_TYPES = {
+  '.pdf': 'pdf',
+  '.tif': 'tiff',
+  '.tiff': 'tiff'
+};
+
+// PDF points are 1/72 inch
+const PDF_POINTS_PER_INCH = 72;
+
+// pdf.js ships as an ES module, so it is loaded on first use
+let pdfjsPromise = null;
+
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsPromise;
+}
+
+/**
+ * Document type of an upload, based on its extension
+ * @param {object} file - Multer file object
+ * @returns {string|null} 'pdf', 'tiff' or null for regular images
+ */
+function getDocumentType(file) {
+  return DOCUMENT_TYPES[path.extname(file.originalname || '').toLowerCase()] || null;
+}
+
+/**
+ * Encode RGBA pixels as PNG
+ * @param {Uint8Array} rgba - Pixel data
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Buffer} PNG image
+ */
+function encodePng(rgba, width, height) {
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(rgba.buffer, rgba.byteOffset, rgba.length), width, height), 0, 0);
+  return canvas.toBuffer('image/png');
+}
+
+/**
+ * Open a PDF for page rendering
+ * @param {Buffer} buffer - PDF content
+ * @returns {Promise<object>} Opened document
+ */
+async function openPdf(buffer) {
+  const pdfjs = await loadPdfjs();
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    standardFontDataUrl: path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts', path.sep),
+    isEvalSupported: false,
+    verbosity: 0
+  }).promise;
+
+  const scale = DOCUMENT_CONFIG.pdfDpi / PDF_POINTS_PER_INCH;
+  const pages = [];
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const viewport = page.getViewport({ scale });
+    pages.push({ width: Math.ceil(viewport.width), height: Math.ceil(viewport.height) });
+    page.cleanup();
+  }
+
+  return {
+    type: 'pdf',
+    pageCount: pdf.numPages,
+    pages,
+    async renderPage(index) {
+      const page = await pdf.getPage(index + 1);
+      const viewport = page.getViewport({ scale });
+      const canvas = createCanvas(pages[index].width, pages[index].height);
+      const context = canvas.getContext('2d');
+
+      // Transparent areas would become black in the PNG; OCR wants paper white
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+
+      await page.render({ canvas, canvasContext: context, viewport }).promise;
+      page.cleanup();
+      return canvas.toBuffer('image/png');
+    },
+    close: () => pdf.destroy()
+  };
+}
+
+/**
+ * Open a (multi-page) TIFF for page rendering
+ * @param {Buffer} buffer - TIFF content
+ * @returns {object} Opened document
+ */
+function openTiff(buffer) {
+  // Sub-IFDs (thumbnails, EXIF) are not pages; every top-level IFD with pixel dimensions is
+  const frames = UTIF.decode(buffer).filter(ifd => ifd.t256 && ifd.t257);
+  const pages = frames.map(ifd => ({ width: ifd.t256[0], height: ifd.t257[0] }));
+
+  return {
+    type: 'tiff',
+    pageCount: frames.length,
+    pages,
+    async renderPage(index) {
+      const ifd = frames[index];
+      UTIF.decodeImage(buffer, ifd);
+      const png = encodePng(UTIF.toRGBA8(ifd), ifd.width, ifd.height);
+      delete ifd.data; // Decoded pixels are only needed once
+      return png;
+    },
+    close: async () => {}
+  };
+}
+
+/**
+ * Open a PDF or TIFF upload and read its page sizes
+ * @param {string} filePath - Path to the uploaded file
+ * @param {string} type - Document type from getDocumentType
+ * @returns {Promise<object>} { type, pageCount, pages: [{ width, height }], renderPage(index), close() }
+ */
+async function openDocument(filePath, type) {
+  const buffer = await fs.readFile(filePath);
+  return type === 'pdf' ? openPdf(buffer) : openTiff(buffer);
+}
+
+/**
+ * Check a document against the page-count, page-dimension and page-area limits
+ * Pages are rendered to full RGBA canvases, so the area limit is what bounds memory per page.
+ * @param {object} document - Document from openDocument
+ * @returns {string[]} Limit violations (empty when the document is acceptable)
+ */
+function checkDocumentLimits(document) {
+  const errors = [];
+
+  if (document.pageCount === 0) {
+    errors.push('Document has no pages');
+  } else if (document.pageCount > DOCUMENT_CONFIG.maxPages) {
+    errors.push(`Document has ${document.pageCount} pages (max ${DOCUMENT_CONFIG.maxPages})`);
+  }
+
+  document.pages.forEach(({ width, height }, index) => {
+    if (Math.max(width, height) > DOCUMENT_CONFIG.maxPageDimension) {
+      errors.push(`Page ${index + 1} is ${width}x${height} pixels (max ${DOCUMENT_CONFIG.maxPageDimension} per side)`);
+    } else if (width * height > DOCUMENT_CONFIG.maxPagePixels) {
+      errors.push(`Page ${index + 1} is ${width}x${height} pixels (max ${DOCUMENT_CONFIG.maxPagePixels} pixels per page)`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  getDocumentType,
+  openDocument,
+  checkDocumentLimits,
+  DOCUMENT_CONFIG
+};
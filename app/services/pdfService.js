@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { PDFDocument } = require('pdf-lib');
+const { store_pdf, get_pdf, isDatabaseConnected } = require('../db/database');
+const { DatabaseError } = require('../utils/errors');
+
+/**
+ * PDF Service - assembles and stores searchable PDFs
+ * Tesseract renders one single-page PDF (image + invisible text layer) per recognition;
+ * multi-image uploads are merged page by page into one document. Stored PDFs get a result id of
+ * their own (same form as OCR result ids) and expire after ttlMs.
+ */
+
+// Stored PDF configuration
+const PDF_CONFIG = {
+  ttlMs: parseInt(process.env.OCR_PDF_TTL_MS) || 7 * 24 * 60 * 60 * 1000 // Stored PDFs kept for 7 days
+};
+
+/**
+ * Merge single-page PDFs into one document, keeping each page's text layer
+ * @param {Buffer[]} pdfBuffers - PDFs in page order
+ * @param {string} title - Document title
+ * @returns {Promise<Buffer>} Merged PDF
+ */
+async function mergePdfs(pdfBuffers, title) {
+  if (pdfBuffers.length === 1) {
+    return pdfBuffers[0];
+  }
+
+  const merged = await PDFDocument.create();
+  merged.setTitle(title);
+  merged.setProducer('OCR-API (Tesseract)');
+
+  for (const buffer of pdfBuffers) {
+    const source = await PDFDocument.load(buffer);
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    pages.forEach(page => merged.addPage(page));
+  }
+
+  return Buffer.from(await merged.save());
+}
+
+/**
+ * Store a PDF in the database so any instance can serve it by result id until it expires
+ * @param {Buffer} pdfBuffer - PDF content
+ * @param {object} metadata - { filename, pages, language, fileHashes }
+ * @returns {Promise<object>} Stored PDF metadata: { resultId, filename, pages, language, size, expiresAt }
+ * @throws {DatabaseError} Without a database connection
+ */
+async function storePdf(pdfBuffer, { filename, pages, language, fileHashes }) {
+  if (!isDatabaseConnected()) {
+    throw new DatabaseError('Database not available - stored PDFs are kept in the database', 'store_pdf', true);
+  }
+
+  const record = {
+    resultId: `ocr_${crypto.randomUUID()}`,
+    filename,
+    pages,
+    language,
+    fileHashes,
+    content: pdfBuffer,
+    expiresAt: new Date(Date.now() + PDF_CONFIG.ttlMs)
+  };
+  await store_pdf(record);
+
+  return {
+    resultId: record.resultId,
+    filename,
+    pages,
+    language,
+    size: pdfBuffer.length,
+    expiresAt: record.expiresAt.toISOString()
+  };
+}
+
+/**
+ * Load a stored PDF
+ * @param {string} resultId - Result id returned by storePdf
+ * @returns {Promise<object|null>} { metadata, content } or null if unknown or expired
+ * @throws {DatabaseError} Without a database connection
+ */
+async function getStoredPdf(resultId) {
+  if (!isDatabaseConnected()) {
+    throw new DatabaseError('Database not available - stored PDFs are kept in the database', 'get_pdf', true);
+  }
+
+  const row = await get_pdf(resultId);
+  if (!row) {
+    return null;
+  }
+
+  return {
+    metadata: {
+      resultId: row.result_id,
+      filename: row.filename,
+      pages: row.pages,
+      language: row.language,
+      size: row.size,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at
+    },
+    content: row.content
+  };
+}
+
+module.exports = {
+  mergePdfs,
+  storePdf,
+  getStoredPdf,
+  PDF_CONFIG
+};
@@ -0,0 +1,326 @@
+const sharp = require('sharp');
+const { ValidationError, FileProcessingError } = require('../utils/errors');
+
+/**
+ * Image Preprocessing Service - cleans up uploads before they reach Tesseract
+ * Steps always run in PREPROCESSING_STEPS order, whatever order they were requested in,
+ * so the same set of steps always produces the same image (and the same cache key).
+ * Images travel between steps as raw pixels: { data, info: { width, height, channels } }.
+ * Pixel work runs on the event loop, so images are held to maxPixels and the per-pixel loops stay
+ * linear with byte-sized buffers; neighbourhood and resampling work is left to libvips (sharp).
+ */
+
+// Step names in execution order
+const PREPROCESSING_STEPS = ['grayscale', 'invert', 'contrast', 'upscale', 'denoise', 'deskew', 'binarize'];
+
+// Named step sets, selectable with preprocess=<profile>
+const PREPROCESSING_PROFILES = {
+  none: [],
+  screenshot: ['grayscale', 'invert', 'contrast', 'upscale'], // Dark themes, small UI text
+  photo: ['grayscale', 'contrast', 'denoise', 'deskew', 'binarize'], // Phone photos of documents
+  scan: ['grayscale', 'deskew', 'binarize']
+};
+
+// Preprocessing configuration
+const PREPROCESSING_CONFIG = {
+  defaultProfile: process.env.OCR_PREPROCESS_PROFILE || 'none',
+  upscaleTarget: parseInt(process.env.OCR_PREPROCESS_UPSCALE_TARGET) || 2000, // Longest side (px) small images are scaled towards
+  maxPixels: parseInt(process.env.OCR_PREPROCESS_MAX_PIXELS) || 25000000, // Larger images are scaled down to this many pixels first
+  maxUpscale: 3,
+  darkThreshold: 110, // Mean luminance (0-255) below which a background counts as dark
+  maxSkewDegrees: 15,
+  skewSampleSize: 800, // Longest side (px) of the copy skew is measured on
+  binarizeWindowRatio: 1 / 16, // Adaptive threshold window, relative to image width
+  binarizeSensitivity: 0.15 // Pixels this much darker than their neighbourhood become black
+};
+
+/**
+ * Resolve a preprocess field value into the steps to run
+ * @param {string} value - Profile name or comma-separated step list (e.g. "photo" or "grayscale,deskew")
+ * @returns {object} { profile, steps } with steps in execution order; profile is null for an explicit step list
+ * @throws {ValidationError} If a profile or step is unknown
+ */
+function resolvePreprocessing(value) {
+  const requested = value === undefined || value === null || value === ''
+    ? PREPROCESSING_CONFIG.defaultProfile
+    : String(value).trim().toLowerCase();
+
+  if (Object.prototype.hasOwnProperty.call(PREPROCESSING_PROFILES, requested)) {
+    return { profile: requested, steps: PREPROCESSING_PROFILES[requested] };
+  }
+
+  const names = requested.split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = names.filter(name => !PREPROCESSING_STEPS.includes(name));
+  if (names.length === 0 || unknown.length > 0) {
+    throw new ValidationError(`Invalid preprocess "${value}"`, 'preprocess', {
+      profiles: Object.keys(PREPROCESSING_PROFILES),
+      steps: PREPROCESSING_STEPS
+    });
+  }
+
+  return { profile: null, steps: PREPROCESSING_STEPS.filter(step => names.includes(step)) };
+}
+
+// Parameters that change what a step produces, by step (part of the cache variant)
+const STEP_PARAMETERS = {
+  invert: () => ({ dark: PREPROCESSING_CONFIG.darkThreshold }),
+  upscale: () => ({ target: PREPROCESSING_CONFIG.upscaleTarget, max: PREPROCESSING_CONFIG.maxUpscale }),
+  deskew: () => ({ max: PREPROCESSING_CONFIG.maxSkewDegrees }),
+  binarize: () => ({ window: PREPROCESSING_CONFIG.binarizeWindowRatio, sensitivity: PREPROCESSING_CONFIG.binarizeSensitivity })
+};
+
+/**
+ * Cache variant of a preprocessing: the steps with the settings they run with, plus the pixel limit,
+ * so changing OCR_PREPROCESS_* settings doesn't serve results of the old settings
+ * @param {object} preprocessing - { profile, steps } from resolvePreprocessing
+ * @returns {string} e.g. "grayscale,upscale(target=2000,max=3)|max=25000000"; empty without steps
+ */
+function preprocessingVariant(preprocessing) {
+  if (preprocessing.steps.length === 0) return '';
+
+  const steps = preprocessing.steps.map(step => {
+    const parameters = STEP_PARAMETERS[step] && STEP_PARAMETERS[step]();
+    if (!parameters) return step;
+    return `${step}(${Object.entries(parameters).map(([name, value]) => `${name}=${value}`).join(',')})`;
+  });
+  return `${steps.join(',')}|max=${PREPROCESSING_CONFIG.maxPixels}`;
+}
+
+/**
+ * Run a sharp operation on a raw image
+ * @param {object} image - Raw image { data, info }
+ * @param {Function} operation - Receives a sharp instance, returns it with operations applied
+ * @returns {Promise<object>} Raw image
+ */
+function transform(image, operation) {
+  const { width, height, channels } = image.info;
+  const pipeline = operation(sharp(image.data, { raw: { width, height, channels } }));
+
+  // sharp writes sRGB unless told otherwise; keep grayscale images single-channel
+  if (channels === 1) {
+    pipeline.toColourspace('b-w');
+  }
+
+  return pipeline.raw().toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Single-channel luminance copy of a raw image
+ * @param {object} image - Raw image { data, info }
+ * @returns {Promise<object>} Raw grayscale image
+ */
+function toGray(image) {
+  return image.info.channels === 1 ? image : transform(image, pipeline => pipeline.toColourspace('b-w'));
+}
+
+/**
+ * Mean luminance of an image (0-255)
+ * @param {object} image - Raw image { data, info }
+ * @returns {Promise<number>} Mean luminance
+ */
+async function meanLuminance(image) {
+  const gray = await toGray(image);
+  let sum = 0;
+  for (let i = 0; i < gray.data.length; i++) sum += gray.data[i];
+  return sum / gray.data.length;
+}
+
+/**
+ * Estimate text skew with a projection profile: text lines give the sharpest row histogram when level
+ * @param {object} image - Raw image { data, info }
+ * @returns {Promise<number>} Skew in degrees (rotate by the negative to straighten)
+ */
+async function estimateSkew(image) {
+  // A small binary copy is plenty for finding the angle (bounded on both sides, so tall screenshots stay small too)
+  const size = PREPROCESSING_CONFIG.skewSampleSize;
+  const sample = await transform(await toGray(image), pipeline => pipeline.resize({
+    width: size,
+    height: size,
+    fit: 'inside',
+    withoutEnlargement: true
+  }));
+  const { width, height } = sample.info;
+  const threshold = (await meanLuminance(sample)) * 0.8;
+
+  let dark = 0;
+  for (let i = 0; i < sample.data.length; i++) {
+    if (sample.data[i] < threshold) dark++;
+  }
+  if (dark === 0) return 0;
+
+  const xs = new Uint16Array(dark);
+  const ys = new Uint16Array(dark);
+  for (let y = 0, n = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (sample.data[y * width + x] < threshold) {
+        xs[n] = x;
+        ys[n] = y;
+        n++;
+      }
+    }
+  }
+
+  const scoreAngle = (degrees) => {
+    const radians = degrees * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const offset = width; // Keeps rotated row indices positive
+    const rows = new Float64Array(height + 2 * width);
+    for (let i = 0; i < xs.length; i++) {
+      rows[Math.round(ys[i] * cos - xs[i] * sin) + offset]++;
+    }
+    return rows.reduce((sum, count) => sum + count * count, 0);
+  };
+
+  const search = (from, to, step) => {
+    let best = { angle: 0, score: -1 };
+    for (let angle = from; angle <= to + 1e-9; angle += step) {
+      const score = scoreAngle(angle);
+      if (score > best.score) best = { angle, score };
+    }
+    return best.angle;
+  };
+
+  const coarse = search(-PREPROCESSING_CONFIG.maxSkewDegrees, PREPROCESSING_CONFIG.maxSkewDegrees, 0.5);
+  return Math.round(search(coarse - 0.5, coarse + 0.5, 0.1) * 10) / 10;
+}
+
+/**
+ * Adaptive (local mean) binarisation: each pixel is compared with the weighted mean of its neighbourhood,
+ * which copes with shadows and uneven lighting that defeat a single global threshold
+ * libvips computes the neighbourhood means (a Gaussian blur), so only the comparison runs here.
+ * @param {object} image - Raw image { data, info }
+ * @returns {Promise<object>} Raw single-channel image with pixels 0 or 255
+ */
+async function adaptiveThreshold(image) {
+  const gray = await toGray(image);
+  const { width, height } = gray.info;
+  const radius = Math.max(4, Math.round(width * PREPROCESSING_CONFIG.binarizeWindowRatio / 2));
+  const means = await transform(gray, pipeline => pipeline.blur(radius / 2));
+
+  const factor = 1 - PREPROCESSING_CONFIG.binarizeSensitivity;
+  const output = Buffer.alloc(width * height);
+  for (let i = 0; i < output.length; i++) {
+    output[i] = gray.data[i] < means.data[i] * factor ? 0 : 255;
+  }
+
+  return { data: output, info: { width, height, channels: 1 } };
+}
+
+/**
+ * Decode an upload into raw pixels, scaled down to at most maxPixels
+ * @param {string|Buffer} input - Image path or buffer
+ * @returns {Promise<object>} Raw image { data, info }
+ */
+async function decode(input) {
+  const { width, height } = await sharp(input).metadata();
+  const pipeline = sharp(input)
+    .rotate()
+    .flatten({ background: '#ffffff' });
+
+  const pixels = width * height;
+  if (pixels > PREPROCESSING_CONFIG.maxPixels) {
+    // Same long side whether or not EXIF orientation swapped the dimensions
+    const longSide = Math.floor(Math.max(width, height) * Math.sqrt(PREPROCESSING_CONFIG.maxPixels / pixels));
+    pipeline.resize({ width: longSide, height: longSide, fit: 'inside' });
+  }
+
+  return pipeline.raw().toBuffer({ resolveWithObject: true });
+}
+
+// Step implementations: (image) => { image, applied, ...details }
+const STEP_HANDLERS = {
+  grayscale: async (image) => ({ image: await toGray(image), applied: true }),
+
+  invert: async (image) => {
+    const luminance = await meanLuminance(image);
+    if (luminance >= PREPROCESSING_CONFIG.darkThreshold) {
+      return { image, applied: false };
+    }
+    return { image: await transform(image, pipeline => pipeline.negate()), applied: true };
+  },
+
+  contrast: async (image) => ({ image: await transform(image, pipeline => pipeline.normalise()), applied: true }),
+
+  upscale: async (image) => {
+    const { width, height } = image.info;
+    const factor = Math.min(
+      PREPROCESSING_CONFIG.maxUpscale,
+      PREPROCESSING_CONFIG.upscaleTarget / Math.max(width, height),
+      Math.sqrt(PREPROCESSING_CONFIG.maxPixels / (width * height))
+    );
+    if (factor < 1.25) {
+      return { image, applied: false };
+    }
+    const resized = await transform(image, pipeline => pipeline.resize({
+      width: Math.round(width * factor),
+      kernel: sharp.kernel.lanczos3
+    }));
+    return { image: resized, applied: true, factor: Math.round(factor * 100) / 100 };
+  },
+
+  denoise: async (image) => ({ image: await transform(image, pipeline => pipeline.median(3)), applied: true }),
+
+  deskew: async (image) => {
+    const angle = await estimateSkew(image);
+    if (Math.abs(angle) < 0.2) {
+      return { image, applied: false, angle };
+    }
+    const rotated = await transform(image, pipeline => pipeline.rotate(-angle, { background: '#ffffff' }));
+    return { image: rotated, applied: true, angle };
+  },
+
+  binarize: async (image) => ({ image: await adaptiveThreshold(image), applied: true })
+};
+
+/**
+ * Run preprocessing steps on an image
+ * @param {string|Buffer} input - Image path or buffer
+ * @param {object} preprocessing - { profile, steps } from resolvePreprocessing
+ * @returns {Promise<object>} { image: PNG buffer, report: { profile, steps: [{ step, applied, durationMs }], totalMs } }
+ */
+async function preprocessImage(input, preprocessing) {
+  const startTime = performance.now();
+  const steps = [];
+  let image;
+  let png;
+
+  try {
+    // Apply EXIF orientation and drop transparency up front so every step sees plain pixels
+    image = await decode(input);
+
+    for (const step of preprocessing.steps) {
+      const stepStartTime = performance.now();
+      const { image: processed, ...details } = await STEP_HANDLERS[step](image);
+      image = processed;
+      steps.push({ step, ...details, durationMs: Math.round((performance.now() - stepStartTime) * 100) / 100 });
+    }
+
+    const { width, height, channels } = image.info;
+    png = await sharp(image.data, { raw: { width, height, channels } }).png().toBuffer();
+  } catch (error) {
+    throw new FileProcessingError(`Image preprocessing failed: ${error.message}`, 'preprocessing');
+  }
+
+  const { width, height } = image.info;
+
+  return {
+    image: png,
+    report: {
+      profile: preprocessing.profile,
+      steps,
+      width,
+      height,
+      totalMs: Math.round(performance.now() - startTime)
+    }
+  };
+}
+
+module.exports = {
+  preprocessImage,
+  resolvePreprocessing,
+  preprocessingVariant,
+  PREPROCESSING_STEPS,
+  PREPROCESSING_PROFILES,
+  PREPROCESSING_CONFIG
+};
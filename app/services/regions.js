@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { ValidationError, FileValidationError } = require('../utils/errors');
+
+/**
+ * Region-of-interest Service - named crop rectangles recognized on their own
+ * A region is { name, left, top, width, height, unit } where unit is "px" (default) or "%"
+ * (percent of the image width/height). Coordinates refer to the image as displayed (EXIF orientation applied).
+ */
+
+// Region configuration
+const REGION_CONFIG = {
+  maxRegions: parseInt(process.env.OCR_MAX_REGIONS) || 50,
+  maxNameLength: 64,
+  units: ['px', '%']
+};
+
+const RECTANGLE_FIELDS = ['left', 'top', 'width', 'height'];
+
+/**
+ * Parse the regions field (JSON array) and check that every entry has a unique name
+ * @param {string|Array} value - Raw field value
+ * @returns {Array|null} Region specs, or null when no regions were requested
+ * @throws {ValidationError} If the field isn't a JSON array of named objects
+ */
+function parseRegions(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let regions = value;
+  if (typeof value === 'string') {
+    try {
+      regions = JSON.parse(value);
+    } catch (error) {
+      throw new ValidationError(`Invalid regions JSON: ${error.message}`, 'regions');
+    }
+  }
+
+  if (!Array.isArray(regions) || regions.length === 0) {
+    throw new ValidationError('regions must be a non-empty JSON array of rectangles', 'regions');
+  }
+
+  if (regions.length > REGION_CONFIG.maxRegions) {
+    throw new ValidationError(`Too many regions (${regions.length}, max ${REGION_CONFIG.maxRegions})`, 'regions');
+  }
+
+  const names = new Set();
+  return regions.map((region, index) => {
+    if (!region || typeof region !== 'object' || Array.isArray(region)) {
+      throw new ValidationError(`Region ${index} must be an object`, 'regions', { index });
+    }
+
+    const name = typeof region.name === 'string' ? region.name.trim() : '';
+    if (!name || name.length > REGION_CONFIG.maxNameLength) {
+      throw new ValidationError(`Region ${index} needs a name of 1-${REGION_CONFIG.maxNameLength} characters`, 'regions', { index });
+    }
+    if (names.has(name)) {
+      throw new ValidationError(`Duplicate region name "${name}"`, 'regions', { index, region: name });
+    }
+    names.add(name);
+
+    return {
+      name,
+      left: region.left,
+      top: region.top,
+      width: region.width,
+      height: region.height,
+      unit: region.unit ?? 'px'
+    };
+  });
+}
+
+/**
+ * Read the displayed size of an image (EXIF orientation applied)
+ * @param {string|Buffer} image - Image path or buffer
+ * @returns {Promise<object>} { width, height }
+ */
+async function getImageSize(image) {
+  const metadata = await sharp(image).metadata();
+  return metadata.autoOrient || { width: metadata.width, height: metadata.height };
+}
+
+/**
+ * Convert region specs to pixel rectangles and check them against the image
+ * @param {Array} regions - Region specs from parseRegions
+ * @param {object} imageSize - { width, height } in pixels
+ * @returns {Array} Regions as { name, left, top, width, height } in pixels
+ * @throws {FileValidationError} Naming the first region that is malformed or out of bounds
+ */
+function resolveRegions(regions, imageSize) {
+  return regions.map((region, index) => {
+    const reject = (reason) => {
+      throw new FileValidationError(`Region "${region.name}" is invalid: ${reason}`, {
+        region: region.name,
+        index,
+        rectangle: { left: region.left, top: region.top, width: region.width, height: region.height, unit: region.unit },
+        image: imageSize
+      });
+    };
+
+    if (!REGION_CONFIG.units.includes(region.unit)) {
+      reject(`unit must be one of ${REGION_CONFIG.units.join(', ')}`);
+    }
+
+    const invalidField = RECTANGLE_FIELDS.find(field => typeof region[field] !== 'number' || !Number.isFinite(region[field]));
+    if (invalidField) {
+      reject(`${invalidField} must be a number`);
+    }
+
+    if (region.left < 0 || region.top < 0 || region.width <= 0 || region.height <= 0) {
+      reject('left and top must be >= 0, width and height > 0');
+    }
+
+    if (region.unit === '%' && (region.left + region.width > 100 || region.top + region.height > 100)) {
+      reject('rectangle extends past 100% of the image');
+    }
+
+    const scaleX = region.unit === '%' ? imageSize.width / 100 : 1;
+    const scaleY = region.unit === '%' ? imageSize.height / 100 : 1;
+    const left = Math.round(region.left * scaleX);
+    const top = Math.round(region.top * scaleY);
+    const right = Math.min(imageSize.width, Math.round((region.left + region.width) * scaleX));
+    const bottom = Math.min(imageSize.height, Math.round((region.top + region.height) * scaleY));
+
+    if (region.unit === 'px' && (region.left + region.width > imageSize.width || region.top + region.height > imageSize.height)) {
+      reject(`rectangle extends past the ${imageSize.width}x${imageSize.height} image`);
+    }
+
+    if (right - left < 1 || bottom - top < 1) {
+      reject('rectangle is smaller than one pixel');
+    }
+
+    return { name: region.name, left, top, width: right - left, height: bottom - top };
+  });
+}
+
+/**
+ * Cut every region out of an image, decoding it only once
+ * @param {string|Buffer} image - Image path or buffer
+ * @param {Array} regions - Pixel rectangles from resolveRegions
+ * @returns {Promise<Buffer[]>} PNG per region, in region order
+ */
+async function cropRegions(image, regions) {
+  // Coordinates refer to the displayed orientation
+  const { data, info } = await sharp(image).rotate().raw().toBuffer({ resolveWithObject: true });
+  const raw = { width: info.width, height: info.height, channels: info.channels };
+
+  const crops = [];
+  for (const { left, top, width, height } of regions) {
+    crops.push(await sharp(data, { raw }).extract({ left, top, width, height }).png().toBuffer());
+  }
+  return crops;
+}
+
+/**
+ * Short digest identifying a set of pixel rectangles (for cache keys)
+ * @param {Array} regions - Pixel rectangles from resolveRegions
+ * @returns {string} Hex digest
+ */
+function regionsDigest(regions) {
+  const canonical = regions.map(({ name, left, top, width, height }) => [name, left, top, width, height]);
+  return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex').slice(0, 16);
+}
+
+module.exports = {
+  parseRegions,
+  resolveRegions,
+  getImageSize,
+  cropRegions,
+  regionsDigest,
+  REGION_CONFIG
+};
@@ -0,0 +1,188 @@
+const { isDatabaseConnected, expire_ocr_text, expire_ocr_rows, expire_pdfs, erase_ocr_file, erase_pdfs, get_ocr_result, delete_ocr_result } = require('../db/database');
+const { evictCacheEntries } = require('../cache/cache');
+const { purgeJobs } = require('./jobService');
+const { DatabaseError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Retention Service - how long OCR logs keep extracted text and rows, and erasure of one file's data
+ * The retention job runs in process on every instance; its batches are idempotent, so instances
+ * running it at the same time only share the work. It also deletes stored PDFs past their expiry,
+ * so it runs even without retention limits.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Retention configuration (0 days keeps data forever)
+const RETENTION_CONFIG = {
+  textDays: parseInt(process.env.RETENTION_TEXT_DAYS) || 0, // Extracted text dropped after this many days
+  rowDays: parseInt(process.env.RETENTION_ROW_DAYS) || 0, // Rows deleted after this many days
+  intervalMs: parseInt(process.env.RETENTION_INTERVAL_MS) || 60 * 60 * 1000, // Job runs hourly
+  startupDelayMs: 60 * 1000, // First run once the server has settled
+  batchSize: 1000 // Rows per statement, so no single statement locks the table for long
+};
+
+let retentionTimer = null;
+let runningRun = null;
+let lastRun = null;
+
+/**
+ * Whether any retention limit is configured
+ * @returns {boolean} True if the job has something to do
+ */
+function isRetentionEnabled() {
+  return RETENTION_CONFIG.textDays > 0 || RETENTION_CONFIG.rowDays > 0;
+}
+
+/**
+ * Repeat a batched retention step until a batch comes back short
+ * @param {Function} step - async (limit) => rows affected
+ * @returns {Promise<number>} Rows affected in total
+ */
+async function inBatches(step) {
+  let total = 0;
+  for (;;) {
+    const affected = await step(RETENTION_CONFIG.batchSize);
+    total += affected;
+    if (affected < RETENTION_CONFIG.batchSize) return total;
+
+    // Let requests in between batches
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/**
+ * Apply the retention policy to every row past its limits, and delete expired stored PDFs
+ * Expired rows go first, so no text is cleared on rows about to be deleted.
+ * @param {Date} now - Reference time
+ * @returns {Promise<object>} Run report: { rowsDeleted, textCleared, pdfsDeleted, rowsBefore, textBefore, startedAt, durationMs }
+ */
+async function applyRetention(now = new Date()) {
+  const startedAt = Date.now();
+  const rowsBefore = RETENTION_CONFIG.rowDays > 0 ? new Date(now.getTime() - RETENTION_CONFIG.rowDays * DAY_MS) : null;
+  const textBefore = RETENTION_CONFIG.textDays > 0 ? new Date(now.getTime() - RETENTION_CONFIG.textDays * DAY_MS) : null;
+
+  const rowsDeleted = rowsBefore ? await inBatches(limit => expire_ocr_rows(rowsBefore, limit)) : 0;
+  const textCleared = textBefore ? await inBatches(limit => expire_ocr_text(textBefore, limit)) : 0;
+  const pdfsDeleted = await inBatches(limit => expire_pdfs(now, limit));
+
+  return {
+    rowsDeleted,
+    textCleared,
+    pdfsDeleted,
+    rowsBefore: rowsBefore && rowsBefore.toISOString(),
+    textBefore: textBefore && textBefore.toISOString(),
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt
+  };
+}
+
+/**
+ * One scheduled run: skipped without a database or while the previous run is still going
+ * Never throws, so a failing run can't take the timer down; the next run retries.
+ */
+async function runRetention() {
+  if (runningRun || !isDatabaseConnected()) return;
+
+  runningRun = applyRetention()
+    .then(report => {
+      lastRun = { ...report, success: true };
+      if (report.textCleared > 0 || report.rowsDeleted > 0 || report.pdfsDeleted > 0) {
+        console.log(`🧹 Retention: deleted ${report.rowsDeleted} row(s) and ${report.pdfsDeleted} expired PDF(s), dropped the text of ${report.textCleared} row(s) in ${report.durationMs}ms`);
+      }
+    })
+    .catch(error => {
+      lastRun = { success: false, error: error.message, finishedAt: new Date().toISOString() };
+      console.error('❌ Retention run failed:', error.message);
+    })
+    .finally(() => {
+      runningRun = null;
+    });
+
+  await runningRun;
+}
+
+/**
+ * Start the scheduled retention job (no-op when already started)
+ */
+function startRetention() {
+  if (retentionTimer) return;
+
+  if (isRetentionEnabled()) {
+    const limit = days => (days > 0 ? `${days} day(s)` : 'forever');
+    console.log(`🗓️ Retention: text kept ${limit(RETENTION_CONFIG.textDays)}, rows kept ${limit(RETENTION_CONFIG.rowDays)} (checked every ${Math.round(RETENTION_CONFIG.intervalMs / 60000)} min)`);
+  }
+
+  setTimeout(runRetention, RETENTION_CONFIG.startupDelayMs).unref();
+  retentionTimer = setInterval(runRetention, RETENTION_CONFIG.intervalMs);
+  retentionTimer.unref();
+}
+
+/**
+ * Retention policy and last run, for GET /
+ * @returns {object} { enabled, textDays, rowDays, intervalMs, lastRun }
+ */
+function getRetentionStatus() {
+  return {
+    enabled: isRetentionEnabled(),
+    textDays: RETENTION_CONFIG.textDays || null,
+    rowDays: RETENTION_CONFIG.rowDays || null,
+    intervalMs: RETENTION_CONFIG.intervalMs,
+    lastRun
+  };
+}
+
+/**
+ * Erasure Service - removes every trace of one uploaded file: all its log rows (stored results,
+ * cache hits and failures), stored PDFs with a page from it, its OCR jobs on this instance, and
+ * every cached result in Redis and in the memory tier of every instance
+ * @param {object} target - Exactly one of fileHash and resultId
+ * @param {string} target.fileHash - SHA-256 of the uploaded file
+ * @param {string} target.resultId - Result id; erases everything for the file it was recognized from
+ * @returns {Promise<object>} Erasure report of what was removed from the database, the jobs and the cache
+ * @throws {DatabaseError} Without a database connection (an erasure that skips the logs would be incomplete)
+ * @throws {NotFoundError} If a result id is unknown
+ */
+async function erase({ fileHash = null, resultId = null }) {
+  if (!isDatabaseConnected()) {
+    throw new DatabaseError('Database not available - erasure needs the OCR logs', 'erase', true);
+  }
+
+  let hash = fileHash;
+  if (resultId) {
+    const row = await get_ocr_result(resultId);
+    if (!row) {
+      throw new NotFoundError(`Result ${resultId} not found`, 'result', resultId);
+    }
+    hash = row.file_hash;
+  }
+
+  // Jobs go first, so no queued job writes new rows or cache entries for the file afterwards
+  const jobs = hash ? await purgeJobs(hash) : { removed: 0, running: 0 };
+
+  // A result stored without a file hash (before hashes were logged) is only reachable by its id
+  const database = hash
+    ? await erase_ocr_file(hash)
+    : { rowsDeleted: (await delete_ocr_result(resultId)) ? 1 : 0, resultIds: [resultId] };
+
+  const pdfs = hash ? { resultIds: await erase_pdfs(hash) } : { resultIds: [] };
+  const cache = hash ? await evictCacheEntries(hash) : { keys: [], deleted: { memory: 0, redis: 0 }, broadcast: false };
+
+  return {
+    success: true,
+    fileHash: hash,
+    resultId,
+    database,
+    pdfs,
+    jobs,
+    cache,
+    timestamp: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  RETENTION_CONFIG,
+  applyRetention,
+  startRetention,
+  getRetentionStatus,
+  erase
+};
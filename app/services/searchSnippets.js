@@ -0,0 +1,136 @@
+/**
+ * Search Snippets - highlighted excerpts of OCR text around the terms of a full-text query
+ * MySQL ranks the matches; this only has to find the query terms in each matching text again.
+ */
+
+// Snippet configuration
+const SNIPPET_CONFIG = {
+  contextChars: 60, // Characters kept on each side of a match
+  maxSnippets: 3, // Snippets per result
+  fallbackChars: 160 // Excerpt length when no term can be located (e.g. a stemmed match)
+};
+
+/**
+ * Extract the terms worth highlighting from a search query
+ * In boolean mode, excluded terms (-word) are dropped, operators stripped and "quoted phrases" kept whole;
+ * a trailing * makes a prefix term.
+ * @param {string} query - Search query as sent to MATCH ... AGAINST
+ * @param {string} mode - 'natural' or 'boolean'
+ * @returns {object[]} Terms as { text, prefix }
+ */
+function parseSearchTerms(query, mode = 'natural') {
+  const terms = [];
+
+  if (mode === 'boolean') {
+    const tokens = query.match(/[-+~<>()]*"[^"]*"|\S+/g) || [];
+    for (const token of tokens) {
+      if (/^[~<>()+]*-/.test(token)) continue; // Excluded terms never appear in matching texts
+      const phrase = token.match(/"([^"]*)"/);
+      if (phrase) {
+        if (phrase[1].trim()) terms.push({ text: phrase[1].trim(), prefix: false });
+        continue;
+      }
+      const word = token.replace(/^[-+~<>()]+|[()]+$/g, '');
+      if (word.replace(/\*$/, '')) terms.push({ text: word.replace(/\*$/, ''), prefix: word.endsWith('*') });
+    }
+  } else {
+    for (const word of query.match(/[\p{L}\p{N}_']+/gu) || []) {
+      terms.push({ text: word, prefix: false });
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Escape a string for safe inclusion in HTML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Regular expression matching any of the terms as whole words (or word prefixes)
+ * @param {object[]} terms - Terms from parseSearchTerms
+ * @returns {RegExp|null} Global, case-insensitive pattern, or null without terms
+ */
+function termPattern(terms) {
+  if (terms.length === 0) return null;
+
+  const alternatives = terms
+    .map(term => {
+      const escaped = term.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+      return term.prefix ? `${escaped}[\\p{L}\\p{N}_]*` : `${escaped}(?![\\p{L}\\p{N}_])`;
+    })
+    // Longer terms first, so a phrase wins over one of its words
+    .sort((a, b) => b.length - a.length);
+
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})`, 'giu');
+}
+
+/**
+ * Build highlighted snippets of a text around the query terms
+ * Snippets are HTML-escaped with matches wrapped in <mark>. Matches close together share a window,
+ * but a window stops growing at the length of its first match plus contextChars on each side
+ * (past that it only takes in a match it already shows), so a text full of matches still gives short snippets.
+ * @param {string} text - Full extracted text
+ * @param {object[]} terms - Terms from parseSearchTerms
+ * @returns {string[]} Snippets (one unhighlighted excerpt when no term is found)
+ */
+function buildSnippets(text, terms) {
+  const source = (text || '').replace(/\s+/g, ' ').trim();
+  const pattern = termPattern(terms);
+  const matches = pattern ? [...source.matchAll(pattern)].map(match => ({ start: match.index, end: match.index + match[0].length })) : [];
+
+  if (matches.length === 0) {
+    const excerpt = source.slice(0, SNIPPET_CONFIG.fallbackChars);
+    return excerpt ? [escapeHtml(excerpt) + (source.length > excerpt.length ? '…' : '')] : [];
+  }
+
+  // Group matches into context windows
+  const windows = [];
+  for (const match of matches) {
+    const start = Math.max(0, match.start - SNIPPET_CONFIG.contextChars);
+    const end = Math.min(source.length, match.end + SNIPPET_CONFIG.contextChars);
+    const last = windows[windows.length - 1];
+
+    // Take the match into the previous window if it is already shown there or fits before the window is full
+    if (last && start <= last.end && (match.start < last.end || match.end <= last.maxEnd)) {
+      last.end = Math.max(last.end, match.end, Math.min(end, last.maxEnd));
+      last.matches.push(match);
+    } else {
+      // A new window never repeats text of the previous one
+      const windowStart = last ? Math.max(start, last.end) : start;
+      windows.push({
+        start: windowStart,
+        end,
+        maxEnd: windowStart + (match.end - match.start) + 2 * SNIPPET_CONFIG.contextChars,
+        matches: [match]
+      });
+    }
+  }
+
+  return windows.slice(0, SNIPPET_CONFIG.maxSnippets).map((window) => {
+    let snippet = window.start > 0 ? '…' : '';
+    let position = window.start;
+    for (const match of window.matches) {
+      snippet += escapeHtml(source.slice(position, match.start));
+      snippet += `<mark>${escapeHtml(source.slice(match.start, match.end))}</mark>`;
+      position = match.end;
+    }
+    snippet += escapeHtml(source.slice(position, window.end));
+    return snippet + (window.end < source.length ? '…' : '');
+  });
+}
+
+module.exports = {
+  parseSearchTerms,
+  buildSnippets,
+  SNIPPET_CONFIG
+};
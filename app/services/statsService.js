@@ -0,0 +1,190 @@
+const { get_stats } = require('../db/database');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Stats Service - usage analytics over the OCR logs for GET /stats
+ * Aggregating a long range is expensive, so results are cached in process memory for a short while:
+ * dashboards polling the same range hit the database once per cacheTtlMs.
+ */
+
+// Statistics configuration
+const STATS_CONFIG = {
+  cacheTtlMs: parseInt(process.env.STATS_CACHE_TTL_MS) || 60 * 1000, // Results reused for 1 minute
+  cacheMaxEntries: 100, // Distinct ranges kept
+  defaultRangeDays: 7, // Range when from is not given
+  maxPeriods: 1000 // Timeline periods per response (about 41 days hourly)
+};
+
+// Timeline intervals -> period length in seconds
+const STATS_INTERVALS = {
+  hour: 3600,
+  day: 86400
+};
+
+// Ranges up to this long default to hourly periods, longer ones to daily
+const HOURLY_RANGE_MS = 2 * 24 * 60 * 60 * 1000;
+
+// Cache key -> { value, expiresAt }
+const statsCache = new Map();
+
+/**
+ * Round to a fixed number of decimals, keeping null
+ * @param {number|null} value - Value
+ * @param {number} decimals - Decimal places
+ * @returns {number|null} Rounded value
+ */
+function round(value, decimals = 2) {
+  return value == null ? null : Number(value.toFixed(decimals));
+}
+
+/**
+ * Share of a total
+ * @param {number} count - Part
+ * @param {number} total - Whole
+ * @returns {number|null} Ratio between 0 and 1, or null without a total
+ */
+function ratio(count, total) {
+  return total > 0 ? round(count / total, 4) : null;
+}
+
+/**
+ * Resolve the requested range and interval
+ * @param {object} options - { from, to, interval }
+ * @returns {object} { from, to, interval, intervalSeconds }
+ * @throws {ValidationError} If the range is empty or would produce too many timeline periods
+ */
+function resolveWindow({ from = null, to = null, interval = null }) {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - STATS_CONFIG.defaultRangeDays * 24 * 60 * 60 * 1000);
+  if (start >= end) {
+    throw new ValidationError('from must be before to', 'from');
+  }
+
+  const resolvedInterval = interval || (end - start <= HOURLY_RANGE_MS ? 'hour' : 'day');
+  const intervalSeconds = STATS_INTERVALS[resolvedInterval];
+
+  const periods = Math.ceil((end - start) / (intervalSeconds * 1000));
+  if (periods > STATS_CONFIG.maxPeriods) {
+    throw new ValidationError(
+      `The range spans ${periods} ${resolvedInterval} periods (max ${STATS_CONFIG.maxPeriods}): narrow from/to${resolvedInterval === 'hour' ? ' or use interval=day' : ''}`,
+      'from',
+      { periods, maxPeriods: STATS_CONFIG.maxPeriods }
+    );
+  }
+
+  return { from: start, to: end, interval: resolvedInterval, intervalSeconds };
+}
+
+/**
+ * Timeline with every period of the range, including the ones without requests
+ * @param {object[]} rows - Periods with requests (epoch seconds, ascending)
+ * @param {object} window - Resolved window
+ * @returns {object[]} One entry per period
+ */
+function fillTimeline(rows, { from, to, intervalSeconds }) {
+  const byPeriod = new Map(rows.map(row => [row.period, row]));
+  const timeline = [];
+
+  const first = Math.floor(from.getTime() / 1000 / intervalSeconds) * intervalSeconds;
+  for (let period = first; period * 1000 < to.getTime(); period += intervalSeconds) {
+    const row = byPeriod.get(period) || { requests: 0, errors: 0, cacheHits: 0, cacheLookups: 0 };
+    timeline.push({
+      period: new Date(period * 1000).toISOString(),
+      requests: row.requests,
+      errors: row.errors,
+      cacheHits: row.cacheHits,
+      cacheLookups: row.cacheLookups,
+      cacheHitRatio: ratio(row.cacheHits, row.cacheLookups)
+    });
+  }
+  return timeline;
+}
+
+/**
+ * Compute the statistics response from the database aggregates
+ * @param {object} window - Resolved window
+ * @returns {object} Statistics
+ */
+async function computeStats(window) {
+  const aggregates = await get_stats({
+    filters: { from: window.from, to: window.to },
+    intervalSeconds: window.intervalSeconds
+  });
+
+  const timeline = fillTimeline(aggregates.timeline, window);
+  const sum = field => timeline.reduce((total, period) => total + period[field], 0);
+  const requests = sum('requests');
+  const errors = sum('errors');
+  const cacheHits = sum('cacheHits');
+  const cacheLookups = sum('cacheLookups');
+  const { samples, p50, p90, p99 } = aggregates.processingTime;
+
+  return {
+    from: window.from.toISOString(),
+    to: window.to.toISOString(),
+    interval: window.interval,
+    totals: {
+      requests,
+      errors,
+      errorRate: ratio(errors, requests),
+      cacheHits,
+      cacheLookups,
+      cacheHitRatio: ratio(cacheHits, cacheLookups)
+    },
+    processingTimeMs: { samples, p50: round(p50), p90: round(p90), p99: round(p99) },
+    timeline,
+    mimeTypes: aggregates.mimeTypes.map(row => ({
+      ...row,
+      errorRate: ratio(row.errors, row.requests),
+      avgProcessingMs: round(row.avgProcessingMs)
+    })),
+    fileSizes: aggregates.fileSizes.map(row => ({
+      ...row,
+      errorRate: ratio(row.errors, row.requests),
+      avgProcessingMs: round(row.avgProcessingMs)
+    })),
+    errors: aggregates.errors.map(row => ({ ...row, rate: ratio(row.count, requests) })),
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Stats Service - usage statistics for a date range, briefly cached
+ * Without from/to the range is the last defaultRangeDays up to now; such requests share one cache
+ * entry, so "now" moves on once per cacheTtlMs.
+ * @param {object} options - Statistics options
+ * @param {Date|null} options.from - Range start (inclusive)
+ * @param {Date|null} options.to - Range end (exclusive)
+ * @param {string|null} options.interval - 'hour' or 'day'; default hour for ranges up to 2 days, day otherwise
+ * @returns {object} Statistics; `cached` tells whether they came from the cache
+ * @throws {ValidationError} If the range is empty or has too many periods for the interval
+ */
+async function stats({ from = null, to = null, interval = null } = {}) {
+  const key = JSON.stringify([from, to, interval]);
+  const now = Date.now();
+
+  const entry = statsCache.get(key);
+  if (entry && entry.expiresAt > now) {
+    return { success: true, ...entry.value, cached: true, timestamp: new Date().toISOString() };
+  }
+
+  const value = await computeStats(resolveWindow({ from, to, interval }));
+
+  // Drop expired entries, then the oldest ones beyond the limit (a Map iterates in insertion order)
+  statsCache.delete(key);
+  for (const [cachedKey, cached] of statsCache) {
+    if (cached.expiresAt <= now) statsCache.delete(cachedKey);
+  }
+  while (statsCache.size >= STATS_CONFIG.cacheMaxEntries) {
+    statsCache.delete(statsCache.keys().next().value);
+  }
+  statsCache.set(key, { value, expiresAt: now + STATS_CONFIG.cacheTtlMs });
+
+  return { success: true, ...value, cached: false, timestamp: new Date().toISOString() };
+}
+
+module.exports = {
+  STATS_CONFIG,
+  STATS_INTERVALS,
+  stats
+};
@@ -0,0 +1,365 @@
+const Tesseract = require('tesseract.js');
+const { LANG_PATH, DEFAULT_LANGUAGE } = require('../utils/languages');
+const { TesseractError, RateLimitError } = require('../utils/errors');
+
+/**
+ * Tesseract Worker Pool
+ * Keeps long-lived Tesseract workers behind a Tesseract.js scheduler so each request
+ * skips worker creation and traineddata loading. Workers are initialized for a fixed
+ * language set, so there is one scheduler per language string ("eng", "eng+deu", ...).
+ * At most maxLanguages pools run at once: a new language evicts the least recently used idle pool,
+ * or is refused with 429 while every pool is busy.
+ */
+
+// Pool configuration
+const poolConfig = {
+  size: parseInt(process.env.OCR_WORKER_POOL_SIZE) || 2, // Workers per language
+  maxQueue: parseInt(process.env.OCR_WORKER_MAX_QUEUE) || 100, // Waiting jobs per language before 429
+  idleTimeoutMs: parseInt(process.env.OCR_WORKER_IDLE_TIMEOUT_MS) || 5 * 60 * 1000, // Non-default languages only
+  maxLanguages: parseInt(process.env.OCR_WORKER_MAX_LANGUAGES) || 4, // Language pools running at once, default language included
+  maxAttempts: 2 // A job interrupted by a worker crash is retried once on the restarted workers
+};
+
+// Recognition engine: LSTM only. Part of every cache key, so changing it (or upgrading
+// Tesseract.js) never serves results produced by a different engine.
+const ENGINE_MODE = Tesseract.OEM.LSTM_ONLY;
+const ENGINE_VERSION = `tesseract.js@${require('tesseract.js/package.json').version}/oem${ENGINE_MODE}`;
+
+// Language string -> pool, least recently used first
+const pools = new Map();
+let poolEnabled = false;
+
+/**
+ * Create a single Tesseract worker for the given language
+ * @param {string} lang - Tesseract language string
+ * @returns {Promise<object>} Tesseract worker
+ */
+function createWorker(lang) {
+  return Tesseract.createWorker(lang, ENGINE_MODE, {
+    langPath: LANG_PATH,
+    cachePath: LANG_PATH,
+    gzip: false,
+    // Without an errorHandler, Tesseract.js rethrows job failures from the message listener
+    errorHandler: (error) => {
+      console.error(`❌ Tesseract worker error (${lang}):`, error?.message || error);
+    }
+  });
+}
+
+/**
+ * Start a scheduler generation: a scheduler plus its workers.
+ * A crashed worker can't be removed from a Tesseract.js scheduler, so a crash replaces the whole generation.
+ * @param {object} pool - Language pool
+ * @returns {Promise<object>} Ready generation
+ */
+async function startGeneration(pool) {
+  const settled = await Promise.allSettled(
+    Array.from({ length: poolConfig.size }, () => createWorker(pool.lang))
+  );
+  const workers = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
+  const failure = settled.find(r => r.status === 'rejected');
+
+  if (failure) {
+    await Promise.all(workers.map(w => w.terminate().catch(() => {})));
+    const reason = failure.reason?.message || failure.reason;
+    throw new TesseractError(`Failed to start OCR workers for "${pool.lang}": ${reason}`, 'initialization');
+  }
+
+  const generation = {
+    scheduler: Tesseract.createScheduler(),
+    workers,
+    jobs: new Set(),
+    closing: false
+  };
+
+  for (const worker of workers) {
+    generation.scheduler.addWorker(worker);
+    worker.worker.once('exit', (code) => {
+      if (!generation.closing) {
+        handleCrash(pool, generation, code);
+      }
+    });
+  }
+
+  return generation;
+}
+
+/**
+ * Replace a generation whose worker thread exited unexpectedly and resubmit its jobs
+ * @param {object} pool - Language pool
+ * @param {object} generation - Generation that lost a worker
+ * @param {number} exitCode - Worker thread exit code
+ */
+function handleCrash(pool, generation, exitCode) {
+  if (pool.generation !== generation) return;
+
+  console.error(`💥 Tesseract worker for "${pool.lang}" exited unexpectedly (code ${exitCode}) - restarting workers`);
+  pool.restarts += 1;
+  generation.closing = true;
+  generation.scheduler.terminate();
+
+  pool.generation = null;
+  pool.ready = startGeneration(pool).then((next) => {
+    pool.generation = next;
+    console.log(`✅ Restarted ${next.workers.length} Tesseract worker(s) for "${pool.lang}"`);
+    return next;
+  });
+  pool.ready.catch((error) => {
+    console.error(`❌ Failed to restart Tesseract workers for "${pool.lang}":`, error.message);
+    pools.delete(pool.lang);
+  });
+
+  // Resubmit interrupted jobs in their original order so the queue stays FIFO
+  const interrupted = [...generation.jobs];
+  generation.jobs.clear();
+  for (const job of interrupted) {
+    if (job.attempts < poolConfig.maxAttempts) {
+      submit(pool, job);
+    } else {
+      job.reject(new TesseractError('OCR worker crashed while processing the image', 'recognition'));
+    }
+  }
+}
+
+/**
+ * Hand a job to the pool's current generation once it is ready
+ * @param {object} pool - Language pool
+ * @param {object} job - Job with image, options, output, resolve and reject
+ */
+function submit(pool, job) {
+  job.attempts += 1;
+
+  pool.ready.then((generation) => {
+    generation.jobs.add(job);
+    generation.scheduler.addJob('recognize', job.image, job.options, job.output).then(
+      (result) => {
+        // Ignore results from a generation that has already handed this job on
+        if (generation.jobs.delete(job)) job.resolve(result);
+      },
+      (error) => {
+        if (generation.jobs.delete(job)) {
+          job.reject(new TesseractError(`OCR recognition failed: ${error?.message || error}`, 'recognition'));
+        }
+      }
+    );
+  }, job.reject);
+}
+
+/**
+ * Make room for one more language pool by stopping the least recently used idle one
+ * The default language is never evicted.
+ * @throws {RateLimitError} If every other pool is busy
+ */
+function evictIdlePool() {
+  for (const pool of pools.values()) {
+    if (pool.lang !== DEFAULT_LANGUAGE && pool.active === 0) {
+      console.log(`♻️ Stopping Tesseract workers for "${pool.lang}" to make room for another language`);
+      pools.delete(pool.lang);
+      terminatePool(pool);
+      return;
+    }
+  }
+
+  throw new RateLimitError(`All ${poolConfig.maxLanguages} OCR language pools are busy`, 5);
+}
+
+/**
+ * Get the pool for a language, creating it on first use
+ * @param {string} lang - Tesseract language string
+ * @returns {object} Language pool
+ * @throws {RateLimitError} If a new pool is needed while maxLanguages busy pools are running
+ */
+function getPool(lang) {
+  let pool = pools.get(lang);
+  if (pool) {
+    // Move to the end: the Map iterates least recently used first
+    pools.delete(lang);
+    pools.set(lang, pool);
+    return pool;
+  }
+
+  if (pools.size >= poolConfig.maxLanguages) {
+    evictIdlePool();
+  }
+
+  console.log(`🔧 Starting ${poolConfig.size} Tesseract worker(s) for "${lang}"...`);
+  pool = {
+    lang,
+    generation: null,
+    ready: null,
+    active: 0,
+    completed: 0,
+    failed: 0,
+    restarts: 0,
+    idleTimer: null,
+    lastUsedAt: null
+  };
+  pool.ready = startGeneration(pool).then((generation) => {
+    pool.generation = generation;
+    console.log(`✅ ${generation.workers.length} Tesseract worker(s) ready for "${lang}"`);
+    return generation;
+  });
+  // A pool that failed to start is dropped so the next request tries again
+  pool.ready.catch(() => {
+    if (pools.get(lang) === pool) pools.delete(lang);
+  });
+
+  pools.set(lang, pool);
+  return pool;
+}
+
+/**
+ * Terminate a non-default language pool after it has been idle for idleTimeoutMs
+ * @param {object} pool - Language pool
+ */
+function scheduleIdleShutdown(pool) {
+  if (pool.lang === DEFAULT_LANGUAGE || pool.active > 0) return;
+
+  clearTimeout(pool.idleTimer);
+  pool.idleTimer = setTimeout(() => {
+    if (pool.active === 0 && pools.get(pool.lang) === pool) {
+      console.log(`💤 Stopping idle Tesseract workers for "${pool.lang}"`);
+      pools.delete(pool.lang);
+      terminatePool(pool);
+    }
+  }, poolConfig.idleTimeoutMs);
+  pool.idleTimer.unref();
+}
+
+/**
+ * Terminate a pool's current generation
+ * @param {object} pool - Language pool
+ */
+async function terminatePool(pool) {
+  clearTimeout(pool.idleTimer);
+  try {
+    const generation = await pool.ready;
+    generation.closing = true;
+    await generation.scheduler.terminate();
+  } catch (error) {
+    // Pool never started - nothing to terminate
+  }
+}
+
+/**
+ * Initialize the worker pool and warm up the default language
+ */
+async function init() {
+  console.log('🔄 Initializing Tesseract worker pool...');
+  poolEnabled = true;
+
+  try {
+    await getPool(DEFAULT_LANGUAGE).ready;
+    console.log(`🎯 Worker pool ready (${poolConfig.size} worker(s) per language, default "${DEFAULT_LANGUAGE}")`);
+  } catch (error) {
+    console.error('❌ Worker pool warm-up failed:', error.message);
+    console.log('⚠️ Workers will be started on the first OCR request');
+  }
+}
+
+/**
+ * Recognize an image on a pooled worker
+ * @param {string|Buffer} image - Image path or buffer
+ * @param {string} lang - Validated Tesseract language string
+ * @param {object} options - Tesseract recognize options (e.g. rectangle)
+ * @param {object} output - Tesseract output formats (e.g. { text: true })
+ * @returns {Promise<object>} Tesseract recognize result ({ jobId, data })
+ * @throws {RateLimitError} If too many jobs are already waiting for this language, or no pool can be started for it
+ */
+async function recognize(image, lang = DEFAULT_LANGUAGE, options = {}, output = {}) {
+  const pool = getPool(lang);
+
+  if (pool.active - poolConfig.size >= poolConfig.maxQueue) {
+    throw new RateLimitError(`OCR queue for "${lang}" is full (${poolConfig.maxQueue} waiting jobs)`, 5);
+  }
+
+  pool.active += 1;
+  pool.lastUsedAt = new Date().toISOString();
+  clearTimeout(pool.idleTimer);
+
+  try {
+    const result = await new Promise((resolve, reject) => {
+      submit(pool, { image, options, output, resolve, reject, attempts: 0 });
+    });
+    pool.completed += 1;
+    return result;
+  } catch (error) {
+    pool.failed += 1;
+    throw error;
+  } finally {
+    pool.active -= 1;
+    scheduleIdleShutdown(pool);
+  }
+}
+
+/**
+ * Get worker pool status and utilisation
+ * @returns {object} Pool status information
+ */
+function getWorkerPoolStatus() {
+  const status = {
+    enabled: poolEnabled,
+    sizePerLanguage: poolConfig.size,
+    maxQueue: poolConfig.maxQueue,
+    maxLanguages: poolConfig.maxLanguages,
+    workers: 0,
+    busy: 0,
+    queued: 0,
+    utilization: 0,
+    completed: 0,
+    failed: 0,
+    restarts: 0,
+    languages: {}
+  };
+
+  for (const pool of pools.values()) {
+    const workers = pool.generation ? pool.generation.workers.length : 0;
+    const queued = pool.generation ? pool.generation.scheduler.getQueueLen() : pool.active;
+    const busy = Math.max(0, pool.active - queued);
+
+    status.languages[pool.lang] = {
+      ready: pool.generation !== null,
+      workers,
+      busy,
+      queued,
+      completed: pool.completed,
+      failed: pool.failed,
+      restarts: pool.restarts,
+      lastUsedAt: pool.lastUsedAt
+    };
+
+    status.workers += workers;
+    status.busy += busy;
+    status.queued += queued;
+    status.completed += pool.completed;
+    status.failed += pool.failed;
+    status.restarts += pool.restarts;
+  }
+
+  status.utilization = status.workers > 0 ? Math.round((status.busy / status.workers) * 100) / 100 : 0;
+
+  return status;
+}
+
+/**
+ * Terminate all workers gracefully
+ */
+async function closeWorkerPool() {
+  const closing = [...pools.values()];
+  pools.clear();
+  poolEnabled = false;
+
+  await Promise.all(closing.map(terminatePool));
+  if (closing.length > 0) {
+    console.log('✅ Tesseract worker pool closed');
+  }
+}
+
+module.exports = {
+  init,
+  recognize,
+  getWorkerPoolStatus,
+  closeWorkerPool,
+  poolConfig,
+  ENGINE_VERSION
+};
@@ -0,0 +1,106 @@
+/**
+ * Cache codec tests - compression thresholds, the entry size cap and reading plain and compressed entries
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { encodeEntry, decodeEntry, getCodecStats, CODEC_CONFIG } = require('../cache/cacheCodec');
+
+// A recognition result whose JSON is about `size` bytes
+const resultJson = size => JSON.stringify({ text: 'Total due: 42.00\n'.repeat(Math.ceil(size / 17)), confidence: 91.5 });
+
+describe('cache codec', () => {
+  const defaults = { ...CODEC_CONFIG };
+
+  beforeEach(() => {
+    Object.assign(CODEC_CONFIG, { algorithm: 'gzip', thresholdBytes: 1024, maxEntryBytes: 64 * 1024 });
+  });
+
+  afterEach(() => {
+    Object.assign(CODEC_CONFIG, defaults);
+  });
+
+  it('stores entries below the threshold as plain JSON', async () => {
+    const json = resultJson(500);
+    const entry = await encodeEntry(json);
+
+    assert.equal(entry.encoding, 'json');
+    assert.equal(entry.data, json);
+    assert.equal(entry.storedBytes, entry.rawBytes);
+    assert.deepEqual(await decodeEntry(entry.data), { json, encoding: 'json', storedBytes: Buffer.byteLength(json) });
+  });
+
+  for (const algorithm of ['gzip', 'brotli']) {
+    it(`compresses entries at or above the threshold with ${algorithm} and reads them back`, async () => {
+      CODEC_CONFIG.algorithm = algorithm;
+      const json = resultJson(20 * 1024);
+      const entry = await encodeEntry(json);
+
+      assert.equal(entry.encoding, algorithm);
+      assert.ok(Buffer.isBuffer(entry.data));
+      assert.equal(entry.data.subarray(0, `OCZ1:${algorithm}:`.length).toString(), `OCZ1:${algorithm}:`);
+      assert.ok(entry.storedBytes < entry.rawBytes);
+      assert.deepEqual(await decodeEntry(entry.data), { json, encoding: algorithm, storedBytes: entry.storedBytes });
+    });
+  }
+
+  it('applies the threshold inclusively', async () => {
+    const json = resultJson(2048);
+    CODEC_CONFIG.thresholdBytes = Buffer.byteLength(json);
+    assert.equal((await encodeEntry(json)).encoding, 'gzip');
+
+    CODEC_CONFIG.thresholdBytes = Buffer.byteLength(json) + 1;
+    assert.equal((await encodeEntry(json)).encoding, 'json');
+  });
+
+  it('keeps entries plain when compression is off or would not save space', async () => {
+    CODEC_CONFIG.algorithm = 'none';
+    assert.equal((await encodeEntry(resultJson(20 * 1024))).encoding, 'json');
+
+    // gzip adds a header, so a tiny entry would grow
+    CODEC_CONFIG.algorithm = 'gzip';
+    CODEC_CONFIG.thresholdBytes = 1;
+    assert.deepEqual(await encodeEntry('{}'), { data: '{}', encoding: 'json', rawBytes: 2, storedBytes: 2 });
+  });
+
+  it('refuses entries over maxEntryBytes', async () => {
+    const before = getCodecStats().rejectedEntries;
+    const entry = await encodeEntry(resultJson(CODEC_CONFIG.maxEntryBytes + 1));
+
+    assert.equal(entry.data, null);
+    assert.equal(entry.encoding, null);
+    assert.equal(entry.storedBytes, 0);
+    assert.ok(entry.rawBytes > CODEC_CONFIG.maxEntryBytes);
+    assert.equal(getCodecStats().rejectedEntries, before + 1);
+  });
+
+  it('reads entries written before compression existed, as strings or buffers', async () => {
+    const json = resultJson(20 * 1024);
+    assert.equal((await decodeEntry(json)).json, json);
+    assert.equal((await decodeEntry(Buffer.from(json))).encoding, 'json');
+  });
+
+  it('rejects entries with an unknown algorithm or a corrupt payload', async () => {
+    const payload = zlib.gzipSync('{}');
+    await assert.rejects(decodeEntry(Buffer.concat([Buffer.from('OCZ1:lz4:'), payload])), /Unknown cache entry encoding "lz4"/);
+    await assert.rejects(decodeEntry(Buffer.from('OCZ1:gzip')), /Unknown cache entry encoding/);
+    await assert.rejects(decodeEntry(Buffer.concat([Buffer.from('OCZ1:gzip:'), payload.subarray(0, 5)])));
+  });
+
+  it('counts plain, compressed and saved bytes', async () => {
+    const before = getCodecStats();
+    const compressed = await encodeEntry(resultJson(20 * 1024));
+    const plain = await encodeEntry(resultJson(100));
+    const after = getCodecStats();
+
+    assert.equal(after.compressedEntries, before.compressedEntries + 1);
+    assert.equal(after.plainEntries, before.plainEntries + 1);
+    assert.equal(after.rawBytes - before.rawBytes, compressed.rawBytes + plain.rawBytes);
+    assert.equal(after.bytesSaved - before.bytesSaved, compressed.rawBytes - compressed.storedBytes);
+    assert.deepEqual(
+      { algorithm: after.algorithm, thresholdBytes: after.thresholdBytes, maxEntryBytes: after.maxEntryBytes },
+      { algorithm: 'gzip', thresholdBytes: 1024, maxEntryBytes: 64 * 1024 }
+    );
+  });
+});
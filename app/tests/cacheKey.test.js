@@ -0,0 +1,70 @@
+/**
+ * Cache key tests - content hashing and the canonical digest of result options
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hashFile, generateCacheKey, CACHE_KEY_VERSION } = require('../cache/cache');
+
+const CONTENT_HASH = 'a'.repeat(64);
+
+describe('cache keys', () => {
+  it('hashes file content with SHA-256', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-cache-key-'));
+    try {
+      const file = path.join(directory, 'receipt.png');
+      fs.writeFileSync(file, 'image bytes');
+      assert.equal(await hashFile(file), crypto.createHash('sha256').update('image bytes').digest('hex'));
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('builds ocr:v<version>:<content hash>:<options digest>', () => {
+    const key = generateCacheKey(CONTENT_HASH, { language: 'eng' });
+    const [prefix, version, contentHash, digest] = key.split(':');
+
+    assert.equal(prefix, 'ocr');
+    assert.equal(version, `v${CACHE_KEY_VERSION}`);
+    assert.equal(contentHash, CONTENT_HASH);
+    assert.match(digest, /^[0-9a-f]{32}$/);
+  });
+
+  it('digests equivalent option sets the same, whatever their key order', () => {
+    assert.equal(
+      generateCacheKey(CONTENT_HASH, { language: 'eng', engine: 'lstm', detail: 'words' }),
+      generateCacheKey(CONTENT_HASH, { detail: 'words', engine: 'lstm', language: 'eng' })
+    );
+  });
+
+  it('drops undefined, null and empty options from the digest', () => {
+    assert.equal(
+      generateCacheKey(CONTENT_HASH, { language: 'eng', detail: undefined, regions: null, page: '' }),
+      generateCacheKey(CONTENT_HASH, { language: 'eng' })
+    );
+    assert.equal(generateCacheKey(CONTENT_HASH, {}), generateCacheKey(CONTENT_HASH));
+  });
+
+  it('keeps falsy but meaningful values such as page 0 and false', () => {
+    assert.notEqual(generateCacheKey(CONTENT_HASH, { page: 0 }), generateCacheKey(CONTENT_HASH));
+    assert.notEqual(generateCacheKey(CONTENT_HASH, { preprocess: false }), generateCacheKey(CONTENT_HASH));
+  });
+
+  it('separates results produced with different options or content', () => {
+    const base = generateCacheKey(CONTENT_HASH, { language: 'eng', output: 'text' });
+
+    assert.notEqual(generateCacheKey(CONTENT_HASH, { language: 'deu', output: 'text' }), base);
+    assert.notEqual(generateCacheKey(CONTENT_HASH, { language: 'eng', output: 'hocr' }), base);
+    assert.notEqual(generateCacheKey(CONTENT_HASH, { language: 'eng', output: 'text', detail: 'lines' }), base);
+    assert.notEqual(generateCacheKey('b'.repeat(64), { language: 'eng', output: 'text' }), base);
+    // Nested values (such as regions) are part of the digest too
+    assert.notEqual(
+      generateCacheKey(CONTENT_HASH, { regions: [{ left: 0, top: 0, width: 10, height: 10 }] }),
+      generateCacheKey(CONTENT_HASH, { regions: [{ left: 0, top: 0, width: 20, height: 10 }] })
+    );
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Redis tier tests - reads, copies into the memory tier, coalescing and entry inspection against a stand-in Redis client
+ * The stand-in replaces redisConnection.connectRedis before the cache module is loaded, so init()
+ * "connects" to it exactly as it would to a real server.
+ */
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.REDIS_URL = 'redis://stand-in:6379';
+process.env.CACHE_LOCK_POLL_MS = '10';
+
+// In-memory Redis holding raw values (strings or Buffers) and expiry times
+function fakeRedis() {
+  const values = new Map();
+  const expiresAt = new Map();
+
+  const live = (key) => {
+    if (expiresAt.has(key) && expiresAt.get(key) <= Date.now()) {
+      values.delete(key);
+      expiresAt.delete(key);
+    }
+    return values.has(key);
+  };
+
+  const client = {
+    // get(commandOptions({ returnBuffers: true }), key) or get(key)
+    async get(...args) {
+      const key = args[args.length - 1];
+      if (!live(key)) return null;
+      const value = values.get(key);
+      return typeof args[0] === 'object' ? Buffer.from(value) : value.toString();
+    },
+    async pTTL(key) {
+      if (!live(key)) return -2;
+      return expiresAt.has(key) ? expiresAt.get(key) - Date.now() : -1;
+    },
+    async ttl(key) {
+      const ms = await client.pTTL(key);
+      return ms < 0 ? ms : Math.ceil(ms / 1000);
+    },
+    async set(key, value, options = {}) {
+      if (options.NX && live(key)) return null;
+      client.write(key, value, options.PX);
+      return 'OK';
+    },
+    async setEx(key, seconds, value) {
+      client.write(key, value, seconds * 1000);
+      return 'OK';
+    },
+    async exists(key) {
+      return live(key) ? 1 : 0;
+    },
+    async eval(script, { keys: [key], arguments: [token] }) {
+      if (live(key) && values.get(key) === token) {
+        values.delete(key);
+        return 1;
+      }
+      return 0;
+    },
+    async publish() {
+      return 0;
+    },
+    async ping() {
+      return 'PONG';
+    },
+    async* scanIterator({ MATCH }) {
+      const pattern = new RegExp(`^${MATCH.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+      for (const key of [...values.keys()]) {
+        if (live(key) && pattern.test(key)) yield key;
+      }
+    },
+    duplicate() {
+      return { on() {}, async connect() {}, async subscribe() {}, async quit() {} };
+    },
+    // Test helpers
+    write(key, value, ttlMs) {
+      values.set(key, value);
+      if (ttlMs) {
+        expiresAt.set(key, Date.now() + ttlMs);
+      } else {
+        expiresAt.delete(key);
+      }
+    },
+    del(key) {
+      values.delete(key);
+      expiresAt.delete(key);
+    },
+    clear() {
+      values.clear();
+      expiresAt.clear();
+    }
+  };
+
+  return client;
+}
+
+const redis = fakeRedis();
+const redisConnection = require('../cache/redisConnection');
+redisConnection.connectRedis = async () => ({
+  mode: 'standalone',
+  client: redis,
+  node: () => ({ mode: 'standalone', address: 'stand-in:6379', tls: false, username: null }),
+  nodeClients: async () => [redis],
+  close: async () => {}
+});
+
+const cache = require('../cache/cache');
+const memoryCache = require('../cache/memoryCache');
+const { encodeEntry } = require('../cache/cacheCodec');
+const { cacheEntryHandler } = require('../api/adminCacheApi');
+
+const CONTENT_HASH = 'c'.repeat(64);
+const VARIANT = { language: 'eng', output: 'text' };
+const RESULT = { text: 'Total due: 42.00\n'.repeat(1000), confidence: 91.5 };
+
+// Write an entry the way another instance's store_in_cache would (compressed, since it is over the threshold)
+async function writeRemoteEntry(key, result, ttlMs) {
+  const entry = await encodeEntry(JSON.stringify(result));
+  assert.notEqual(entry.encoding, 'json');
+  redis.write(key, entry.data, ttlMs);
+  return entry;
+}
+
+describe('Redis cache tier', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    await cache.init();
+    mock.restoreAll();
+  });
+
+  after(async () => {
+    mock.method(console, 'log', () => {});
+    await cache.closeCache();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    redis.clear();
+    memoryCache.clear();
+    mock.method(console, 'log', () => {}); // Cache hit/miss messages
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('serves a Redis-only entry as a hit and copies it into the memory tier for its remaining TTL', async () => {
+    const key = cache.generateCacheKey(CONTENT_HASH, VARIANT);
+    await writeRemoteEntry(key, RESULT, 5000);
+    assert.equal(memoryCache.peek(key), null);
+
+    const hit = await cache.get_from_cache(CONTENT_HASH, VARIANT);
+
+    assert.equal(hit.cacheHit, true);
+    assert.equal(hit.cacheTier, 'redis');
+    assert.equal(hit.text, RESULT.text);
+    assert.equal(hit.confidence, RESULT.confidence);
+
+    const copy = memoryCache.peek(key);
+    assert.equal(copy.value, JSON.stringify(RESULT));
+    assert.ok(copy.ttlSeconds > 0 && copy.ttlSeconds <= 5, `memory TTL ${copy.ttlSeconds}s outlives Redis`);
+
+    const again = await cache.get_from_cache(CONTENT_HASH, VARIANT);
+    assert.equal(again.cacheTier, 'memory');
+  });
+
+  it('reads plain JSON entries written below the compression threshold', async () => {
+    const key = cache.generateCacheKey(CONTENT_HASH, VARIANT);
+    redis.write(key, JSON.stringify({ text: 'short', confidence: 80 }));
+
+    const hit = await cache.get_from_cache(CONTENT_HASH, VARIANT);
+    assert.equal(hit.cacheTier, 'redis');
+    assert.equal(hit.text, 'short');
+    assert.ok(memoryCache.peek(key));
+  });
+
+  it('reports a miss when Redis does not hold the entry', async () => {
+    assert.equal(await cache.get_from_cache(CONTENT_HASH, VARIANT), null);
+  });
+
+  it('waits for the result of another instance holding the lock instead of computing it', async () => {
+    const key = cache.generateCacheKey(CONTENT_HASH, VARIANT);
+    await redis.set(`lock:${key}`, 'other-instance', { NX: true, PX: 30000 });
+    const compute = mock.fn(async () => ({ text: 'computed here' }));
+
+    // The lock holder stores its result and releases the lock a few polls later
+    setTimeout(async () => {
+      await writeRemoteEntry(key, RESULT, 86400000);
+      redis.del(`lock:${key}`);
+    }, 50);
+
+    const { result, coalesced } = await cache.coalesce(CONTENT_HASH, VARIANT, compute);
+
+    assert.equal(coalesced, true);
+    assert.equal(compute.mock.callCount(), 0);
+    assert.equal(result.text, RESULT.text);
+    assert.equal(result.cacheTier, 'redis');
+    assert.equal(memoryCache.peek(key).value, JSON.stringify(RESULT));
+  });
+
+  it('computes the result itself when the lock holder gives up without one', async () => {
+    const key = cache.generateCacheKey(CONTENT_HASH, VARIANT);
+    await redis.set(`lock:${key}`, 'other-instance', { NX: true, PX: 30000 });
+    setTimeout(() => redis.del(`lock:${key}`), 50);
+
+    const { result, coalesced } = await cache.coalesce(CONTENT_HASH, VARIANT, async () => ({ text: 'computed here' }));
+
+    assert.equal(coalesced, false);
+    assert.equal(result.text, 'computed here');
+  });
+
+  it('lists Redis-backed entries from GET /admin/cache/:hash', async () => {
+    const redisOnlyKey = cache.generateCacheKey(CONTENT_HASH, VARIANT);
+    const entry = await writeRemoteEntry(redisOnlyKey, RESULT, 60000);
+    const bothTiers = { language: 'deu', output: 'text' };
+    await cache.store_in_cache(CONTENT_HASH, { text: 'Gesamt', confidence: 88 }, bothTiers, 600);
+
+    const res = { json: mock.fn() };
+    const next = mock.fn();
+    await cacheEntryHandler({ params: { hash: CONTENT_HASH }, requestId: 'test' }, res, next);
+
+    assert.equal(next.mock.callCount(), 0, next.mock.calls[0]?.arguments[0]?.message);
+    const body = res.json.mock.calls[0].arguments[0];
+    assert.equal(body.count, 2);
+
+    const redisOnly = body.entries.find(found => found.key === redisOnlyKey);
+    assert.deepEqual(redisOnly.tiers, ['redis']);
+    assert.equal(redisOnly.encoding, entry.encoding);
+    assert.equal(redisOnly.storedBytes, entry.storedBytes);
+    assert.ok(redisOnly.ttlSeconds > 0 && redisOnly.ttlSeconds <= 60);
+    assert.deepEqual(redisOnly.result, RESULT);
+
+    const both = body.entries.find(found => found.key === cache.generateCacheKey(CONTENT_HASH, bothTiers));
+    assert.deepEqual(both.tiers, ['memory', 'redis']);
+    assert.equal(both.encoding, 'json');
+    assert.equal(both.result.text, 'Gesamt');
+  });
+});
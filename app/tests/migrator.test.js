@@ -0,0 +1,191 @@
+/**
+ * Schema migrator tests - migrate, rollback, status and the migration lock against a stand-in
+ * MySQL connection, with migration files written to a temporary directory
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { migrate, rollback, status, loadMigrations, MIGRATION_CONFIG } = require('../db/migrator');
+
+// Pool with one connection that keeps schema_migrations in memory and records every other statement
+function fakeDatabase({ lockBusyAttempts = 0 } = {}) {
+  const state = { applied: [], statements: [], lockAttempts: 0, locked: false, releases: 0 };
+
+  const connection = {
+    async execute(sql, params = []) {
+      const statement = sql.replace(/\s+/g, ' ').trim();
+
+      if (statement.startsWith('SELECT GET_LOCK')) {
+        state.lockAttempts += 1;
+        state.locked = state.lockAttempts > lockBusyAttempts;
+        return [[{ acquired: state.locked ? 1 : 0 }]];
+      }
+      if (statement.startsWith('SELECT RELEASE_LOCK')) {
+        state.locked = false;
+        return [[{ released: 1 }]];
+      }
+      if (statement.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations')) {
+        return [{}];
+      }
+      if (statement.startsWith('SELECT version, name, applied_at FROM schema_migrations')) {
+        return [[...state.applied].sort((a, b) => a.version - b.version)];
+      }
+      if (statement.startsWith('INSERT INTO schema_migrations')) {
+        assert.ok(state.locked, 'migrations are recorded while holding the lock');
+        state.applied.push({ version: params[0], name: params[1], applied_at: new Date() });
+        return [{}];
+      }
+      if (statement.startsWith('DELETE FROM schema_migrations')) {
+        state.applied = state.applied.filter(row => row.version !== params[0]);
+        return [{}];
+      }
+
+      state.statements.push(statement);
+      return [{}];
+    },
+    release() {
+      state.releases += 1;
+    }
+  };
+
+  return { pool: { getConnection: async () => connection }, state };
+}
+
+// Write migration files whose up/down run one recognizable statement each
+function writeMigrations(directory, files) {
+  for (const [file, source] of Object.entries(files)) {
+    fs.writeFileSync(path.join(directory, file), source ?? `
+      module.exports = {
+        up: db => db.execute('UP ${file}'),
+        down: db => db.execute('DOWN ${file}')
+      };
+    `);
+  }
+}
+
+describe('schema migrator', () => {
+  const defaults = { ...MIGRATION_CONFIG };
+  let directory;
+
+  beforeEach(() => {
+    // A fresh directory per test, so require() never returns a migration module from another test
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-migrations-'));
+    Object.assign(MIGRATION_CONFIG, { lockPollSeconds: 0, lockTimeoutSeconds: 0 });
+    mock.method(console, 'log', () => {}); // Migration progress messages
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    Object.assign(MIGRATION_CONFIG, defaults);
+    mock.restoreAll();
+  });
+
+  it('applies pending migrations in version order, once', async () => {
+    writeMigrations(directory, {
+      '010_c.js': null,
+      '002_b.js': null,
+      '001_a.js': null,
+      'README.md': 'not a migration'
+    });
+    const { pool, state } = fakeDatabase();
+
+    assert.deepEqual(await migrate(pool, { directory, to: 2 }), [{ version: 1, name: 'a' }, { version: 2, name: 'b' }]);
+    assert.deepEqual(await migrate(pool, { directory }), [{ version: 10, name: 'c' }]);
+    assert.deepEqual(await migrate(pool, { directory }), []);
+
+    assert.deepEqual(state.statements, ['UP 001_a.js', 'UP 002_b.js', 'UP 010_c.js']);
+    assert.deepEqual(state.applied.map(row => row.version), [1, 2, 10]);
+    assert.equal(state.locked, false);
+    assert.equal(state.releases, 3);
+  });
+
+  it('rejects duplicate versions and migrations without up and down', async () => {
+    writeMigrations(directory, { '001_a.js': null, '1_again.js': null });
+    await assert.rejects(loadMigrations(directory), /Duplicate migration version 1/);
+
+    const incomplete = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-migrations-'));
+    try {
+      writeMigrations(incomplete, { '001_a.js': 'module.exports = { up: async () => {} };' });
+      await assert.rejects(loadMigrations(incomplete), /001_a\.js must export up\(db\) and down\(db\)/);
+    } finally {
+      fs.rmSync(incomplete, { recursive: true, force: true });
+    }
+  });
+
+  it('stops at a failing migration without recording it, and releases the lock', async () => {
+    writeMigrations(directory, {
+      '001_a.js': null,
+      '002_broken.js': 'module.exports = { up: async () => { throw new Error("syntax error"); }, down: async () => {} };',
+      '003_c.js': null
+    });
+    const { pool, state } = fakeDatabase();
+
+    await assert.rejects(migrate(pool, { directory }), /syntax error/);
+    assert.deepEqual(state.applied.map(row => row.version), [1]);
+    assert.deepEqual(state.statements, ['UP 001_a.js']);
+    assert.equal(state.locked, false);
+    assert.equal(state.releases, 1);
+  });
+
+  it('rolls back the newest migrations with their down', async () => {
+    writeMigrations(directory, { '001_a.js': null, '002_b.js': null, '003_c.js': null });
+    const { pool, state } = fakeDatabase();
+    await migrate(pool, { directory });
+
+    assert.deepEqual(await rollback(pool, { directory, steps: 2 }), [{ version: 3, name: 'c' }, { version: 2, name: 'b' }]);
+    assert.deepEqual(state.statements.slice(3), ['DOWN 003_c.js', 'DOWN 002_b.js']);
+    assert.deepEqual(state.applied.map(row => row.version), [1]);
+
+    assert.deepEqual(await rollback(pool, { directory }), [{ version: 1, name: 'a' }]);
+    assert.deepEqual(await rollback(pool, { directory }), []);
+  });
+
+  it('refuses to roll back a migration whose file is missing', async () => {
+    writeMigrations(directory, { '001_a.js': null });
+    const { pool, state } = fakeDatabase();
+    state.applied.push({ version: 2, name: 'gone', applied_at: new Date() });
+
+    await assert.rejects(rollback(pool, { directory }), /Cannot roll back 002_gone: migration file not found/);
+    assert.deepEqual(state.applied.map(row => row.version), [2]);
+  });
+
+  it('reports applied, pending and missing migrations', async () => {
+    writeMigrations(directory, { '001_a.js': null, '003_c.js': null });
+    const { pool, state } = fakeDatabase();
+    const appliedAt = new Date('2025-01-01T00:00:00Z');
+    state.applied.push({ version: 1, name: 'a', applied_at: appliedAt }, { version: 2, name: 'gone', applied_at: appliedAt });
+
+    assert.deepEqual(await status(pool, { directory }), [
+      { version: 1, name: 'a', state: 'applied', appliedAt },
+      { version: 2, name: 'gone', state: 'missing', appliedAt },
+      { version: 3, name: 'c', state: 'pending', appliedAt: null }
+    ]);
+  });
+
+  it('waits for another instance to release the lock', async () => {
+    writeMigrations(directory, { '001_a.js': null });
+    const { pool, state } = fakeDatabase({ lockBusyAttempts: 3 });
+
+    assert.deepEqual(await migrate(pool, { directory }), [{ version: 1, name: 'a' }]);
+    assert.equal(state.lockAttempts, 4);
+    assert.equal(console.log.mock.calls.filter(call => /waited \d+s for the migration lock/.test(call.arguments[0])).length, 3);
+  });
+
+  it('gives up on the lock after DB_MIGRATION_LOCK_TIMEOUT_S when set', async () => {
+    writeMigrations(directory, { '001_a.js': null });
+    const { pool, state } = fakeDatabase({ lockBusyAttempts: Infinity });
+    MIGRATION_CONFIG.lockTimeoutSeconds = 30;
+
+    // Every GET_LOCK wait takes 10 seconds
+    let now = Date.now();
+    mock.method(Date, 'now', () => (now += 10000));
+
+    await assert.rejects(migrate(pool, { directory }), /Timed out after \d+s waiting for the migration lock/);
+    assert.deepEqual(state.statements, []);
+    assert.deepEqual(state.applied, []);
+    assert.equal(state.releases, 1);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * OCR layout tests - Tesseract block hierarchy to the words/lines/blocks output schema
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildLayout, roundConfidence, LAYOUT_SCHEMA_VERSION } = require('../services/ocrLayout');
+
+const box = (x0, y0, x1, y1) => ({ x0, y0, x1, y1 });
+
+const word = (text, confidence, bbox) => ({ text, confidence, bbox, symbols: [], baseline: {} });
+
+// Two blocks; the first has two lines in one paragraph, the second a single one-word line
+function tesseractBlocks() {
+  const hello = word('Hello ', 96.123, box(0, 0, 40, 10));
+  const world = word('world', 88.456, box(45, 0, 90, 10));
+  const total = word('Total', 70, box(0, 20, 35, 30));
+  const footer = word('page\n', null, box(0, 100, 30, 110));
+
+  return [
+    {
+      text: 'Hello world\nTotal\n\n',
+      confidence: 84.8888,
+      blocktype: 1,
+      bbox: box(0, 0, 90, 30),
+      paragraphs: [{
+        text: 'Hello world\nTotal\n',
+        confidence: 84.8888,
+        bbox: box(0, 0, 90, 30),
+        lines: [
+          { text: 'Hello world\n', confidence: 92.29, bbox: box(0, 0, 90, 10), words: [hello, world] },
+          { text: 'Total\n', confidence: 70, bbox: box(0, 20, 35, 30), words: [total] }
+        ]
+      }]
+    },
+    {
+      text: 'page\n',
+      confidence: 55.5,
+      blocktype: 1,
+      bbox: box(0, 100, 30, 110),
+      paragraphs: [{
+        text: 'page\n',
+        confidence: 55.5,
+        bbox: box(0, 100, 30, 110),
+        lines: [{ text: 'page\n', confidence: 55.5, bbox: box(0, 100, 30, 110), words: [footer] }]
+      }]
+    }
+  ];
+}
+
+describe('OCR layout', () => {
+  it('rounds confidences to two decimals and keeps missing ones null', () => {
+    assert.equal(roundConfidence(96.126), 96.13);
+    assert.equal(roundConfidence(70), 70);
+    assert.equal(roundConfidence(null), null);
+    assert.equal(roundConfidence(undefined), null);
+  });
+
+  it('flattens every block into a word list for detail=words', () => {
+    const layout = buildLayout(tesseractBlocks(), 'words');
+
+    assert.deepEqual(layout, {
+      detail: 'words',
+      layoutSchemaVersion: LAYOUT_SCHEMA_VERSION,
+      words: [
+        { text: 'Hello', confidence: 96.12, bbox: box(0, 0, 40, 10) },
+        { text: 'world', confidence: 88.46, bbox: box(45, 0, 90, 10) },
+        { text: 'Total', confidence: 70, bbox: box(0, 20, 35, 30) },
+        { text: 'page', confidence: null, bbox: box(0, 100, 30, 110) }
+      ]
+    });
+  });
+
+  it('lists lines with their words for detail=lines', () => {
+    const layout = buildLayout(tesseractBlocks(), 'lines');
+
+    assert.equal(layout.words, undefined);
+    assert.equal(layout.blocks, undefined);
+    assert.deepEqual(layout.lines.map(line => [line.text, line.confidence, line.words.map(w => w.text)]), [
+      ['Hello world', 92.29, ['Hello', 'world']],
+      ['Total', 70, ['Total']],
+      ['page', 55.5, ['page']]
+    ]);
+    assert.deepEqual(layout.lines[0].bbox, box(0, 0, 90, 10));
+  });
+
+  it('keeps the block > paragraph > line > word hierarchy for detail=blocks', () => {
+    const layout = buildLayout(tesseractBlocks(), 'blocks');
+
+    assert.equal(layout.blocks.length, 2);
+    const [first] = layout.blocks;
+    assert.deepEqual(
+      { text: first.text, confidence: first.confidence, blocktype: first.blocktype, bbox: first.bbox },
+      { text: 'Hello world\nTotal', confidence: 84.89, blocktype: 1, bbox: box(0, 0, 90, 30) }
+    );
+    assert.equal(first.paragraphs.length, 1);
+    assert.deepEqual(first.paragraphs[0].lines.map(line => line.text), ['Hello world', 'Total']);
+    assert.deepEqual(first.paragraphs[0].lines[0].words[1], { text: 'world', confidence: 88.46, bbox: box(45, 0, 90, 10) });
+  });
+
+  it('returns empty collections when Tesseract found no blocks', () => {
+    assert.deepEqual(buildLayout(null, 'words').words, []);
+    assert.deepEqual(buildLayout(undefined, 'lines').lines, []);
+    assert.deepEqual(buildLayout([], 'blocks').blocks, []);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Search snippet tests - query term parsing and highlighted excerpts
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchTerms, buildSnippets, SNIPPET_CONFIG } = require('../services/searchSnippets');
+
+// Snippet text without the highlighting and ellipses
+const plain = snippet => snippet.replace(/<\/?mark>/g, '').replace(/…/g, '');
+
+describe('search snippets', () => {
+  it('parses natural and boolean queries into terms', () => {
+    assert.deepEqual(parseSearchTerms('total due'), [{ text: 'total', prefix: false }, { text: 'due', prefix: false }]);
+    assert.deepEqual(parseSearchTerms('+invoice -draft "amount due" tot*', 'boolean'), [
+      { text: 'invoice', prefix: false },
+      { text: 'amount due', prefix: false },
+      { text: 'tot', prefix: true }
+    ]);
+  });
+
+  it('highlights whole words and prefixes, HTML-escaped', () => {
+    assert.deepEqual(
+      buildSnippets('<b>Total</b> due: totals & subtotal', parseSearchTerms('tot*', 'boolean')),
+      ['&lt;b&gt;<mark>Total</mark>&lt;/b&gt; due: <mark>totals</mark> &amp; subtotal']
+    );
+  });
+
+  it('shares a window between nearby matches', () => {
+    assert.deepEqual(
+      buildSnippets('the quick brown fox jumps over the lazy dog', parseSearchTerms('fox dog')),
+      ['the quick brown <mark>fox</mark> jumps over the lazy <mark>dog</mark>']
+    );
+  });
+
+  it('caps windows in a text full of matches', () => {
+    const text = 'invoice total '.repeat(500).trim();
+    const snippets = buildSnippets(text, parseSearchTerms('invoice'));
+    const maxLength = 'invoice'.length * 2 + 2 * SNIPPET_CONFIG.contextChars;
+
+    assert.equal(snippets.length, SNIPPET_CONFIG.maxSnippets);
+    for (const snippet of snippets) {
+      assert.ok(plain(snippet).length <= maxLength, `${plain(snippet).length} > ${maxLength}`);
+    }
+    // Each window starts where the previous one ended, so no text is repeated
+    const shown = snippets.map(plain).join('');
+    assert.equal(shown, text.slice(0, shown.length));
+  });
+
+  it('falls back to the start of the text when no term is found', () => {
+    const text = 'word '.repeat(100);
+    const [excerpt] = buildSnippets(text, parseSearchTerms('missing'));
+    assert.equal(excerpt, text.trim().slice(0, SNIPPET_CONFIG.fallbackChars) + '…');
+    assert.deepEqual(buildSnippets('', parseSearchTerms('missing')), []);
+  });
+});
@@ -0,0 +1,473 @@
+/**
+ * Storage adapter conformance suite - every backend in db/database.js must pass it
+ *
+ * SQLite runs against a temporary file. MySQL runs when STORAGE_TEST_MYSQL=true, against the
+ * database configured by the DB_* variables (rows are namespaced per run and deleted afterwards):
+ *
+ *   npm test
+ *   STORAGE_TEST_MYSQL=true DB_HOST=localhost npm test
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// better-sqlite3 is an optional dependency
+function isInstalled(moduleName) {
+  try {
+    require.resolve(moduleName);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const BACKENDS = [
+  {
+    name: 'sqlite',
+    adapter: () => require('../db/sqliteStorage'),
+    skip: !isInstalled('better-sqlite3') && 'better-sqlite3 (optional dependency) is not installed',
+    setup() {
+      this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-storage-'));
+      return { filename: path.join(this.dir, 'ocr.sqlite') };
+    },
+    teardown() {
+      fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+  },
+  {
+    name: 'mysql',
+    adapter: () => require('../db/mysqlStorage'),
+    skip: process.env.STORAGE_TEST_MYSQL !== 'true' && 'set STORAGE_TEST_MYSQL=true to run against MySQL',
+    setup: () => ({}),
+    teardown: () => {}
+  }
+];
+
+for (const backend of BACKENDS) {
+  describe(`${backend.name} storage adapter`, { skip: backend.skip }, () => {
+    // Unique per run, so the suite can share a MySQL database with other data
+    const run = crypto.randomBytes(4).toString('hex');
+    const prefix = `conformance-${run}-`;
+    const word = name => `${name}${run}`;
+    const written = [];
+    let storage;
+
+    const record = (overrides = {}) => {
+      const resultId = `ocr_${crypto.randomUUID()}`;
+      written.push(resultId);
+      return {
+        imageName: `${prefix}${written.length}.png`,
+        extractedText: `${word('plain')} text`,
+        fileSize: 1000,
+        mimeType: 'image/png',
+        processingTimeMs: 10.5,
+        language: 'eng',
+        batchId: null,
+        resultId,
+        fileHash: crypto.createHash('sha256').update(resultId).digest('hex'),
+        totalTimeMs: 20.5,
+        metadata: { confidence: 90 },
+        requestId: `req_${run}_${written.length}`,
+        cacheStatus: 'miss',
+        meanConfidence: 90,
+        clientIp: '203.0.113.7',
+        clientKey: 'a1b2c3d4e5f60718',
+        userAgent: 'conformance-suite/1.0',
+        outcome: 'success',
+        ...overrides
+      };
+    };
+
+    before(async () => {
+      storage = backend.adapter();
+      await storage.init(backend.setup());
+    });
+
+    after(async () => {
+      for (const resultId of written) {
+        await storage.deleteResult(resultId);
+      }
+      await storage.close();
+      backend.teardown();
+    });
+
+    it('stores a result and reads it back by id', async () => {
+      const row = record({ language: 'eng+deu', batchId: `batch-${run}`, metadata: { confidence: 87, pages: [1, 2] } });
+      await storage.writeOcr(row);
+
+      const stored = await storage.getResult(row.resultId);
+      assert.equal(stored.result_id, row.resultId);
+      assert.equal(stored.image_name, row.imageName);
+      assert.equal(stored.extracted_text, row.extractedText);
+      assert.equal(stored.file_size, 1000);
+      assert.equal(stored.mime_type, 'image/png');
+      assert.equal(stored.processing_time_ms, 10.5);
+      assert.equal(stored.total_time_ms, 20.5);
+      assert.equal(stored.language, 'eng+deu');
+      assert.equal(stored.batch_id, `batch-${run}`);
+      assert.equal(stored.file_hash, row.fileHash);
+      assert.deepEqual(stored.result_metadata, { confidence: 87, pages: [1, 2] });
+      assert.equal(stored.request_id, row.requestId);
+      assert.ok(stored.created_at instanceof Date);
+      assert.ok(Math.abs(stored.created_at.getTime() - Date.now()) < 60000);
+    });
+
+    it('returns null for an unknown result id', async () => {
+      assert.equal(await storage.getResult(`ocr_${crypto.randomUUID()}`), null);
+    });
+
+    it('pages logs with a keyset cursor, without gaps or duplicates', async () => {
+      const pagePrefix = `${prefix}page-`;
+      for (const size of [300, 100, 500, 200, 400]) {
+        await storage.writeOcr(record({ imageName: `${pagePrefix}${size}.png`, fileSize: size }));
+      }
+
+      const seen = [];
+      let after = null;
+      for (;;) {
+        const page = await storage.getLogs({ limit: 2, filters: { filenamePrefix: pagePrefix }, sort: 'file_size', order: 'asc', after });
+        assert.equal(page.total, 5);
+        assert.equal(page.limit, 2);
+        seen.push(...page.logs.map(log => log.file_size));
+        if (!page.hasMore) break;
+        const last = page.logs[page.logs.length - 1];
+        after = { value: last.file_size, id: last.id };
+      }
+      assert.deepEqual(seen, [100, 200, 300, 400, 500]);
+
+      const newestFirst = await storage.getLogs({ limit: 5, filters: { filenamePrefix: pagePrefix } });
+      const ids = newestFirst.logs.map(log => log.id);
+      assert.deepEqual(ids, [...ids].sort((a, b) => b - a));
+      assert.equal(newestFirst.hasMore, false);
+    });
+
+    it('pages by fractional processing times, ties included, without gaps or duplicates', async () => {
+      const pagePrefix = `${prefix}timing-`;
+      // Values with more significant digits than a MySQL FLOAT returns, and ties across page boundaries
+      const times = [1234.5677, 1234.5677, 1234.5612, 98.765432, 1234.5699, 0.123456789, 1234.5677];
+      for (const [index, time] of times.entries()) {
+        await storage.writeOcr(record({ imageName: `${pagePrefix}${index}.png`, processingTimeMs: time }));
+      }
+
+      for (const order of ['asc', 'desc']) {
+        const seen = [];
+        let after = null;
+        for (;;) {
+          const page = await storage.getLogs({ limit: 2, filters: { filenamePrefix: pagePrefix }, sort: 'processing_time_ms', order, after });
+          seen.push(...page.logs.map(log => ({ id: log.id, time: log.processing_time_ms })));
+          if (!page.hasMore) break;
+          const last = page.logs[page.logs.length - 1];
+          after = { value: last.processing_time_ms, id: last.id };
+        }
+
+        const direction = order === 'asc' ? 1 : -1;
+        const expected = [...seen].sort((a, b) => direction * (a.time - b.time || a.id - b.id));
+        assert.equal(new Set(seen.map(log => log.id)).size, times.length, `${order}: duplicate or missing rows`);
+        assert.deepEqual(seen, expected, `${order}: rows out of order`);
+        assert.deepEqual(seen.map(log => log.time).sort((a, b) => a - b), [...times].sort((a, b) => a - b));
+      }
+    });
+
+    it('returns log rows with a text preview and length', async () => {
+      const text = 'x'.repeat(250);
+      const row = record({ imageName: `${prefix}preview.png`, extractedText: text });
+      await storage.writeOcr(row);
+
+      const { logs } = await storage.getLogs({ filters: { filenamePrefix: `${prefix}preview` } });
+      assert.equal(logs.length, 1);
+      assert.equal(logs[0].result_id, row.resultId);
+      assert.equal(logs[0].extracted_text_preview, text.slice(0, 200));
+      assert.equal(logs[0].text_length, 250);
+      assert.ok(logs[0].created_at instanceof Date);
+    });
+
+    it('returns the request details of every log row, including rows without a result', async () => {
+      const hit = record({ imageName: `${prefix}details-hit.png`, extractedText: null, processingTimeMs: null, cacheStatus: 'hit', meanConfidence: 71.5 });
+      const failed = record({
+        imageName: `${prefix}details-failed.png`, extractedText: null, processingTimeMs: null, totalTimeMs: null, metadata: null,
+        cacheStatus: null, meanConfidence: null, clientKey: null, userAgent: null, outcome: 'FILE_VALIDATION_ERROR'
+      });
+      for (const row of [hit, failed]) await storage.writeOcr(row);
+
+      const { logs } = await storage.getLogs({ filters: { filenamePrefix: `${prefix}details-` }, sort: 'image_name', order: 'asc' });
+      assert.equal(logs.length, 2);
+      const [failedLog, hitLog] = logs;
+
+      assert.equal(hitLog.request_id, hit.requestId);
+      assert.equal(hitLog.file_hash, hit.fileHash);
+      assert.equal(hitLog.cache_status, 'hit');
+      assert.equal(hitLog.mean_confidence, 71.5);
+      assert.equal(hitLog.outcome, 'success');
+      assert.equal(hitLog.client_ip, '203.0.113.7');
+      assert.equal(hitLog.client_key, 'a1b2c3d4e5f60718');
+      assert.equal(hitLog.user_agent, 'conformance-suite/1.0');
+      assert.equal(hitLog.processing_time_ms, null);
+      assert.equal(hitLog.extracted_text_preview, null);
+
+      assert.equal(failedLog.outcome, 'FILE_VALIDATION_ERROR');
+      assert.equal(failedLog.cache_status, null);
+      assert.equal(failedLog.mean_confidence, null);
+      assert.equal(failedLog.client_key, null);
+      assert.equal(failedLog.user_agent, null);
+    });
+
+    it('applies every log filter', async () => {
+      const filterPrefix = `${prefix}filter-`;
+      const png = record({ imageName: `${filterPrefix}a.png`, mimeType: 'image/png', fileSize: 100, processingTimeMs: 5 });
+      const jpeg = record({ imageName: `${filterPrefix}b.jpg`, mimeType: 'image/jpeg', fileSize: 2000, processingTimeMs: 50, cacheStatus: 'hit' });
+      const pdf = record({ imageName: `${filterPrefix}100%_c.pdf`, mimeType: 'application/pdf', fileSize: 30000, processingTimeMs: 500, cacheStatus: null, outcome: 'PDF_ERROR' });
+      for (const row of [png, jpeg, pdf]) await storage.writeOcr(row);
+
+      const names = async filters => (await storage.getLogs({ limit: 50, filters: { filenamePrefix: filterPrefix, ...filters }, sort: 'image_name', order: 'asc' }))
+        .logs.map(log => log.image_name.slice(filterPrefix.length));
+
+      assert.deepEqual(await names({}), ['100%_c.pdf', 'a.png', 'b.jpg']);
+      assert.deepEqual(await names({ mimeTypes: ['image/png', 'image/jpeg'] }), ['a.png', 'b.jpg']);
+      assert.deepEqual(await names({ minFileSize: 1000 }), ['100%_c.pdf', 'b.jpg']);
+      assert.deepEqual(await names({ maxFileSize: 2000 }), ['a.png', 'b.jpg']);
+      assert.deepEqual(await names({ minProcessingMs: 50, maxProcessingMs: 100 }), ['b.jpg']);
+      assert.deepEqual(await names({ filenamePrefix: `${filterPrefix}100%_` }), ['100%_c.pdf']);
+      assert.deepEqual(await names({ filenamePrefix: `${filterPrefix}1_0` }), []); // Wildcards match literally
+      assert.deepEqual(await names({ requestId: jpeg.requestId }), ['b.jpg']);
+      assert.deepEqual(await names({ cacheStatus: 'hit' }), ['b.jpg']);
+      assert.deepEqual(await names({ outcome: 'success' }), ['a.png', 'b.jpg']);
+      assert.deepEqual(await names({ outcome: 'error' }), ['100%_c.pdf']);
+      assert.deepEqual(await names({ outcome: 'PDF_ERROR' }), ['100%_c.pdf']);
+
+      const hour = 60 * 60 * 1000;
+      assert.equal((await names({ from: new Date(Date.now() - hour), to: new Date(Date.now() + hour) })).length, 3);
+      assert.deepEqual(await names({ from: new Date(Date.now() + hour) }), []);
+      assert.deepEqual(await names({ to: new Date(Date.now() - hour) }), []);
+    });
+
+    it('exports every matching row oldest first, with the text only on request', async () => {
+      const exportPrefix = `${prefix}export-`;
+      const rows = [1, 2, 3].map(n => record({ imageName: `${exportPrefix}${n}.png`, extractedText: `line ${n}, "quoted"\nnext` }));
+      for (const row of rows) await storage.writeOcr(row);
+      await storage.writeOcr(record({ imageName: `${exportPrefix}4.jpg`, mimeType: 'image/jpeg' }));
+
+      const exported = [];
+      for await (const row of storage.exportLogs({ filters: { filenamePrefix: exportPrefix, mimeTypes: ['image/png'] } })) {
+        exported.push(row);
+      }
+      assert.deepEqual(exported.map(row => row.result_id), rows.map(row => row.resultId));
+      assert.ok(exported.every(row => !('extracted_text' in row)));
+      assert.ok(exported[0].created_at instanceof Date);
+      assert.equal(exported[0].request_id, rows[0].requestId);
+      assert.equal(exported[0].outcome, 'success');
+
+      const withText = [];
+      for await (const row of storage.exportLogs({ filters: { filenamePrefix: exportPrefix }, includeText: true })) {
+        withText.push(row);
+      }
+      assert.equal(withText.length, 4);
+      assert.equal(withText[0].extracted_text, rows[0].extractedText);
+
+      // An abandoned export must not hold on to the database
+      const abandoned = storage.exportLogs({ filters: { filenamePrefix: exportPrefix } });
+      for await (const row of abandoned) {
+        assert.ok(row.id);
+        break;
+      }
+      assert.equal((await storage.getLogs({ filters: { filenamePrefix: exportPrefix } })).total, 4);
+    });
+
+    it('caps the page size at 50', async () => {
+      const page = await storage.getLogs({ limit: 500, filters: { filenamePrefix: prefix } });
+      assert.equal(page.limit, 50);
+    });
+
+    it('finds results by any word in natural mode, most relevant first', async () => {
+      const once = record({ extractedText: `invoice ${word('harbor')} total` });
+      const twice = record({ extractedText: `${word('harbor')} ${word('harbor')} ${word('lighthouse')}` });
+      const pdf = record({ extractedText: `${word('lighthouse')} manual`, mimeType: 'application/pdf' });
+      for (const row of [once, twice, pdf]) await storage.writeOcr(row);
+
+      const result = await storage.search(`${word('harbor')} ${word('lighthouse')}`, { mode: 'natural' });
+      assert.equal(result.total, 3);
+      assert.equal(result.rows[0].result_id, twice.resultId);
+      assert.ok(result.rows.every(row => row.relevance > 0));
+      assert.ok(result.rows[0].relevance >= result.rows[1].relevance);
+      assert.equal(result.rows[0].extracted_text, twice.extractedText);
+
+      const images = await storage.search(word('lighthouse'), { mimeTypes: ['image/png'] });
+      assert.deepEqual(images.rows.map(row => row.result_id), [twice.resultId]);
+
+      const page = await storage.search(`${word('harbor')} ${word('lighthouse')}`, { limit: 1, offset: 1 });
+      assert.equal(page.rows.length, 1);
+      assert.equal(page.total, 3);
+      assert.equal(page.offset, 1);
+    });
+
+    it('supports required, excluded, phrase and prefix terms in boolean mode', async () => {
+      const red = record({ extractedText: `${word('red')} ${word('apple')} pie` });
+      const green = record({ extractedText: `${word('green')} ${word('apple')} tart` });
+      const prefixed = record({ extractedText: `${word('pine')}cone forest` });
+      for (const row of [red, green, prefixed]) await storage.writeOcr(row);
+
+      const ids = async query => (await storage.search(query, { mode: 'boolean' })).rows.map(row => row.result_id).sort();
+
+      assert.deepEqual(await ids(`+${word('apple')} -${word('green')}`), [red.resultId]);
+      assert.deepEqual(await ids(`+${word('apple')} +${word('green')}`), [green.resultId]);
+      assert.deepEqual(await ids(`"${word('green')} ${word('apple')}"`), [green.resultId]);
+      assert.deepEqual(await ids(`"${word('apple')} ${word('green')}"`), []);
+      assert.deepEqual(await ids(`${word('pine')}*`), [prefixed.resultId]);
+      assert.deepEqual(await ids(`-${word('apple')}`), []);
+    });
+
+    it('aggregates usage statistics', async () => {
+      const statsPrefix = `${prefix}stats-`;
+      const rows = [
+        ...[10, 20, 30, 40, 50, 60, 70, 80, 90, 100].map((processingTimeMs, i) => record({
+          imageName: `${statsPrefix}${i}.png`, processingTimeMs, fileSize: 50 * 1024, cacheStatus: 'miss'
+        })),
+        record({ imageName: `${statsPrefix}hit.jpg`, mimeType: 'image/jpeg', fileSize: 2 * 1024 * 1024, processingTimeMs: null, cacheStatus: 'hit' }),
+        record({ imageName: `${statsPrefix}hit2.jpg`, mimeType: 'image/jpeg', fileSize: 2 * 1024 * 1024, processingTimeMs: null, cacheStatus: 'hit' }),
+        record({ imageName: `${statsPrefix}bad.pdf`, mimeType: 'application/pdf', fileSize: 6 * 1024 * 1024, processingTimeMs: null, cacheStatus: null, outcome: 'PDF_ERROR' })
+      ];
+      for (const row of rows) await storage.writeOcr(row);
+
+      const result = await storage.stats({ filters: { filenamePrefix: statsPrefix }, intervalSeconds: 3600 });
+
+      // Nearest rank: p50 is the 5th of 10 samples, p90 the 9th, p99 the 10th
+      assert.deepEqual(result.processingTime, { samples: 10, p50: 50, p90: 90, p99: 100 });
+
+      assert.equal(result.timeline.reduce((sum, period) => sum + period.requests, 0), 13);
+      assert.equal(result.timeline.reduce((sum, period) => sum + period.errors, 0), 1);
+      assert.equal(result.timeline.reduce((sum, period) => sum + period.cacheHits, 0), 2);
+      assert.equal(result.timeline.reduce((sum, period) => sum + period.cacheLookups, 0), 12);
+      for (const { period } of result.timeline) {
+        assert.equal(period % 3600, 0);
+        assert.ok(Math.abs(period * 1000 - Date.now()) < 2 * 3600 * 1000);
+      }
+
+      assert.deepEqual(result.mimeTypes.map(({ mimeType, requests, errors }) => ({ mimeType, requests, errors })), [
+        { mimeType: 'image/png', requests: 10, errors: 0 },
+        { mimeType: 'image/jpeg', requests: 2, errors: 0 },
+        { mimeType: 'application/pdf', requests: 1, errors: 1 }
+      ]);
+      assert.equal(result.mimeTypes[0].avgProcessingMs, 55);
+
+      assert.deepEqual(result.fileSizes.map(({ bucket, requests }) => ({ bucket, requests })), [
+        { bucket: '<100KB', requests: 10 },
+        { bucket: '100KB-1MB', requests: 0 },
+        { bucket: '1MB-5MB', requests: 2 },
+        { bucket: '>=5MB', requests: 1 }
+      ]);
+      assert.deepEqual(result.errors, [{ errorCode: 'PDF_ERROR', count: 1 }]);
+
+      const daily = await storage.stats({ filters: { filenamePrefix: statsPrefix }, intervalSeconds: 86400 });
+      assert.ok(daily.timeline.every(({ period }) => period % 86400 === 0));
+
+      const empty = await storage.stats({ filters: { filenamePrefix: statsPrefix, from: new Date(Date.now() + 3600 * 1000) } });
+      assert.deepEqual(empty.timeline, []);
+      assert.deepEqual(empty.processingTime, { samples: 0, p50: null, p90: null, p99: null });
+      assert.ok(empty.fileSizes.every(bucket => bucket.requests === 0));
+    });
+
+    it('drops old text and then old rows in batches, keeping newer rows', async () => {
+      // Dated long before any real data, so a shared database loses nothing else
+      const older = record({
+        imageName: `${prefix}retention-older.png`, extractedText: `${word('expired')} text`, createdAt: new Date('1971-01-01T00:00:00Z'),
+        metadata: { confidence: 80, regions: [{ name: 'total', text: 'secret' }] }
+      });
+      const old = record({ imageName: `${prefix}retention-old.png`, createdAt: new Date('1971-06-01T00:00:00Z') });
+      const recent = record({ imageName: `${prefix}retention-recent.png` });
+      for (const row of [older, old, recent]) await storage.writeOcr(row);
+
+      const textBefore = new Date('1972-01-01T00:00:00Z');
+      assert.equal(await storage.expireText(textBefore, 1), 1);
+      assert.equal(await storage.expireText(textBefore, 1000), 1);
+      assert.equal(await storage.expireText(textBefore, 1000), 0);
+
+      const expired = await storage.getResult(older.resultId);
+      assert.equal(expired.extracted_text, null);
+      assert.deepEqual(expired.result_metadata, { confidence: 80 });
+      assert.equal(expired.file_size, 1000);
+      assert.equal(expired.processing_time_ms, 10.5);
+      assert.equal((await storage.search(word('expired'))).total, 0);
+      assert.equal((await storage.getResult(recent.resultId)).extracted_text, recent.extractedText);
+
+      assert.equal(await storage.expireRows(new Date('1971-03-01T00:00:00Z'), 1000), 1);
+      assert.equal(await storage.getResult(older.resultId), null);
+      assert.ok(await storage.getResult(old.resultId));
+      assert.equal(await storage.expireRows(textBefore, 1000), 1);
+      assert.equal(await storage.getResult(old.resultId), null);
+      assert.ok(await storage.getResult(recent.resultId));
+    });
+
+    it('erases every row for one file', async () => {
+      const fileHash = crypto.createHash('sha256').update(`erase-${run}`).digest('hex');
+      const stored = record({ imageName: `${prefix}erase-miss.png`, fileHash, extractedText: `${word('forgotten')} text` });
+      const hit = record({ imageName: `${prefix}erase-hit.png`, fileHash, resultId: null, extractedText: null, cacheStatus: 'hit' });
+      const failed = record({ imageName: `${prefix}erase-failed.png`, fileHash, resultId: null, extractedText: null, outcome: 'OCR_ERROR' });
+      const other = record({ imageName: `${prefix}erase-other.png` });
+      for (const row of [stored, hit, failed, other]) await storage.writeOcr(row);
+
+      assert.deepEqual(await storage.eraseFile(fileHash), { rowsDeleted: 3, resultIds: [stored.resultId] });
+      assert.equal((await storage.getLogs({ filters: { filenamePrefix: `${prefix}erase-` } })).total, 1);
+      assert.equal((await storage.search(word('forgotten'))).total, 0);
+      assert.deepEqual(await storage.eraseFile(fileHash), { rowsDeleted: 0, resultIds: [] });
+    });
+
+    it('stores PDFs by result id until they expire', async () => {
+      const pdf = (overrides = {}) => ({
+        resultId: `ocr_${crypto.randomUUID()}`,
+        filename: `${prefix}scan.pdf`,
+        pages: 2,
+        language: 'eng',
+        fileHashes: [crypto.randomBytes(32).toString('hex'), crypto.randomBytes(32).toString('hex')],
+        content: Buffer.from(`%PDF-1.7 ${run}`),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        ...overrides
+      });
+      const current = pdf();
+      const expired = pdf({ expiresAt: new Date('1971-01-01T00:00:00Z') });
+      await storage.storePdf(current);
+      await storage.storePdf(expired);
+
+      const stored = await storage.getPdf(current.resultId, new Date());
+      assert.equal(stored.result_id, current.resultId);
+      assert.equal(stored.filename, current.filename);
+      assert.equal(stored.pages, 2);
+      assert.equal(stored.language, 'eng');
+      assert.deepEqual(stored.file_hashes, current.fileHashes);
+      assert.ok(Buffer.isBuffer(stored.content));
+      assert.ok(stored.content.equals(current.content));
+      assert.equal(stored.size, current.content.length);
+      assert.ok(stored.created_at instanceof Date);
+      assert.ok(Math.abs(stored.expires_at.getTime() - current.expiresAt.getTime()) < 1000);
+
+      assert.equal(await storage.getPdf(expired.resultId, new Date()), null);
+      assert.equal(await storage.getPdf(`ocr_${crypto.randomUUID()}`, new Date()), null);
+
+      // Dated long before any real PDF, so a shared database loses nothing else
+      assert.equal(await storage.expirePdfs(new Date('1972-01-01T00:00:00Z'), 1000), 1);
+      assert.ok(await storage.getPdf(current.resultId, new Date()));
+
+      // Erasing any page's file removes the whole PDF
+      assert.deepEqual(await storage.erasePdfs(current.fileHashes[1]), [current.resultId]);
+      assert.deepEqual(await storage.erasePdfs(current.fileHashes[1]), []);
+      assert.equal(await storage.getPdf(current.resultId, new Date()), null);
+    });
+
+    it('deletes a result and drops it from logs and search', async () => {
+      const row = record({ imageName: `${prefix}delete.png`, extractedText: `${word('ephemeral')} note` });
+      await storage.writeOcr(row);
+
+      assert.deepEqual(await storage.deleteResult(row.resultId), { resultId: row.resultId, fileHash: row.fileHash });
+      assert.equal(await storage.deleteResult(row.resultId), null);
+      assert.equal(await storage.getResult(row.resultId), null);
+      assert.equal((await storage.getLogs({ filters: { filenamePrefix: `${prefix}delete` } })).total, 0);
+      assert.equal((await storage.search(word('ephemeral'))).total, 0);
+    });
+
+    it('describes itself for GET /', () => {
+      assert.equal(storage.info().backend, backend.name);
+    });
+  });
+}
@@ -1,9 +1,14 @@
 import os
+import json
+import hashlib
+from concurrent.futures import ThreadPoolExecutor
+import time
 import requests
 import pytest
 
 SAMPLE_DIR = os.path.abspath(os.path.join(os.path.dirname(__file__), '../../sample_files'))
-OCR_URL = "http://localhost:8080/ocr"
+BASE_URL = "http://localhost:8080"
+OCR_URL = f"{BASE_URL}/ocr"
 
 # List all sample files
 sample_files = [f for f in os.listdir(SAMPLE_DIR) if os.path.isfile(os.path.join(SAMPLE_DIR, f))]
@@ -19,6 +24,385 @@ def test_server_response():
         # Fail if no response
         assert False, f"No response from server: {e}"
 
+def test_languages_endpoint():
+    """Test that /languages lists installed traineddata including the default language."""
+    response = requests.get(f"{BASE_URL}/languages", timeout=5)
+    assert response.status_code == 200
+    data = response.json()
+    assert data["success"] is True
+    assert data["default"] in data["languages"]
+
+def test_ocr_rejects_uninstalled_language():
+    """Test that requesting a language without traineddata returns a 400 validation error."""
+    filepath = os.path.join(SAMPLE_DIR, "brain_buffering.jpeg")
+    with open(filepath, "rb") as f:
+        files = {"image": ("brain_buffering.jpeg", f)}
+        response = requests.post(OCR_URL, files=files, data={"lang": "xyz"}, timeout=30)
+    assert response.status_code == 400
+    data = response.json()
+    assert data["code"] == "VALIDATION_ERROR"
+    assert data["field"] == "lang"
+
+@pytest.mark.parametrize("output,content_type,extension", [
+    ("text", "text/plain", ".txt"),
+    ("hocr", "text/vnd.hocr+html", ".hocr"),
+    ("alto", "application/alto+xml", ".alto.xml"),
+    ("tsv", "text/tab-separated-values", ".tsv"),
+])
+def test_ocr_output_formats(output, content_type, extension):
+    """Test that each output format is returned with its content type and download filename."""
+    with open(os.path.join(SAMPLE_DIR, "weasley.webp"), "rb") as f:
+        files = {"image": ("weasley.webp", f)}
+        response = requests.post(OCR_URL, files=files, data={"output": output}, timeout=30)
+    assert response.status_code == 200
+    assert response.headers["Content-Type"].startswith(content_type)
+    assert f'filename="weasley{extension}"' in response.headers["Content-Disposition"]
+    assert "weasley" in response.text.lower()
+
+def test_ocr_pdf_merges_pages_and_stores_result():
+    """Test that /ocr/pdf returns one PDF for several images and can store it for later download."""
+    if not requests.get(f"{BASE_URL}/", timeout=5).json()["database"]["connected"]:
+        pytest.skip("Stored PDFs need a database connection")
+
+    with open(os.path.join(SAMPLE_DIR, "weasley.webp"), "rb") as f1, \
+            open(os.path.join(SAMPLE_DIR, "brain_buffering.jpeg"), "rb") as f2:
+        files = [("images[]", ("weasley.webp", f1)), ("images[]", ("brain_buffering.jpeg", f2))]
+        response = requests.post(f"{OCR_URL}/pdf", files=files, data={"store": "true"}, timeout=60)
+    assert response.status_code == 200
+    assert response.headers["Content-Type"] == "application/pdf"
+    assert response.headers["X-OCR-Pages"] == "2"
+    assert response.content.startswith(b"%PDF")
+    assert response.headers["X-OCR-Result-Id"].startswith("ocr_")
+    assert response.headers["Location"] == f"/ocr/pdf/{response.headers['X-OCR-Result-Id']}"
+
+    stored = requests.get(f"{BASE_URL}{response.headers['Location']}", timeout=10)
+    assert stored.status_code == 200
+    assert stored.content == response.content
+    assert stored.headers["X-OCR-Expires"] == response.headers["X-OCR-Expires"]
+
+def test_ocr_preprocessing_reports_steps():
+    """Test that a preprocessing profile runs its steps and reports their timing."""
+    with open(os.path.join(SAMPLE_DIR, "brain_buffering.jpeg"), "rb") as f:
+        response = requests.post(OCR_URL, files={"image": f}, data={"preprocess": "scan"}, timeout=60)
+    assert response.status_code == 200
+    preprocessing = response.json()["preprocessing"]
+    assert preprocessing["profile"] == "scan"
+    assert [step["step"] for step in preprocessing["steps"]] == ["grayscale", "deskew", "binarize"]
+    assert all(step["durationMs"] >= 0 for step in preprocessing["steps"])
+
+def test_ocr_rejects_unknown_preprocessing_step():
+    """Test that an unknown preprocessing step is a validation error."""
+    with open(os.path.join(SAMPLE_DIR, "brain_buffering.jpeg"), "rb") as f:
+        response = requests.post(OCR_URL, files={"image": f}, data={"preprocess": "grayscale,sharpen"}, timeout=10)
+    assert response.status_code == 400
+    assert response.json()["field"] == "preprocess"
+
+def test_ocr_regions_are_recognized_separately():
+    """Test that named regions (pixel and percentage) come back as separate results."""
+    regions = [
+        {"name": "headline", "left": 0, "top": 0, "width": 590, "height": 130},
+        {"name": "caption", "left": 0, "top": 85, "width": 100, "height": 15, "unit": "%"},
+    ]
+    with open(os.path.join(SAMPLE_DIR, "brain_buffering.jpeg"), "rb") as f:
+        response = requests.post(OCR_URL, files={"image": f}, data={"regions": json.dumps(regions)}, timeout=60)
+    assert response.status_code == 200
+    data = response.json()
+    assert list(data["regions"]) == ["headline", "caption"]
+    assert "meditate" in data["regions"]["headline"]["text"]
+    assert "buffering" in data["regions"]["caption"]["text"]
+    assert data["regions"]["caption"]["bbox"]["top"] > 0
+
+def test_ocr_rejects_out_of_bounds_region():
+    """Test that a region outside the image is a file validation error naming the region."""
+    regions = [{"name": "total", "left": 500, "top": 500, "width": 200, "height": 40}]
+    with open(os.path.join(SAMPLE_DIR, "brain_buffering.jpeg"), "rb") as f:
+        response = requests.post(OCR_URL, files={"image": f}, data={"regions": json.dumps(regions)}, timeout=10)
+    assert response.status_code == 400
+    data = response.json()
+    assert data["code"] == "FILE_VALIDATION_ERROR"
+    assert data["details"]["region"] == "total"
+
+def test_ocr_pdf_input_returns_per_page_text():
+    """Test that a multi-page PDF upload is OCRed page by page with a combined text."""
+    with open(os.path.join(SAMPLE_DIR, "weasley.webp"), "rb") as f1, \
+            open(os.path.join(SAMPLE_DIR, "brain_buffering.jpeg"), "rb") as f2:
+        files = [("images[]", ("weasley.webp", f1)), ("images[]", ("brain_buffering.jpeg", f2))]
+        pdf = requests.post(f"{OCR_URL}/pdf", files=files, timeout=60)
+    assert pdf.status_code == 200
+
+    response = requests.post(OCR_URL, files={"image": ("scan.pdf", pdf.content, "application/pdf")}, timeout=120)
+    assert response.status_code == 200
+    data = response.json()
+    assert data["documentType"] == "pdf"
+    assert data["pageCount"] == 2
+    assert [page["page"] for page in data["pages"]] == [1, 2]
+    assert data["extractedText"] == "\n\n".join(page["text"] for page in data["pages"])
+
+def test_repeat_upload_is_served_from_cache():
+    """Test that a repeated upload is a cache hit even without Redis (in-process memory tier)."""
+    def upload():
+        with open(os.path.join(SAMPLE_DIR, "weasley.webp"), "rb") as f:
+            files = {"image": ("weasley.webp", f)}
+            return requests.post(OCR_URL, files=files, data={"lang": "eng"}, timeout=30)
+
+    assert upload().status_code == 200
+    response = upload()
+    assert response.status_code == 200
+    data = response.json()
+    assert data["fromCache"] is True
+    assert data["cacheTier"] in ("memory", "redis")
+
+    tiers = requests.get(f"{BASE_URL}/", timeout=5).json()["cache"]["tiers"]
+    for tier in ("memory", "redis"):
+        assert {"hits", "misses", "evictions"} <= set(tiers[tier])
+    assert tiers["memory"]["hits"] + tiers["redis"]["hits"] >= 1
+
+def test_admin_cache_inspect_and_evict():
+    """Test that a cached result can be inspected and evicted by the file's SHA-256."""
+    filepath = os.path.join(SAMPLE_DIR, "weasley.webp")
+    with open(filepath, "rb") as f:
+        content_hash = hashlib.sha256(f.read()).hexdigest()
+    with open(filepath, "rb") as f:
+        assert requests.post(OCR_URL, files={"image": ("weasley.webp", f)}, timeout=30).status_code == 200
+
+    response = requests.get(f"{BASE_URL}/admin/cache/{content_hash}", timeout=5)
+    assert response.status_code == 200
+    entries = response.json()["entries"]
+    assert all(entry["key"].startswith("ocr:") and content_hash in entry["key"] for entry in entries)
+
+    response = requests.delete(f"{BASE_URL}/admin/cache/{content_hash}", timeout=5)
+    assert response.status_code == 200
+    assert len(response.json()["keys"]) == len(entries)
+    assert requests.get(f"{BASE_URL}/admin/cache/{content_hash}", timeout=5).status_code == 404
+
+    stats = requests.get(f"{BASE_URL}/admin/cache/stats", timeout=5).json()
+    assert {"hitRatio", "tiers"} <= set(stats)
+    assert {"keys", "memoryBytes", "avgLookupTimeMs"} <= set(stats["tiers"]["memory"])
+
+def test_concurrent_identical_uploads_are_coalesced():
+    """Test that identical uploads arriving together share one recognition."""
+    # Start from an empty cache so every request misses
+    assert requests.post(f"{BASE_URL}/admin/cache/flush", timeout=5).status_code == 200
+
+    def upload(index):
+        with open(os.path.join(SAMPLE_DIR, "weasley.webp"), "rb") as f:
+            files = {"image": (f"weasley_{index}.webp", f)}
+            return requests.post(OCR_URL, files=files, timeout=60)
+
+    with ThreadPoolExecutor(max_workers=4) as executor:
+        responses = list(executor.map(upload, range(4)))
+
+    results = [response.json() for response in responses]
+    assert all(response.status_code == 200 for response in responses)
+    assert len({result["extractedText"] for result in results}) == 1
+    assert [result["filename"] for result in results] == [f"weasley_{index}.webp" for index in range(4)]
+    # Exactly one request recognized the image; the rest waited for it or hit the cache it filled
+    assert sum(1 for result in results if result.get("coalesced") is False) == 1
+
+def test_ocr_batch_reports_per_file_results():
+    """Test that /ocr/batch returns one entry per file and a bad file doesn't fail the batch."""
+    with open(os.path.join(SAMPLE_DIR, "weasley.webp"), "rb") as f:
+        files = [
+            ("images[]", ("weasley.webp", f.read())),
+            ("images[]", ("not_an_image.png", b"definitely not a png")),
+        ]
+    response = requests.post(f"{OCR_URL}/batch", files=files, timeout=60)
+    assert response.status_code == 200
+    data = response.json()
+    assert data["batchId"].startswith("batch_")
+    assert data["total"] == 2
+    assert [r["index"] for r in data["results"]] == [0, 1]
+    assert data["results"][0]["success"] is True
+    assert data["results"][1]["success"] is False
+    assert data["results"][1]["error"]["code"] == "FILE_VALIDATION_ERROR"
+
+def test_ocr_job_lifecycle():
+    """Test that /ocr/jobs returns 202 and the job can be polled until it succeeds."""
+    filepath = os.path.join(SAMPLE_DIR, "weasley.webp")
+    with open(filepath, "rb") as f:
+        files = {"image": ("weasley.webp", f)}
+        response = requests.post(f"{OCR_URL}/jobs", files=files, timeout=30)
+    assert response.status_code == 202
+    job = response.json()
+    assert job["status"] in ("queued", "running")
+    assert response.headers["Location"] == job["statusUrl"]
+
+    deadline = time.time() + 60
+    while job["status"] in ("queued", "running") and time.time() < deadline:
+        time.sleep(0.5)
+        job = requests.get(f"{BASE_URL}{job['statusUrl']}", timeout=5).json()
+
+    assert job["status"] == "succeeded", f"Job did not succeed: {job}"
+    assert "weasley" in job["result"]["extractedText"].lower()
+
+def test_unknown_job_returns_404():
+    """Test that polling an unknown job id returns 404."""
+    response = requests.get(f"{OCR_URL}/jobs/job_does_not_exist", timeout=5)
+    assert response.status_code == 404
+    assert response.json()["code"] == "NOT_FOUND"
+
+def test_stored_result_can_be_fetched_and_deleted():
+    """Test that the resultId of an OCR response retrieves the stored result until it is deleted."""
+    if not requests.get(f"{BASE_URL}/", timeout=5).json()["database"]["connected"]:
+        pytest.skip("OCR results are only stored with a database connection")
+
+    filepath = os.path.join(SAMPLE_DIR, "weasley.webp")
+    with open(filepath, "rb") as f:
+        content_hash = hashlib.sha256(f.read()).hexdigest()
+    with open(filepath, "rb") as f:
+        data = requests.post(OCR_URL, files={"image": ("weasley.webp", f)}, timeout=30).json()
+    assert data["resultId"].startswith("ocr_")
+
+    response = requests.get(f"{OCR_URL}/results/{data['resultId']}", timeout=5)
+    assert response.status_code == 200
+    result = response.json()["result"]
+    assert result["extractedText"] == data["extractedText"]
+    assert result["fileHash"] == content_hash
+    assert result["language"] == "eng"
+    assert {"ocrTimeMs", "processingTimeMs"} <= set(result["timings"])
+
+    assert requests.delete(f"{OCR_URL}/results/{data['resultId']}", timeout=5).status_code == 200
+    assert requests.get(f"{OCR_URL}/results/{data['resultId']}", timeout=5).status_code == 404
+
+def test_search_finds_text_with_highlighted_snippets():
+    """Test that /ocr/search finds a processed image by a word of its text and highlights it."""
+    if not requests.get(f"{BASE_URL}/", timeout=5).json()["database"]["connected"]:
+        pytest.skip("Search needs a database connection")
+
+    with open(os.path.join(SAMPLE_DIR, "weasley.webp"), "rb") as f:
+        data = requests.post(OCR_URL, files={"image": ("weasley.webp", f)}, timeout=30).json()
+
+    response = requests.get(f"{OCR_URL}/search", params={"q": "+weasley", "mode": "boolean", "mime_type": "image/webp"}, timeout=5)
+    assert response.status_code == 200
+    body = response.json()
+    assert {"data", "total", "limit", "offset"} <= set(body)
+    assert body["total"] >= 1
+    assert all(row["mime_type"] == "image/webp" for row in body["data"])
+    assert any("<mark>" in snippet for snippet in body["data"][0]["snippets"])
+
+    assert requests.get(f"{OCR_URL}/search", timeout=5).status_code == 400
+    assert requests.get(f"{OCR_URL}/search", params={"q": "weasley", "from": "not-a-date"}, timeout=5).status_code == 400
+
+def test_logs_cursor_pagination_and_filters():
+    """Test that /logs pages through history with nextCursor and validates its parameters."""
+    if not requests.get(f"{BASE_URL}/", timeout=5).json()["database"]["connected"]:
+        pytest.skip("Logs need a database connection")
+
+    seen = []
+    page = requests.get(f"{BASE_URL}/logs", params={"limit": 2, "sort": "file_size", "order": "asc"}, timeout=5).json()
+    for _ in range(3):
+        seen.extend(row["id"] for row in page["data"])
+        if not page["nextCursor"]:
+            break
+        page = requests.get(f"{BASE_URL}/logs", params={"limit": 2, "sort": "file_size", "order": "asc", "cursor": page["nextCursor"]}, timeout=5).json()
+    assert len(seen) == len(set(seen))
+
+    response = requests.get(f"{BASE_URL}/logs", params={"mime_type": "image/webp", "max_file_size": 10_000_000}, timeout=5)
+    assert response.status_code == 200
+    assert all(row["mime_type"] == "image/webp" for row in response.json()["data"])
+
+    assert requests.get(f"{BASE_URL}/logs", params={"sort": "extracted_text"}, timeout=5).status_code == 400
+    assert requests.get(f"{BASE_URL}/logs", params={"cursor": "not-a-cursor"}, timeout=5).status_code == 400
+
+def test_logs_record_cache_hits_and_failures():
+    """Test that cache hits and failed uploads get a log row with their cache status and outcome."""
+    if not requests.get(f"{BASE_URL}/", timeout=5).json()["database"]["connected"]:
+        pytest.skip("Logs need a database connection")
+
+    def upload():
+        with open(os.path.join(SAMPLE_DIR, "weasley.webp"), "rb") as f:
+            return requests.post(OCR_URL, files={"image": ("weasley.webp", f)}, headers={"X-API-Key": "test-key"}, timeout=30)
+
+    upload()
+    assert upload().json()["fromCache"] is True
+    hit = requests.get(f"{BASE_URL}/logs", params={"cache_status": "hit", "limit": 1}, timeout=5).json()["data"][0]
+    assert hit["image_name"] == "weasley.webp"
+    assert hit["outcome"] == "success"
+    assert hit["request_id"].startswith("req_")
+    assert hit["client_key"] == hashlib.sha256(b"test-key").hexdigest()[:16]
+
+    files = {"image": ("broken.png", b"not an image" * 20, "image/png")}
+    assert requests.post(OCR_URL, files=files, timeout=30).status_code == 400
+    failed = requests.get(f"{BASE_URL}/logs", params={"outcome": "error", "limit": 1}, timeout=5).json()["data"][0]
+    assert failed["image_name"] == "broken.png"
+    assert failed["outcome"] == "FILE_VALIDATION_ERROR"
+
+    assert requests.get(f"{BASE_URL}/logs", params={"cache_status": "sometimes"}, timeout=5).status_code == 400
+
+def test_stats_aggregates_logs():
+    """Test that /stats reports totals, percentiles and breakdowns for a range, and validates its parameters."""
+    if not requests.get(f"{BASE_URL}/", timeout=5).json()["database"]["connected"]:
+        pytest.skip("Stats need a database connection")
+
+    with open(os.path.join(SAMPLE_DIR, "weasley.webp"), "rb") as f:
+        assert requests.post(OCR_URL, files={"image": ("weasley.webp", f)}, timeout=30).status_code == 200
+
+    params = {"from": time.strftime("%Y-%m-%d", time.gmtime()), "interval": "hour"}
+    body = requests.get(f"{BASE_URL}/stats", params=params, timeout=10).json()
+    assert body["success"] is True
+    assert body["totals"]["requests"] >= 1
+    assert sum(period["requests"] for period in body["timeline"]) == body["totals"]["requests"]
+    assert [bucket["bucket"] for bucket in body["fileSizes"]] == ["<100KB", "100KB-1MB", "1MB-5MB", ">=5MB"]
+    assert any(row["mimeType"] == "image/webp" for row in body["mimeTypes"])
+    assert {"samples", "p50", "p90", "p99"} <= set(body["processingTimeMs"])
+    assert requests.get(f"{BASE_URL}/stats", params=params, timeout=10).json()["cached"] is True
+
+    assert requests.get(f"{BASE_URL}/stats", params={"interval": "week"}, timeout=5).status_code == 400
+    assert requests.get(f"{BASE_URL}/stats", params={"from": "2000-01-01", "interval": "hour"}, timeout=5).status_code == 400
+
+def test_logs_export_csv_and_ndjson():
+    """Test that /logs/export streams filtered logs as CSV or NDJSON, with the text column only on request."""
+    if not requests.get(f"{BASE_URL}/", timeout=5).json()["database"]["connected"]:
+        pytest.skip("Export needs a database connection")
+
+    with open(os.path.join(SAMPLE_DIR, "weasley.webp"), "rb") as f:
+        assert requests.post(OCR_URL, files={"image": ("weasley.webp", f)}, timeout=30).status_code == 200
+
+    response = requests.get(f"{BASE_URL}/logs/export", params={"mime_type": "image/webp"}, timeout=30)
+    assert response.status_code == 200
+    assert response.headers["Content-Type"].startswith("text/csv")
+    assert response.headers["Content-Disposition"].startswith("attachment;")
+    lines = response.text.splitlines()
+    assert lines[0].startswith("id,created_at,result_id,request_id")
+    assert "extracted_text" not in lines[0]
+    assert len(lines) >= 2
+
+    response = requests.get(f"{BASE_URL}/logs/export", params={"format": "ndjson", "include_text": "true", "mime_type": "image/webp"}, timeout=30)
+    assert response.status_code == 200
+    assert response.headers["Content-Type"].startswith("application/x-ndjson")
+    rows = [json.loads(line) for line in response.text.splitlines()]
+    assert all(row["mime_type"] == "image/webp" and "extracted_text" in row for row in rows)
+    assert [row["id"] for row in rows] == sorted(row["id"] for row in rows)
+
+    assert requests.get(f"{BASE_URL}/logs/export", params={"format": "xlsx"}, timeout=5).status_code == 400
+    assert requests.get(f"{BASE_URL}/logs/export", params={"include_text": "maybe"}, timeout=5).status_code == 400
+
+def test_admin_erasure_removes_logs_and_cache():
+    """Test that erasing by result id removes every log row and cached result of the file and reports them."""
+    if not requests.get(f"{BASE_URL}/", timeout=5).json()["database"]["connected"]:
+        pytest.skip("Erasure needs a database connection")
+
+    filepath = os.path.join(SAMPLE_DIR, "weasley.webp")
+    with open(filepath, "rb") as f:
+        content_hash = hashlib.sha256(f.read()).hexdigest()
+    requests.delete(f"{BASE_URL}/admin/data/{content_hash}", timeout=10)
+    for _ in range(2):
+        with open(filepath, "rb") as f:
+            data = requests.post(OCR_URL, files={"image": ("weasley.webp", f)}, timeout=30).json()
+
+    response = requests.delete(f"{BASE_URL}/admin/data/{data['resultId']}", timeout=10)
+    assert response.status_code == 200
+    report = response.json()
+    assert report["fileHash"] == content_hash
+    assert report["database"]["rowsDeleted"] == 2
+    assert report["database"]["resultIds"] == [data["resultId"]]
+    assert len(report["cache"]["keys"]) >= 1
+
+    assert requests.get(f"{OCR_URL}/results/{data['resultId']}", timeout=5).status_code == 404
+    assert requests.get(f"{BASE_URL}/admin/cache/{content_hash}", timeout=5).status_code == 404
+    assert requests.delete(f"{BASE_URL}/admin/data/{data['resultId']}", timeout=5).status_code == 404
+    assert requests.delete(f"{BASE_URL}/admin/data/not-an-id", timeout=5).status_code == 400
+
 @pytest.mark.parametrize("filename", sample_files)
 def test_ocr_file(filename):
     """
@@ -0,0 +1,181 @@
+/**
+ * Worker pool tests - pool lifecycle against stand-in Tesseract workers and schedulers
+ *
+ * Recognition jobs stay pending until a test finishes them, so queueing, crashes and idle
+ * shutdown can be driven step by step without loading any traineddata.
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const Tesseract = require('tesseract.js');
+const workerPool = require('../services/workerPool');
+const { DEFAULT_LANGUAGE } = require('../utils/languages');
+const { RateLimitError, TesseractError } = require('../utils/errors');
+
+// Every scheduler the pool created, in order
+let schedulers;
+
+function fakeWorker(lang) {
+  const worker = {
+    lang,
+    worker: new EventEmitter(),
+    terminated: false,
+    terminate: async () => { worker.terminated = true; }
+  };
+  return worker;
+}
+
+function fakeScheduler() {
+  const scheduler = {
+    workers: [],
+    jobs: [],
+    terminated: false,
+    get lang() { return this.workers[0] && this.workers[0].lang; },
+    addWorker(worker) { scheduler.workers.push(worker); },
+    addJob(action, image) {
+      return new Promise((resolve, reject) => scheduler.jobs.push({ image, resolve, reject }));
+    },
+    getQueueLen: () => Math.max(0, scheduler.jobs.length - scheduler.workers.length),
+    terminate: async () => {
+      scheduler.terminated = true;
+      scheduler.workers.forEach(worker => { worker.terminated = true; });
+    }
+  };
+  schedulers.push(scheduler);
+  return scheduler;
+}
+
+// Finish the oldest job of a scheduler
+function finish(scheduler, text = 'text') {
+  scheduler.jobs.shift().resolve({ data: { text } });
+}
+
+// Latest scheduler for a language
+const schedulerFor = lang => schedulers.filter(scheduler => scheduler.lang === lang).pop();
+
+// Wait until a condition holds, letting the pool's promise chains run in between
+async function until(condition) {
+  for (let i = 0; i < 1000; i++) {
+    if (condition()) return;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  assert.fail('condition never held');
+}
+
+describe('Tesseract worker pool', () => {
+  const defaults = { ...workerPool.poolConfig };
+
+  beforeEach(() => {
+    schedulers = [];
+    Object.assign(workerPool.poolConfig, { size: 1, maxQueue: 2, idleTimeoutMs: 60000, maxLanguages: 3 });
+    mock.method(Tesseract, 'createWorker', async lang => fakeWorker(lang));
+    mock.method(Tesseract, 'createScheduler', fakeScheduler);
+    mock.method(console, 'log', () => {}); // Pool lifecycle messages
+  });
+
+  afterEach(async () => {
+    await workerPool.closeWorkerPool();
+    Object.assign(workerPool.poolConfig, defaults);
+    mock.restoreAll();
+  });
+
+  it('runs jobs on a long-lived pool per language and reports them', async () => {
+    const first = workerPool.recognize('a.png', 'deu');
+    await until(() => schedulerFor('deu') && schedulerFor('deu').jobs.length === 1);
+    finish(schedulerFor('deu'), 'erste');
+    assert.equal((await first).data.text, 'erste');
+
+    const second = workerPool.recognize('b.png', 'deu');
+    await until(() => schedulerFor('deu').jobs.length === 1);
+    finish(schedulerFor('deu'), 'zweite');
+    assert.equal((await second).data.text, 'zweite');
+
+    assert.equal(schedulers.length, 1);
+    const status = workerPool.getWorkerPoolStatus();
+    assert.equal(status.languages.deu.completed, 2);
+    assert.equal(status.languages.deu.workers, 1);
+  });
+
+  it('refuses jobs with 429 once maxQueue jobs are waiting', async () => {
+    const running = [1, 2, 3].map(n => workerPool.recognize(`${n}.png`, 'deu'));
+    await until(() => schedulerFor('deu') && schedulerFor('deu').jobs.length === 3);
+
+    await assert.rejects(workerPool.recognize('4.png', 'deu'), RateLimitError);
+
+    // Other languages have their own queue
+    const other = workerPool.recognize('5.png', 'fra');
+    await until(() => schedulerFor('fra') && schedulerFor('fra').jobs.length === 1);
+    finish(schedulerFor('fra'));
+    await other;
+
+    [1, 2, 3].forEach(() => finish(schedulerFor('deu')));
+    await Promise.all(running);
+    const next = workerPool.recognize('6.png', 'deu');
+    await until(() => schedulerFor('deu').jobs.length === 1);
+    finish(schedulerFor('deu'));
+    await next;
+  });
+
+  it('restarts crashed workers and retries the interrupted job once', async () => {
+    const job = workerPool.recognize('a.png', 'deu');
+    await until(() => schedulerFor('deu') && schedulerFor('deu').jobs.length === 1);
+    const crashed = schedulerFor('deu');
+
+    crashed.workers[0].worker.emit('exit', 1);
+    await until(() => schedulerFor('deu') !== crashed && schedulerFor('deu').jobs.length === 1);
+    assert.equal(crashed.terminated, true);
+
+    finish(schedulerFor('deu'), 'retried');
+    assert.equal((await job).data.text, 'retried');
+    assert.equal(workerPool.getWorkerPoolStatus().languages.deu.restarts, 1);
+
+    // A job interrupted by a second crash fails instead of retrying forever
+    const unlucky = workerPool.recognize('b.png', 'deu');
+    await until(() => schedulerFor('deu').jobs.length === 1);
+    schedulerFor('deu').workers[0].worker.emit('exit', 1);
+    await until(() => schedulers.length === 3 && schedulerFor('deu').jobs.length === 1);
+    schedulerFor('deu').workers[0].worker.emit('exit', 1);
+    await assert.rejects(unlucky, TesseractError);
+  });
+
+  it('stops idle non-default language pools after idleTimeoutMs', async () => {
+    workerPool.poolConfig.idleTimeoutMs = 20;
+
+    for (const lang of [DEFAULT_LANGUAGE, 'deu']) {
+      const job = workerPool.recognize('a.png', lang);
+      await until(() => schedulerFor(lang) && schedulerFor(lang).jobs.length === 1);
+      finish(schedulerFor(lang));
+      await job;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    const status = workerPool.getWorkerPoolStatus();
+    assert.deepEqual(Object.keys(status.languages), [DEFAULT_LANGUAGE]);
+    assert.equal(schedulerFor('deu').terminated, true);
+    assert.equal(schedulerFor(DEFAULT_LANGUAGE).terminated, false);
+  });
+
+  it('caps running language pools, evicting the least recently used idle one', async () => {
+    workerPool.poolConfig.maxLanguages = 2;
+
+    const busy = workerPool.recognize('a.png', DEFAULT_LANGUAGE);
+    const idle = workerPool.recognize('b.png', 'deu');
+    await until(() => schedulerFor('deu') && schedulerFor('deu').jobs.length === 1);
+    finish(schedulerFor('deu'));
+    await idle;
+
+    const evicting = workerPool.recognize('c.png', 'fra');
+    await until(() => schedulerFor('fra') && schedulerFor('fra').jobs.length === 1);
+    assert.equal(schedulerFor('deu').terminated, true);
+    assert.deepEqual(Object.keys(workerPool.getWorkerPoolStatus().languages).sort(), [DEFAULT_LANGUAGE, 'fra'].sort());
+
+    // Every pool busy: a further language is refused rather than started
+    await assert.rejects(workerPool.recognize('d.png', 'spa'), RateLimitError);
+    assert.equal(schedulerFor('spa'), undefined);
+
+    finish(schedulerFor('fra'));
+    finish(schedulerFor(DEFAULT_LANGUAGE));
+    await Promise.all([evicting, busy]);
+  });
+});
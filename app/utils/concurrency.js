@@ -0,0 +1,33 @@
+/**
+ * Concurrency Utility
+ * Helpers for running async work with a bounded number of tasks in flight
+ */
+
+/**
+ * Map items through an async function with at most `limit` calls running at once
+ * Results keep the input order. The mapper should handle its own errors; a rejection aborts the map.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent mapper calls
+ * @param {Function} mapper - Async function (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const runners = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: runners }, runNext));
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -51,6 +51,27 @@ class FileValidationError extends OCRError {
   }
 }
 
+/**
+ * Request parameter validation errors (query string and form fields)
+ */
+class ValidationError extends OCRError {
+  constructor(message, field = null, details = {}) {
+    super(message, 400, 'VALIDATION_ERROR');
+    this.field = field;
+    this.details = details;
+    this.category = 'validation';
+  }
+  
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      field: this.field,
+      details: this.details,
+      category: this.category
+    };
+  }
+}
+
 /**
  * File processing errors (upload, storage, etc.)
  */
@@ -195,6 +216,27 @@ class AuthenticationError extends OCRError {
   }
 }
 
+/**
+ * Missing resource errors (unknown job, result or cache entry)
+ */
+class NotFoundError extends OCRError {
+  constructor(message, resource = 'unknown', resourceId = null) {
+    super(message, 404, 'NOT_FOUND');
+    this.resource = resource; // 'job', 'result', 'cache_entry', etc.
+    this.resourceId = resourceId;
+    this.category = 'not_found';
+  }
+  
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      resource: this.resource,
+      resourceId: this.resourceId,
+      category: this.category
+    };
+  }
+}
+
 /**
  * Timeout errors
  */
@@ -236,6 +278,14 @@ function wrapError(error, context = 'unknown') {
     return error;
   }
   
+  // Multer upload limit errors (too many files, file too large, unexpected field) are client errors
+  if (error.name === 'MulterError') {
+    return new FileValidationError(`Upload rejected: ${error.message}`, {
+      code: error.code,
+      field: error.field
+    });
+  }
+  
   // Determine error type based on message content or context
   if (error.message?.includes('timeout') || context.includes('timeout')) {
     return new TimeoutError(`Timeout in ${context}: ${error.message}`, context);
@@ -319,6 +369,7 @@ module.exports = {
   // Error classes
   OCRError,
   FileValidationError,
+  ValidationError,
   FileProcessingError,
   TesseractError,
   DatabaseError,
@@ -326,6 +377,7 @@ module.exports = {
   ConfigurationError,
   RateLimitError,
   AuthenticationError,
+  NotFoundError,
   TimeoutError,
   
   // Utility functions
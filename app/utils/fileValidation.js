@@ -18,7 +18,9 @@ const ALLOWED_FILE_TYPES = {
   '.tif': ['image/tiff', 'image/x-tiff'],
   '.webp': ['image/webp', 'application/octet-stream'], // WebP sometimes shows as octet-stream
   '.svg': ['image/svg+xml'],
-  '.ico': ['image/x-icon', 'image/vnd.microsoft.icon']
+  '.ico': ['image/x-icon', 'image/vnd.microsoft.icon'],
+  // Multi-page documents (rasterized page by page)
+  '.pdf': ['application/pdf']
 };
 
 // File size limits (in bytes)
@@ -28,14 +30,17 @@ const FILE_SIZE_LIMITS = {
   RECOMMENDED_MAX: 5 * 1024 * 1024 // 5MB recommended for better performance
 };
 
-// Security patterns to check for malicious files
-const SECURITY_PATTERNS = [
-  // Executable file headers (magic bytes)
+// Executable file headers (magic bytes), only meaningful at the start of a file.
+// Matching them anywhere rejects large uncompressed images (e.g. TIFF scans) whose pixels contain "MZ".
+const EXECUTABLE_HEADERS = [
   Buffer.from([0x4D, 0x5A]), // MZ (Windows PE)
   Buffer.from([0x7F, 0x45, 0x4C, 0x46]), // ELF (Linux executable)
   Buffer.from([0xCA, 0xFE, 0xBA, 0xBE]), // Mach-O (macOS executable)
   Buffer.from([0xFE, 0xED, 0xFA, 0xCE]), // Mach-O (macOS executable)
-  
+];
+
+// Security patterns to check for malicious files
+const SECURITY_PATTERNS = [
   // Script patterns in files
   Buffer.from('#!/bin/'),
   Buffer.from('<?php'),
@@ -148,14 +153,13 @@ function validateFileSize(fileSize) {
 function validateFileContent(fileBuffer, filename) {
   try {
     // Check for malicious patterns
-    for (const pattern of SECURITY_PATTERNS) {
-      if (fileBuffer.indexOf(pattern) !== -1) {
-        return {
-          valid: false,
-          threat: 'executable_or_script',
-          error: `File "${filename}" contains potentially malicious content (executable or script patterns detected)`
-        };
-      }
+    const isExecutable = EXECUTABLE_HEADERS.some(header => fileBuffer.subarray(0, header.length).equals(header));
+    if (isExecutable || SECURITY_PATTERNS.some(pattern => fileBuffer.indexOf(pattern) !== -1)) {
+      return {
+        valid: false,
+        threat: 'executable_or_script',
+        error: `File "${filename}" contains potentially malicious content (executable or script patterns detected)`
+      };
     }
     
     // Basic image format validation by checking magic bytes
@@ -177,8 +181,13 @@ function validateFileContent(fileBuffer, filename) {
                           magicBytes.slice(8, 12).equals(Buffer.from('WEBP'));
     } else if (ext === '.bmp') {
       isValidImageFormat = magicBytes.slice(0, 2).equals(Buffer.from('BM'));
+    } else if (ext === '.tif' || ext === '.tiff') {
+      isValidImageFormat = magicBytes.slice(0, 4).equals(Buffer.from([0x49, 0x49, 0x2A, 0x00])) || // II*. (little-endian)
+                          magicBytes.slice(0, 4).equals(Buffer.from([0x4D, 0x4D, 0x00, 0x2A]));  // MM.* (big-endian)
+    } else if (ext === '.pdf') {
+      isValidImageFormat = magicBytes.slice(0, 5).equals(Buffer.from('%PDF-'));
     } else {
-      // For other formats, be permissive (TIFF, SVG, etc. have complex headers)
+      // For other formats, be permissive (SVG, ICO, etc. have complex headers)
       isValidImageFormat = true;
     }
     
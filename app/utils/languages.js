@@ -0,0 +1,121 @@
+const path = require('path');
+const crypto = require('crypto');
+const { promises: fs } = require('fs');
+const { ValidationError } = require('./errors');
+
+/**
+ * OCR Language Utility
+ * Discovers installed Tesseract traineddata files and validates requested languages
+ */
+
+// Directory holding the *.traineddata files (defaults to ./app, next to eng.traineddata)
+const LANG_PATH = process.env.TESSERACT_LANG_PATH || path.join(__dirname, '..');
+
+// Language used when the request doesn't specify one
+const DEFAULT_LANGUAGE = process.env.OCR_DEFAULT_LANG || 'eng';
+
+// Maximum number of languages in a combined request such as "eng+deu+heb"
+const MAX_COMBINED_LANGUAGES = 5;
+
+// Tesseract language codes: letters, digits and underscores (e.g. "chi_sim")
+const LANGUAGE_CODE_PATTERN = /^[a-z0-9_]+$/i;
+
+// Traineddata files that aren't recognition languages
+const NON_RECOGNITION_DATA = ['osd'];
+
+const TRAINEDDATA_EXTENSION = '.traineddata';
+
+// Traineddata path -> { mtimeMs, size, digest }, so each file is only hashed again after it changes
+const traineddataDigests = new Map();
+
+/**
+ * List the languages installed in LANG_PATH
+ * @returns {Promise<string[]>} Sorted language codes (e.g. ['deu', 'eng', 'heb'])
+ */
+async function getInstalledLanguages() {
+  const entries = await fs.readdir(LANG_PATH);
+
+  return entries
+    .filter(entry => entry.endsWith(TRAINEDDATA_EXTENSION))
+    .map(entry => path.basename(entry, TRAINEDDATA_EXTENSION))
+    .filter(code => LANGUAGE_CODE_PATTERN.test(code) && !NON_RECOGNITION_DATA.includes(code))
+    .sort();
+}
+
+/**
+ * Validate a requested language (or "+" separated combination) against the installed traineddata
+ * @param {string} lang - Requested language, e.g. "eng" or "eng+deu" (falls back to the default)
+ * @returns {Promise<string>} Normalized language string to pass to Tesseract
+ * @throws {ValidationError} If the language is malformed or not installed
+ */
+async function resolveLanguage(lang) {
+  if (lang === undefined || lang === null || lang === '') {
+    return DEFAULT_LANGUAGE;
+  }
+
+  if (typeof lang !== 'string') {
+    throw new ValidationError('Language must be a string such as "eng" or "eng+deu"', 'lang');
+  }
+
+  const codes = lang.trim().split('+').map(code => code.trim());
+
+  if (codes.some(code => !LANGUAGE_CODE_PATTERN.test(code))) {
+    throw new ValidationError(`Invalid language "${lang}"`, 'lang', {
+      message: 'Use Tesseract language codes joined with "+", e.g. "eng" or "eng+deu"'
+    });
+  }
+
+  const uniqueCodes = [...new Set(codes)];
+  if (uniqueCodes.length > MAX_COMBINED_LANGUAGES) {
+    throw new ValidationError(
+      `Too many languages requested (${uniqueCodes.length}). Maximum is ${MAX_COMBINED_LANGUAGES}`,
+      'lang'
+    );
+  }
+
+  const installed = await getInstalledLanguages();
+  const missing = uniqueCodes.filter(code => !installed.includes(code));
+
+  if (missing.length > 0) {
+    throw new ValidationError(`Language not installed: ${missing.join(', ')}`, 'lang', {
+      requested: lang,
+      missing,
+      installed
+    });
+  }
+
+  // One canonical order, so "deu+eng" and "eng+deu" share a worker pool and cache entries
+  return uniqueCodes.sort().join('+');
+}
+
+/**
+ * Identify the traineddata a language string is recognized with (for cache keys)
+ * Replacing a .traineddata file changes the version, so results from the old model aren't reused.
+ * @param {string} lang - Validated language string (e.g. "eng+deu")
+ * @returns {Promise<string>} Version such as "eng:1a2b3c4d5e6f+deu:9f8e7d6c5b4a"
+ */
+async function getTraineddataVersion(lang) {
+  const versions = await Promise.all(lang.split('+').map(async (code) => {
+    const filePath = path.join(LANG_PATH, `${code}${TRAINEDDATA_EXTENSION}`);
+    const stats = await fs.stat(filePath);
+    const known = traineddataDigests.get(filePath);
+
+    if (!known || known.mtimeMs !== stats.mtimeMs || known.size !== stats.size) {
+      const digest = crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex').slice(0, 12);
+      traineddataDigests.set(filePath, { mtimeMs: stats.mtimeMs, size: stats.size, digest });
+    }
+
+    return `${code}:${traineddataDigests.get(filePath).digest}`;
+  }));
+
+  return versions.join('+');
+}
+
+module.exports = {
+  getInstalledLanguages,
+  resolveLanguage,
+  getTraineddataVersion,
+  LANG_PATH,
+  DEFAULT_LANGUAGE,
+  MAX_COMBINED_LANGUAGES
+};